@@ -2,12 +2,14 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'movie_app.db');
+// Tests point DB_PATH at a throwaway database
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'movie_app.db');
 
 const db = new Database(DB_PATH);
 
 // Enable WAL mode for better concurrent performance
 db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
 
 // Create tables
 db.exec(`
@@ -56,12 +58,291 @@ db.exec(`
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS theaters (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    city TEXT NOT NULL,
+    distance_km REAL,
+    rating REAL,
+    facilities TEXT DEFAULT '[]',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(name, location, city)
+  );
+
+  CREATE TABLE IF NOT EXISTS screens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    theater_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    FOREIGN KEY (theater_id) REFERENCES theaters(id) ON DELETE CASCADE,
+    UNIQUE(theater_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS shows (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    movie_id INTEGER NOT NULL,
+    screen_id INTEGER NOT NULL,
+    starts_at TEXT NOT NULL,
+    show_date TEXT NOT NULL,
+    show_time TEXT NOT NULL,
+    price_tiers TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (screen_id) REFERENCES screens(id) ON DELETE CASCADE,
+    UNIQUE(screen_id, starts_at)
+  );
+
+  CREATE TABLE IF NOT EXISTS show_seats (
+    show_id INTEGER NOT NULL,
+    seat_id TEXT NOT NULL,
+    row_label TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    tier TEXT NOT NULL,
+    price REAL NOT NULL,
+    status TEXT DEFAULT 'available',
+    booking_id INTEGER,
+    PRIMARY KEY (show_id, seat_id),
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS seat_holds (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    show_id INTEGER NOT NULL,
+    seats TEXT NOT NULL,
+    status TEXT DEFAULT 'active',
+    expires_at TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS refunds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    amount REAL NOT NULL,
+    razorpay_refund_id TEXT UNIQUE,
+    status TEXT DEFAULT 'pending',
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    processed_at DATETIME,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS payment_events (
+    id TEXT PRIMARY KEY,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS promotions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code TEXT UNIQUE NOT NULL COLLATE NOCASE,
+    description TEXT,
+    discount_type TEXT NOT NULL,
+    discount_value REAL NOT NULL,
+    max_discount REAL,
+    min_seats INTEGER DEFAULT 1,
+    tiers TEXT,
+    per_user_limit INTEGER,
+    total_limit INTEGER,
+    city TEXT,
+    theater_id INTEGER,
+    starts_at TEXT,
+    ends_at TEXT,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (theater_id) REFERENCES theaters(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER UNIQUE NOT NULL,
+    series TEXT NOT NULL,
+    sequence INTEGER NOT NULL,
+    invoice_number TEXT UNIQUE NOT NULL,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    booking_details TEXT,
+    UNIQUE (series, sequence),
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS concession_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    theater_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    description TEXT,
+    price REAL NOT NULL,
+    stock INTEGER,
+    active INTEGER DEFAULT 1,
+    sort_order INTEGER DEFAULT 0,
+    UNIQUE (theater_id, name),
+    FOREIGN KEY (theater_id) REFERENCES theaters(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS booking_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    item_id INTEGER,
+    name TEXT NOT NULL,
+    quantity INTEGER NOT NULL,
+    unit_price REAL NOT NULL,
+    amount REAL NOT NULL,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (item_id) REFERENCES concession_items(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS booking_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    booking_id INTEGER NOT NULL,
+    hold_id TEXT NOT NULL,
+    from_show_id INTEGER,
+    from_show_date TEXT NOT NULL,
+    from_show_time TEXT NOT NULL,
+    from_theater_name TEXT NOT NULL,
+    from_seats TEXT NOT NULL,
+    to_show_id INTEGER NOT NULL,
+    to_seats TEXT NOT NULL,
+    old_amount REAL NOT NULL,
+    new_amount REAL NOT NULL,
+    difference REAL NOT NULL,
+    price_breakdown TEXT NOT NULL,
+    razorpay_order_id TEXT,
+    razorpay_payment_id TEXT,
+    status TEXT DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completed_at DATETIME,
+    FOREIGN KEY (booking_id) REFERENCES bookings(id) ON DELETE CASCADE,
+    FOREIGN KEY (to_show_id) REFERENCES shows(id)
+  );
+
+  CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    show_id INTEGER NOT NULL,
+    movie_title TEXT NOT NULL,
+    movie_poster TEXT,
+    seat_count INTEGER NOT NULL,
+    tier TEXT,
+    status TEXT DEFAULT 'waiting',
+    hold_id TEXT,
+    offered_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS pricing_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    theater_id INTEGER,
+    tier TEXT,
+    days TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    facility TEXT,
+    min_occupancy REAL,
+    adjustment_type TEXT NOT NULL,
+    adjustment REAL NOT NULL,
+    priority INTEGER DEFAULT 0,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (theater_id) REFERENCES theaters(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT NOT NULL,
+    previous_token_hash TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TEXT,
+    last_seen_at TEXT,
+    expires_at TEXT NOT NULL,
+    revoked_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TEXT NOT NULL,
+    used_at DATETIME,
+    created_at TEXT NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
   CREATE INDEX IF NOT EXISTS idx_favorites_user_id ON favorites(user_id);
   CREATE INDEX IF NOT EXISTS idx_favorites_movie_id ON favorites(movie_id);
   CREATE INDEX IF NOT EXISTS idx_bookings_user_id ON bookings(user_id);
   CREATE INDEX IF NOT EXISTS idx_bookings_status ON bookings(booking_status);
+  CREATE INDEX IF NOT EXISTS idx_theaters_city ON theaters(city);
+  CREATE INDEX IF NOT EXISTS idx_screens_theater_id ON screens(theater_id);
+  CREATE INDEX IF NOT EXISTS idx_shows_movie_date ON shows(movie_id, show_date);
+  CREATE INDEX IF NOT EXISTS idx_show_seats_booking_id ON show_seats(booking_id);
+  CREATE INDEX IF NOT EXISTS idx_seat_holds_show_status ON seat_holds(show_id, status);
+  CREATE INDEX IF NOT EXISTS idx_refunds_booking_id ON refunds(booking_id);
+  CREATE INDEX IF NOT EXISTS idx_concession_items_theater_id ON concession_items(theater_id);
+  CREATE INDEX IF NOT EXISTS idx_booking_items_booking_id ON booking_items(booking_id);
+  CREATE INDEX IF NOT EXISTS idx_booking_changes_booking_id ON booking_changes(booking_id);
+  CREATE INDEX IF NOT EXISTS idx_booking_changes_order_id ON booking_changes(razorpay_order_id);
+  CREATE INDEX IF NOT EXISTS idx_waitlist_entries_show_status ON waitlist_entries(show_id, status);
+  CREATE INDEX IF NOT EXISTS idx_waitlist_entries_user_id ON waitlist_entries(user_id);
+  CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+  CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
 `);
 
+/**
+ * Helper: add a column to an existing table if it is not there yet.
+ * CREATE TABLE IF NOT EXISTS leaves tables from older databases untouched.
+ * Returns whether the column was added.
+ */
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(c => c.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  }
+  return false;
+}
+
+addColumnIfMissing('bookings', 'show_id', 'INTEGER REFERENCES shows(id)');
+db.exec('CREATE INDEX IF NOT EXISTS idx_bookings_show_id ON bookings(show_id)');
+addColumnIfMissing('show_seats', 'hold_id', 'TEXT');
+addColumnIfMissing('bookings', 'hold_id', 'TEXT');
+db.exec('CREATE INDEX IF NOT EXISTS idx_bookings_order_id ON bookings(razorpay_order_id)');
+addColumnIfMissing('bookings', 'payment_status', "TEXT DEFAULT 'created'");
+db.exec('CREATE INDEX IF NOT EXISTS idx_bookings_payment_id ON bookings(razorpay_payment_id)');
+addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'customer'");
+addColumnIfMissing('bookings', 'checked_in_at', 'DATETIME');
+addColumnIfMissing('bookings', 'checked_in_by', 'INTEGER REFERENCES users(id)');
+addColumnIfMissing('show_seats', 'checked_in_at', 'DATETIME');
+addColumnIfMissing('users', 'calendar_token', 'TEXT');
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token)');
+addColumnIfMissing('bookings', 'promotion_id', 'INTEGER REFERENCES promotions(id)');
+addColumnIfMissing('bookings', 'discount_amount', 'REAL DEFAULT 0');
+db.exec('CREATE INDEX IF NOT EXISTS idx_bookings_promotion_id ON bookings(promotion_id)');
+addColumnIfMissing('bookings', 'price_breakdown', 'TEXT');
+addColumnIfMissing('refunds', 'razorpay_payment_id', 'TEXT');
+addColumnIfMissing('screens', 'layout', 'TEXT');
+addColumnIfMissing('show_seats', 'seat_type', "TEXT NOT NULL DEFAULT 'standard'");
+addColumnIfMissing('show_seats', 'col', 'INTEGER');
+// Seats created before layouts had no gaps, so their column is their number
+db.exec('UPDATE show_seats SET col = number WHERE col IS NULL');
+addColumnIfMissing('show_seats', 'price_rules', 'TEXT');
+addColumnIfMissing('refunds', 'attempts', 'INTEGER NOT NULL DEFAULT 0');
+db.exec('CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status)');
+if (addColumnIfMissing('users', 'email_verified_at', 'DATETIME')) {
+  // Accounts from before email verification keep booking as they did
+  db.exec('UPDATE users SET email_verified_at = created_at');
+}
+
 console.log('✅ Database initialized successfully');
 
 module.exports = db;
@@ -10,9 +10,25 @@ const authRoutes = require('./routes/auth');
 const favoritesRoutes = require('./routes/favorites');
 const moviesRoutes = require('./routes/movies');
 const bookingsRoutes = require('./routes/bookings');
+const paymentsRoutes = require('./routes/payments');
+const ticketsRoutes = require('./routes/tickets');
+const checkinRoutes = require('./routes/checkin');
+const adminRoutes = require('./routes/admin');
+const payments = require('./services/payments');
+const { sweepExpiredHolds } = require('./services/waitlist');
+const { sendQueuedRefunds } = require('./services/refunds');
+const { seedIfEmpty } = require('./seed');
 
 const app = express();
 const PORT = process.env.PORT || process.env.SERVER_PORT || 5000;
+const HOLD_SWEEP_INTERVAL_MS = (parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS, 10) || 30) * 1000;
+const REFUND_RETRY_INTERVAL_MS = (parseInt(process.env.REFUND_RETRY_INTERVAL_SECONDS, 10) || 60) * 1000;
+
+// Render and similar hosts sit behind a proxy; this makes req.ip the
+// client's address (it is shown in the account page's session list)
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 
 // Middleware
 app.use(cors({
@@ -21,12 +37,17 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true
 }));
-app.use(express.json());
+// Keep the raw body around; webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 
-// Request logging middleware
+// Request logging middleware. Query strings and calendar feed paths carry
+// secret tokens, so they are left out of the log.
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
+  const path = req.path.replace(/^\/api\/bookings\/calendar\/[^/]+\.ics$/, '/api/bookings/calendar/<token>.ics');
+  console.log(`[${timestamp}] ${req.method} ${path}`);
   next();
 });
 
@@ -35,6 +56,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/favorites', favoritesRoutes);
 app.use('/api/movies', moviesRoutes);
 app.use('/api/bookings', bookingsRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/tickets', ticketsRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -63,10 +88,30 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Free the seats of holds that ran out, also on shows nobody is looking at
+setInterval(() => {
+  try {
+    sweepExpiredHolds();
+  } catch (err) {
+    console.error('Error sweeping expired holds:', err);
+  }
+}, HOLD_SWEEP_INTERVAL_MS);
+
+// Send refunds the payment gateway could not take when they were queued
+setInterval(() => {
+  sendQueuedRefunds().catch(err => console.error('Error sending queued refunds:', err));
+}, REFUND_RETRY_INTERVAL_MS);
+
+// A fresh database (e.g. a new deploy) gets theaters and a week of shows
+seedIfEmpty()
+  .then(created => created > 0 && console.log(`✅ Scheduled ${created} shows for the movies now playing`))
+  .catch(err => console.error('Seeding on start failed:', err.message));
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🎬 MovieVerse API Server`);
   console.log(`🚀 Running on port ${PORT}`);
   console.log(`📡 Environment: ${process.env.NODE_ENV || 'development'}`);
+  console.log(`💳 Payments: ${payments.name}`);
   console.log(`\n✅ Server is ready!\n`);
 });
@@ -1,28 +1,97 @@
 // server/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const db = require('../db');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'movie_discovery_secret_key_2024';
 
+// HttpOnly cookies of a session (see routes/auth.js)
+const ACCESS_TOKEN_COOKIE = 'mv_access_token';
+const REFRESH_TOKEN_COOKIE = 'mv_refresh_token';
+const SESSION_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Helper: read a cookie sent with the request, or null
+ */
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(c => c.trim())
+    .find(c => c.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
 /**
  * Authentication middleware
- * Verifies the JWT token from the Authorization header
- * and attaches the user payload to req.user
+ * Verifies the access token from the Authorization header (or the session
+ * cookie), checks that its session has not been revoked and attaches the
+ * user payload to req.user
  */
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const token = (authHeader && authHeader.split(' ')[1]) || readCookie(req, ACCESS_TOKEN_COOKIE); // Bearer TOKEN
 
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token.' });
   }
+
+  // Tokens from before sessions have no session id and are no longer accepted
+  const now = new Date();
+  const session = decoded.sid && db.prepare(
+    'SELECT id, last_seen_at FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > ?'
+  ).get(decoded.sid, decoded.id, now.toISOString());
+  if (!session) {
+    return res.status(403).json({ error: 'Invalid or expired token.' });
+  }
+
+  // "Last seen" on the account page; recorded at most once a minute
+  if (!session.last_seen_at || now - new Date(session.last_seen_at) > SESSION_SEEN_INTERVAL_MS) {
+    db.prepare('UPDATE sessions SET last_seen_at = ? WHERE id = ?').run(now.toISOString(), session.id);
+  }
+
+  req.user = decoded;
+  next();
+}
+
+/**
+ * Role middleware, used after authenticateToken.
+ * The role is read from the database so promotions and demotions
+ * apply without waiting for the user's token to expire.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const user = db.prepare('SELECT role FROM users WHERE id = ?').get(req.user.id);
+
+    if (!user || !roles.includes(user.role)) {
+      return res.status(403).json({ error: 'You do not have access to this resource.' });
+    }
+
+    req.user.role = user.role;
+    next();
+  };
+}
+
+/**
+ * Verified email middleware, used after authenticateToken. Unverified users
+ * may browse but not pay; the error's code lets the client offer to resend
+ * the verification email.
+ */
+function requireVerifiedEmail(req, res, next) {
+  const user = db.prepare('SELECT email_verified_at FROM users WHERE id = ?').get(req.user.id);
+
+  if (!user || !user.email_verified_at) {
+    return res.status(403).json({
+      error: 'Please verify your email address before booking. Check your inbox for the link we sent you.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
 }
 
-module.exports = { authenticateToken, JWT_SECRET };
+module.exports = { authenticateToken, requireRole, requireVerifiedEmail, readCookie, JWT_SECRET, ACCESS_TOKEN_COOKIE, REFRESH_TOKEN_COOKIE };
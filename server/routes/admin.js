@@ -0,0 +1,265 @@
+// server/routes/admin.js
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const db = require('../db');
+const { formatPromotion, parsePromotionInput } = require('../services/promotions');
+const { formatPricingRule, parsePricingRuleInput } = require('../services/pricingRules');
+const { SEAT_PRICING, DEFAULT_LAYOUT, parseLayout, saveScreenLayout, getLayoutSeatMap } = require('../services/shows');
+
+const router = express.Router();
+
+// Every admin route needs an admin account
+router.use(authenticateToken, requireRole('admin'));
+
+/**
+ * GET /api/admin/promotions
+ * List all promotions with how often each has been redeemed
+ */
+router.get('/promotions', (req, res) => {
+  try {
+    const promotions = db.prepare(`
+      SELECT p.*, COUNT(b.id) AS redemptions
+      FROM promotions p
+      LEFT JOIN bookings b ON b.promotion_id = p.id AND b.booking_status = 'confirmed'
+      GROUP BY p.id
+      ORDER BY p.created_at DESC
+    `).all();
+
+    res.json({ promotions: promotions.map(formatPromotion) });
+  } catch (err) {
+    console.error('Error fetching promotions:', err);
+    res.status(500).json({ error: 'Failed to fetch promotions.' });
+  }
+});
+
+/**
+ * POST /api/admin/promotions
+ * Create a promo code
+ */
+router.post('/promotions', (req, res) => {
+  try {
+    const { values, error } = parsePromotionInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = db.prepare('SELECT id FROM promotions WHERE code = ?').get(values.code);
+    if (existing) {
+      return res.status(409).json({ error: 'A promotion with this code already exists.' });
+    }
+
+    const columns = Object.keys(values);
+    const result = db.prepare(
+      `INSERT INTO promotions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+    ).run(...Object.values(values));
+
+    const promotion = db.prepare('SELECT * FROM promotions WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ promotion: formatPromotion(promotion) });
+  } catch (err) {
+    console.error('Error creating promotion:', err);
+    res.status(500).json({ error: 'Failed to create promotion.' });
+  }
+});
+
+/**
+ * PATCH /api/admin/promotions/:id
+ * Update a promo code, e.g. { active: false } to switch it off
+ */
+router.patch('/promotions/:id', (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM promotions WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Promotion not found.' });
+    }
+
+    const { values, error } = parsePromotionInput({ ...formatPromotion(existing), ...req.body });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const duplicate = db.prepare('SELECT id FROM promotions WHERE code = ? AND id != ?').get(values.code, existing.id);
+    if (duplicate) {
+      return res.status(409).json({ error: 'A promotion with this code already exists.' });
+    }
+
+    const columns = Object.keys(values);
+    db.prepare(
+      `UPDATE promotions SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`
+    ).run(...Object.values(values), existing.id);
+
+    const promotion = db.prepare('SELECT * FROM promotions WHERE id = ?').get(existing.id);
+    res.json({ promotion: formatPromotion(promotion) });
+  } catch (err) {
+    console.error('Error updating promotion:', err);
+    res.status(500).json({ error: 'Failed to update promotion.' });
+  }
+});
+
+/**
+ * GET /api/admin/pricing-rules
+ * List all pricing rules in the order they are applied
+ */
+router.get('/pricing-rules', (req, res) => {
+  try {
+    const rules = db.prepare('SELECT * FROM pricing_rules ORDER BY priority, id').all();
+    res.json({ rules: rules.map(formatPricingRule) });
+  } catch (err) {
+    console.error('Error fetching pricing rules:', err);
+    res.status(500).json({ error: 'Failed to fetch pricing rules.' });
+  }
+});
+
+/**
+ * POST /api/admin/pricing-rules
+ * Create a pricing rule, e.g. { name: 'Weekend', days: [0, 6],
+ * adjustment_type: 'percent', adjustment: 10 }. Seats still for sale are
+ * repriced the next time their show is loaded.
+ */
+router.post('/pricing-rules', (req, res) => {
+  try {
+    const { values, error } = parsePricingRuleInput(req.body, { tiers: Object.keys(SEAT_PRICING) });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const columns = Object.keys(values);
+    const result = db.prepare(
+      `INSERT INTO pricing_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+    ).run(...Object.values(values));
+
+    const rule = db.prepare('SELECT * FROM pricing_rules WHERE id = ?').get(result.lastInsertRowid);
+    res.status(201).json({ rule: formatPricingRule(rule) });
+  } catch (err) {
+    console.error('Error creating pricing rule:', err);
+    res.status(500).json({ error: 'Failed to create pricing rule.' });
+  }
+});
+
+/**
+ * PATCH /api/admin/pricing-rules/:id
+ * Update a pricing rule, e.g. { active: false } to switch it off
+ */
+router.patch('/pricing-rules/:id', (req, res) => {
+  try {
+    const existing = db.prepare('SELECT * FROM pricing_rules WHERE id = ?').get(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pricing rule not found.' });
+    }
+
+    const { values, error } = parsePricingRuleInput(
+      { ...formatPricingRule(existing), ...req.body },
+      { tiers: Object.keys(SEAT_PRICING) }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const columns = Object.keys(values);
+    db.prepare(
+      `UPDATE pricing_rules SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`
+    ).run(...Object.values(values), existing.id);
+
+    const rule = db.prepare('SELECT * FROM pricing_rules WHERE id = ?').get(existing.id);
+    res.json({ rule: formatPricingRule(rule) });
+  } catch (err) {
+    console.error('Error updating pricing rule:', err);
+    res.status(500).json({ error: 'Failed to update pricing rule.' });
+  }
+});
+
+/**
+ * Helper: the seat map a layout gives, as GET /api/bookings/seats serves it
+ */
+function layoutPreview(layout) {
+  const seatMap = getLayoutSeatMap(layout);
+  return {
+    seatMap,
+    columns: Math.max(...seatMap.flatMap(r => r.seats.map(s => s.col))),
+    screenPosition: layout.screen,
+    totalSeats: seatMap.reduce((sum, r) => sum + r.seats.filter(s => s.type !== 'blocked').length, 0)
+  };
+}
+
+/**
+ * GET /api/admin/screens
+ * List all screens with their theater and whether they have their own layout
+ */
+router.get('/screens', (req, res) => {
+  try {
+    const screens = db.prepare(`
+      SELECT sc.id, sc.name, sc.layout IS NOT NULL AS custom_layout,
+             t.id AS theater_id, t.name || ' - ' || t.location AS theater_name, t.city
+      FROM screens sc
+      JOIN theaters t ON t.id = sc.theater_id
+      ORDER BY t.city, t.name, t.location, sc.name
+    `).all();
+
+    res.json({ screens: screens.map(s => ({ ...s, custom_layout: !!s.custom_layout })) });
+  } catch (err) {
+    console.error('Error fetching screens:', err);
+    res.status(500).json({ error: 'Failed to fetch screens.' });
+  }
+});
+
+/**
+ * GET /api/admin/screens/:id/layout
+ * Get the seat layout of a screen (the default one if it has none) and its seat map
+ */
+router.get('/screens/:id/layout', (req, res) => {
+  try {
+    const screen = db.prepare('SELECT id, layout FROM screens WHERE id = ?').get(req.params.id);
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found.' });
+    }
+
+    const layout = (screen.layout && parseLayout(screen.layout).layout) || DEFAULT_LAYOUT;
+    res.json({ layout, custom: !!screen.layout, ...layoutPreview(layout) });
+  } catch (err) {
+    console.error('Error fetching layout:', err);
+    res.status(500).json({ error: 'Failed to fetch layout.' });
+  }
+});
+
+/**
+ * PUT /api/admin/screens/:id/layout
+ * Save the seat layout of a screen. Shows whose seats already exist keep
+ * them; the layout applies to the screen's other shows.
+ */
+router.put('/screens/:id/layout', (req, res) => {
+  try {
+    const screen = db.prepare('SELECT id FROM screens WHERE id = ?').get(req.params.id);
+    if (!screen) {
+      return res.status(404).json({ error: 'Screen not found.' });
+    }
+
+    const { layout, error } = saveScreenLayout(screen.id, req.body.layout);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ message: 'Layout saved.', layout, custom: true, ...layoutPreview(layout) });
+  } catch (err) {
+    console.error('Error saving layout:', err);
+    res.status(500).json({ error: 'Failed to save layout.' });
+  }
+});
+
+/**
+ * POST /api/admin/layouts/preview
+ * Validate a seat layout and get the seat map it gives, without saving it
+ */
+router.post('/layouts/preview', (req, res) => {
+  try {
+    const { layout, error } = parseLayout(req.body.layout);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ layout, ...layoutPreview(layout) });
+  } catch (err) {
+    console.error('Error previewing layout:', err);
+    res.status(500).json({ error: 'Failed to preview layout.' });
+  }
+});
+
+module.exports = router;
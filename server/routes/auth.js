@@ -1,12 +1,78 @@
 // server/routes/auth.js
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../db');
-const { JWT_SECRET, authenticateToken } = require('../middleware/auth');
+const { authenticateToken, readCookie, ACCESS_TOKEN_COOKIE, REFRESH_TOKEN_COOKIE } = require('../middleware/auth');
+const {
+  ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_DAYS, createSession, refreshSession, revokeSession, revokeUserSessions,
+  listUserSessions, findRefreshSession
+} = require('../services/sessions');
+const {
+  TOKEN_TTL_MINUTES, createUserToken, invalidateUserTokens, lastUserTokenAt, consumeUserToken
+} = require('../services/userTokens');
+const { sendPasswordResetEmail, sendVerificationEmail, sendEmailChangedEmail } = require('../services/accountEmails');
 
 const router = express.Router();
 
+// The refresh token is only sent to the auth endpoints that use it
+const REFRESH_COOKIE_PATH = '/api/auth';
+const MIN_USERNAME_LENGTH = 3;
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// A user is sent at most one reset (or verification) email this often
+const ACCOUNT_EMAIL_INTERVAL_MS = 60 * 1000;
+
+const cookieOptions = (path, maxAge) => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  path,
+  maxAge
+});
+
+/**
+ * Helper: send the access token (and a new refresh token, if any) as
+ * HttpOnly cookies. The access token is also returned in the response body
+ * for the Authorization header.
+ */
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.cookie(ACCESS_TOKEN_COOKIE, accessToken, cookieOptions('/api', ACCESS_TOKEN_TTL_SECONDS * 1000));
+  if (refreshToken) {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, cookieOptions(REFRESH_COOKIE_PATH, REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000));
+  }
+}
+
+/**
+ * Helper: clear the session cookies
+ */
+function clearSessionCookies(res) {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, cookieOptions('/api'));
+  res.clearCookie(REFRESH_TOKEN_COOKIE, cookieOptions(REFRESH_COOKIE_PATH));
+}
+
+/**
+ * Helper: start a session for a user who signed in and set its cookies.
+ * Returns the access token.
+ */
+function startSession(req, res, user) {
+  const { accessToken, refreshToken } = createSession(user, {
+    userAgent: req.get('user-agent') || null,
+    ipAddress: req.ip || null
+  });
+  setSessionCookies(res, { accessToken, refreshToken });
+  return accessToken;
+}
+
+/**
+ * Helper: email a user a new link to verify their address. Sending runs in
+ * the background; a failure is logged and the user can ask for a new link.
+ */
+function sendVerificationLink(user) {
+  const token = createUserToken(user.id, 'email_verification');
+  sendVerificationEmail(user, token, TOKEN_TTL_MINUTES.email_verification)
+    .catch(err => console.error('Error sending verification email:', err));
+}
+
 /**
  * POST /api/auth/register
  * Register a new user
@@ -20,17 +86,16 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Username, email, and password are required.' });
     }
 
-    if (username.length < 3) {
-      return res.status(400).json({ error: 'Username must be at least 3 characters long.' });
+    if (username.length < MIN_USERNAME_LENGTH) {
+      return res.status(400).json({ error: `Username must be at least ${MIN_USERNAME_LENGTH} characters long.` });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long.' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
     }
 
     // Check for email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       return res.status(400).json({ error: 'Please provide a valid email address.' });
     }
 
@@ -49,20 +114,19 @@ router.post('/register', async (req, res) => {
       'INSERT INTO users (username, email, password) VALUES (?, ?, ?)'
     ).run(username, email, hashedPassword);
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: result.lastInsertRowid, username, email },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = startSession(req, res, { id: result.lastInsertRowid, username, email });
+    sendVerificationLink({ id: result.lastInsertRowid, username, email });
 
     res.status(201).json({
-      message: 'User registered successfully.',
+      message: 'User registered successfully. Check your email to verify your address.',
       token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
       user: {
         id: result.lastInsertRowid,
         username,
-        email
+        email,
+        role: 'customer',
+        email_verified_at: null
       }
     });
   } catch (err) {
@@ -96,20 +160,18 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password.' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { id: user.id, username: user.username, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = startSession(req, res, user);
 
     res.json({
       message: 'Login successful.',
       token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
       user: {
         id: user.id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        email_verified_at: user.email_verified_at
       }
     });
   } catch (err) {
@@ -118,16 +180,333 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Get a new access token with the refresh token cookie. The refresh token
+ * is rotated: the cookie gets a new one and the old one stops working.
+ */
+router.post('/refresh', (req, res) => {
+  try {
+    const result = refreshSession(readCookie(req, REFRESH_TOKEN_COOKIE), { ipAddress: req.ip || null });
+    if (result.error) {
+      clearSessionCookies(res);
+      return res.status(401).json({ error: result.error });
+    }
+
+    setSessionCookies(res, result);
+    res.json({ token: result.accessToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS, user: result.user });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: 'Internal server error during refresh.' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Sign out: revoke the session of the refresh token cookie so neither its
+ * refresh token nor its access tokens work any more
+ */
+router.post('/logout', (req, res) => {
+  try {
+    const session = findRefreshSession(readCookie(req, REFRESH_TOKEN_COOKIE));
+    if (session) revokeSession(session.id);
+
+    clearSessionCookies(res);
+    res.json({ message: 'Logged out.' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ error: 'Internal server error during logout.' });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a one-time password reset link. The answer is the same whether or
+ * not the email has an account, so it can't be used to find accounts.
+ */
+router.post('/forgot-password', (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required.' });
+    }
+
+    const user = db.prepare('SELECT id, username, email FROM users WHERE email = ?').get(String(email).trim());
+    const lastSentAt = user && lastUserTokenAt(user.id, 'password_reset');
+    if (user && (!lastSentAt || Date.now() - lastSentAt >= ACCOUNT_EMAIL_INTERVAL_MS)) {
+      const token = createUserToken(user.id, 'password_reset');
+      // Not awaited, so the answer takes as long for unknown emails
+      sendPasswordResetEmail(user, token, TOKEN_TTL_MINUTES.password_reset)
+        .catch(err => console.error('Error sending password reset email:', err));
+    }
+
+    res.json({ message: 'If an account exists for this email, we have sent a link to reset its password.' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ error: 'Failed to send the password reset email.' });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with the token from a reset email. Every session of
+ * the user is signed out, so whoever knew the old password is locked out.
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required.' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+
+    const userId = consumeUserToken(token, 'password_reset');
+    if (!userId) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired. Please request a new one.' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, await bcrypt.genSalt(10));
+    db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, userId);
+    revokeUserSessions(userId);
+    clearSessionCookies(res);
+
+    res.json({ message: 'Your password has been reset. Please sign in with your new password.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: 'Internal server error during password reset.' });
+  }
+});
+
+/**
+ * GET /api/auth/verify-email?token=
+ * Verify the email address of an account with the token from the link in
+ * its verification email
+ */
+router.get('/verify-email', (req, res) => {
+  try {
+    const userId = consumeUserToken(req.query.token, 'email_verification');
+    if (!userId) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired. Please request a new one.' });
+    }
+
+    db.prepare(
+      'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL'
+    ).run(userId);
+    res.json({ message: 'Your email address is verified. Happy booking!' });
+  } catch (err) {
+    console.error('Email verification error:', err);
+    res.status(500).json({ error: 'Internal server error during email verification.' });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Email a new verification link to the signed-in user (auth required)
+ */
+router.post('/resend-verification', authenticateToken, (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, username, email, email_verified_at FROM users WHERE id = ?').get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (user.email_verified_at) {
+      return res.status(400).json({ error: 'Your email address is already verified.' });
+    }
+
+    const lastSentAt = lastUserTokenAt(user.id, 'email_verification');
+    if (lastSentAt && Date.now() - lastSentAt < ACCOUNT_EMAIL_INTERVAL_MS) {
+      return res.status(429).json({ error: 'We just sent you a link. Please wait a minute before asking for another.' });
+    }
+
+    sendVerificationLink(user);
+    res.json({ message: `We sent a new verification link to ${user.email}.` });
+  } catch (err) {
+    console.error('Error resending verification email:', err);
+    res.status(500).json({ error: 'Failed to send the verification email.' });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current logged-in user info
  */
 router.get('/me', authenticateToken, (req, res) => {
-  const user = db.prepare('SELECT id, username, email, created_at FROM users WHERE id = ?').get(req.user.id);
+  const user = db.prepare(
+    'SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?'
+  ).get(req.user.id);
   if (!user) {
     return res.status(404).json({ error: 'User not found.' });
   }
   res.json({ user });
 });
 
+/**
+ * PATCH /api/auth/me
+ * Change the username and/or email of the current user (auth required).
+ * Changing the email takes the current password (`currentPassword`); the
+ * old address is told and the new one has to be verified before booking.
+ */
+router.patch('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = db.prepare('SELECT id, username, email, email_verified_at, password FROM users WHERE id = ?').get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const username = req.body.username ?? user.username;
+    const email = req.body.email ?? user.email;
+
+    if (typeof username !== 'string' || username.length < MIN_USERNAME_LENGTH) {
+      return res.status(400).json({ error: `Username must be at least ${MIN_USERNAME_LENGTH} characters long.` });
+    }
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ error: 'Please provide a valid email address.' });
+    }
+
+    const emailChanged = email !== user.email;
+    if (username === user.username && !emailChanged) {
+      return res.status(400).json({ error: 'Nothing to update.' });
+    }
+
+    // A stolen session must not be enough to take over the account
+    if (emailChanged) {
+      if (!req.body.currentPassword) {
+        return res.status(400).json({ error: 'Enter your current password to change your email address.' });
+      }
+      if (!(await bcrypt.compare(String(req.body.currentPassword), user.password))) {
+        return res.status(400).json({ error: 'Your current password is incorrect.' });
+      }
+    }
+
+    const existingUser = db.prepare(
+      'SELECT id FROM users WHERE (email = ? OR username = ?) AND id != ?'
+    ).get(email, username, user.id);
+    if (existingUser) {
+      return res.status(409).json({ error: 'A user with this email or username already exists.' });
+    }
+
+    // Changing the email sends a verification link to the new address, as
+    // often as resending one would
+    if (emailChanged) {
+      const lastSentAt = lastUserTokenAt(user.id, 'email_verification');
+      if (lastSentAt && Date.now() - lastSentAt < ACCOUNT_EMAIL_INTERVAL_MS) {
+        return res.status(429).json({ error: 'We just sent you a verification link. Please wait a minute before changing your email again.' });
+      }
+    }
+
+    db.prepare(`
+      UPDATE users
+      SET username = ?, email = ?, email_verified_at = CASE WHEN ? THEN NULL ELSE email_verified_at END
+      WHERE id = ?
+    `).run(username, email, emailChanged ? 1 : 0, user.id);
+
+    if (emailChanged) {
+      // A reset link sent to the old address should not work any more
+      invalidateUserTokens(user.id, 'password_reset');
+      sendVerificationLink({ id: user.id, username, email });
+      sendEmailChangedEmail({ username, email }, user.email)
+        .catch(err => console.error('Error sending email change notice:', err));
+    }
+
+    const updated = db.prepare(
+      'SELECT id, username, email, role, email_verified_at, created_at FROM users WHERE id = ?'
+    ).get(user.id);
+    res.json({
+      message: emailChanged
+        ? `Profile updated. We sent a link to ${email} to verify your new address.`
+        : 'Profile updated.',
+      user: updated
+    });
+  } catch (err) {
+    console.error('Error updating profile:', err);
+    res.status(500).json({ error: 'Failed to update your profile.' });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the password of the current user, given their current one (auth
+ * required). Every other session is signed out; this one stays signed in.
+ */
+router.post('/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current password and new password are required.' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.` });
+    }
+
+    const user = db.prepare('SELECT id, password FROM users WHERE id = ?').get(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ error: 'Your current password is incorrect.' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+    db.prepare('UPDATE users SET password = ? WHERE id = ?').run(hashedPassword, user.id);
+    revokeUserSessions(user.id, req.user.sid);
+    invalidateUserTokens(user.id, 'password_reset');
+
+    res.json({ message: 'Your password has been changed. Your other devices have been signed out.' });
+  } catch (err) {
+    console.error('Change password error:', err);
+    res.status(500).json({ error: 'Internal server error while changing password.' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the devices the user is signed in on (auth required)
+ */
+router.get('/sessions', authenticateToken, (req, res) => {
+  try {
+    res.json({ sessions: listUserSessions(req.user.id, req.user.sid) });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ error: 'Failed to fetch sessions.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the user's sessions, e.g. a lost phone (auth required)
+ */
+router.delete('/sessions/:id', authenticateToken, (req, res) => {
+  try {
+    const session = db.prepare('SELECT id FROM sessions WHERE id = ? AND user_id = ?').get(req.params.id, req.user.id);
+    if (!session || !revokeSession(session.id)) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+
+    if (session.id === req.user.sid) clearSessionCookies(res);
+    res.json({ message: 'Session signed out.' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Failed to sign out the session.' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere, this session included (auth required)
+ */
+router.delete('/sessions', authenticateToken, (req, res) => {
+  try {
+    const count = revokeUserSessions(req.user.id);
+    clearSessionCookies(res);
+    res.json({ message: `Signed out of ${count} session(s).` });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Failed to sign out everywhere.' });
+  }
+});
+
 module.exports = router;
@@ -1,126 +1,107 @@
 // server/routes/bookings.js
 const express = require('express');
-const crypto = require('crypto');
-const Razorpay = require('razorpay');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 const db = require('../db');
+const {
+  localDate, getShow, getShowPrices, getScreenLayout, ensureShowSeats, checkSeatSelection, findBestSeats, getSeatMap
+} = require('../services/shows');
+const { HOLD_TTL_SECONDS, MAX_HOLD_SEATS, createHold, getActiveHold, releaseHold } = require('../services/holds');
+const { priceSeats, buildPriceBreakdown } = require('../services/pricing');
+const { formatBooking, confirmBooking, refundUnconfirmedPayment, processPaymentEvent } = require('../services/bookings');
+const payments = require('../services/payments');
+const { renderTicketQr, writeTicketPdf } = require('../services/tickets');
+const { getCancellationQuote } = require('../services/cancellation');
+const { checkPromotionLimits, evaluatePromotion } = require('../services/promotions');
+const { issueInvoice, writeInvoicePdf } = require('../services/invoices');
+const { listConcessions, priceConcessions, saveBookingItems, restoreStock } = require('../services/concessions');
+const { buildCalendar, getCalendarFeedToken, rotateCalendarFeedToken, getFeedBookings } = require('../services/calendar');
+const { quoteExchange, createExchange, completeExchange, completePaidExchange, getBookingChanges } = require('../services/exchanges');
+const { queueBookingRefund, summarizeRefunds, sendQueuedRefunds } = require('../services/refunds');
+const { notifySeatsChanged, subscribeToSeats } = require('../services/seatEvents');
+const { checkWaitlistRequest, joinWaitlist, processWaitlist, leaveWaitlist, getUserWaitlist } = require('../services/waitlist');
 
 const router = express.Router();
 
-// Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
-// ===== THEATER DATA (Simulated) =====
-const THEATER_TEMPLATES = {
-  default: [
-    { name: 'PVR Cinemas', suffix: 'City Center Mall' },
-    { name: 'INOX', suffix: 'Metro Junction' },
-    { name: 'Cinepolis', suffix: 'Phoenix Mall' },
-    { name: 'Carnival Cinemas', suffix: 'Central Plaza' },
-    { name: 'Miraj Cinemas', suffix: 'Star Mall' },
-  ],
-  mumbai: [
-    { name: 'PVR Cinemas', suffix: 'Phoenix Palladium, Lower Parel' },
-    { name: 'INOX', suffix: 'R-City Mall, Ghatkopar' },
-    { name: 'Cinepolis', suffix: 'Viviana Mall, Thane' },
-    { name: 'PVR LUXE', suffix: 'High Street Phoenix' },
-    { name: 'Carnival Cinemas', suffix: 'Andheri West' },
-  ],
-  delhi: [
-    { name: 'PVR Cinemas', suffix: 'Select Citywalk, Saket' },
-    { name: 'INOX', suffix: 'Nehru Place' },
-    { name: 'Cinepolis', suffix: 'DLF Mall of India, Noida' },
-    { name: 'PVR Director\'s Cut', suffix: 'Ambience Mall, Vasant Kunj' },
-    { name: 'Wave Cinemas', suffix: 'Raja Garden' },
-  ],
-  bangalore: [
-    { name: 'PVR Cinemas', suffix: 'Forum Mall, Koramangala' },
-    { name: 'INOX', suffix: 'Garuda Mall, MG Road' },
-    { name: 'Cinepolis', suffix: 'Royal Meenakshi Mall' },
-    { name: 'PVR LUXE', suffix: 'Phoenix Marketcity, Whitefield' },
-    { name: 'Innovative Multiplex', suffix: 'Marathahalli' },
-  ],
-  hyderabad: [
-    { name: 'PVR Cinemas', suffix: 'Inorbit Mall, Madhapur' },
-    { name: 'INOX', suffix: 'GVK One, Banjara Hills' },
-    { name: 'Cinepolis', suffix: 'Mantra Mall, Attapur' },
-    { name: 'AMB Cinemas', suffix: 'Gachibowli' },
-    { name: 'Carnival Cinemas', suffix: 'Kukatpally' },
-  ],
-  chennai: [
-    { name: 'PVR Cinemas', suffix: 'VR Chennai, Anna Nagar' },
-    { name: 'INOX', suffix: 'Chennai Citi Centre' },
-    { name: 'SPI Cinemas', suffix: 'Palazzo, Saligramam' },
-    { name: 'AGS Cinemas', suffix: 'T. Nagar' },
-    { name: 'Rohini Silver Screens', suffix: 'Koyambedu' },
-  ],
-  kolkata: [
-    { name: 'PVR Cinemas', suffix: 'South City Mall' },
-    { name: 'INOX', suffix: 'Forum Courtyard, Elgin Road' },
-    { name: 'Cinepolis', suffix: 'Acropolis Mall, Kasba' },
-    { name: 'Carnival Cinemas', suffix: 'Salt Lake' },
-    { name: 'Mani Square INOX', suffix: 'E.M. Bypass' },
-  ],
-  pune: [
-    { name: 'PVR Cinemas', suffix: 'Phoenix Marketcity, Viman Nagar' },
-    { name: 'INOX', suffix: 'Bund Garden Road' },
-    { name: 'Cinepolis', suffix: 'Westend Mall, Aundh' },
-    { name: 'E-Square', suffix: 'University Road' },
-    { name: 'Carnival Cinemas', suffix: 'Hinjewadi' },
-  ]
-};
-
-const SHOWTIMES = ['10:00 AM', '12:30 PM', '03:15 PM', '06:30 PM', '09:45 PM'];
-const SCREENS = ['Screen 1', 'Screen 2', 'Screen 3'];
-
-// Seat pricing tiers (INR)
-const SEAT_PRICING = {
-  recliner: { price: 350, rows: ['A', 'B'] },
-  premium: { price: 250, rows: ['C', 'D', 'E'] },
-  standard: { price: 150, rows: ['F', 'G', 'H'] }
-};
+// Largest group the best seats suggestion looks for
+const MAX_BEST_SEATS = 10;
+const SEAT_STREAM_KEEP_ALIVE_MS = 25 * 1000;
 
 /**
  * GET /api/bookings/theaters
- * Get theaters for a city showing a particular movie
+ * Get theaters in a city with the shows scheduled for a movie on a date.
+ * Without a date, the first date with upcoming shows is used.
  */
 router.get('/theaters', (req, res) => {
   try {
     const { city, movieId } = req.query;
 
-    if (!city) {
-      return res.status(400).json({ error: 'City is required.' });
+    if (!city || !movieId) {
+      return res.status(400).json({ error: 'City and movieId are required.' });
     }
 
-    const cityKey = city.toLowerCase().trim();
-    const templates = THEATER_TEMPLATES[cityKey] || THEATER_TEMPLATES.default;
+    const now = new Date().toISOString();
 
-    // Generate theaters with showtimes
-    const theaters = templates.map((t, index) => {
-      // Each theater gets 2-3 screens with different showtimes
-      const screenCount = 2 + (index % 2);
-      const screens = SCREENS.slice(0, screenCount).map(screen => {
-        // Pick 3-4 showtimes per screen
-        const startIdx = index % 2;
-        const times = SHOWTIMES.slice(startIdx, startIdx + 3 + (index % 2));
-        return { screen, showtimes: times };
-      });
+    // Dates that have upcoming shows of this movie in the city
+    const dates = db.prepare(`
+      SELECT DISTINCT s.show_date
+      FROM shows s
+      JOIN screens sc ON sc.id = s.screen_id
+      JOIN theaters t ON t.id = sc.theater_id
+      WHERE s.movie_id = ? AND LOWER(t.city) = LOWER(?) AND s.starts_at > ?
+      ORDER BY s.show_date
+    `).all(movieId, city.trim(), now).map(r => r.show_date);
+
+    const date = req.query.date || dates[0] || localDate();
+
+    const shows = db.prepare(`
+      SELECT s.id, s.starts_at, s.show_date, s.show_time, s.price_tiers,
+             sc.id AS screen_id, sc.name AS screen_name,
+             t.id AS theater_id, t.name, t.location, t.city, t.distance_km, t.rating, t.facilities
+      FROM shows s
+      JOIN screens sc ON sc.id = s.screen_id
+      JOIN theaters t ON t.id = sc.theater_id
+      WHERE s.movie_id = ? AND LOWER(t.city) = LOWER(?) AND s.show_date = ? AND s.starts_at > ?
+      ORDER BY t.distance_km, sc.name, s.starts_at
+    `).all(movieId, city.trim(), date, now);
+
+    // Group shows by theater, then by screen
+    const theaters = [];
+    shows.forEach(show => {
+      let theater = theaters.find(t => t.id === show.theater_id);
+      if (!theater) {
+        theater = {
+          id: show.theater_id,
+          name: `${show.name} - ${show.location}`,
+          city: show.city,
+          distance: `${show.distance_km.toFixed(1)} km`,
+          rating: show.rating.toFixed(1),
+          screens: [],
+          facilities: JSON.parse(show.facilities)
+        };
+        theaters.push(theater);
+      }
+
+      let screen = theater.screens.find(s => s.screenId === show.screen_id);
+      if (!screen) {
+        screen = { screenId: show.screen_id, screen: show.screen_name, showtimes: [] };
+        theater.screens.push(screen);
+      }
 
-      return {
-        id: `theater_${cityKey}_${index}`,
-        name: `${t.name} - ${t.suffix}`,
-        city: city,
-        distance: `${(1.5 + index * 2.3).toFixed(1)} km`,
-        rating: (3.8 + (index * 0.3) % 1.2).toFixed(1),
-        screens,
-        facilities: ['Parking', 'Food Court', index % 2 === 0 ? 'Dolby Atmos' : '4DX', 'M-Ticket']
-      };
+      // Prices after the pricing rules, as the seat map will show them
+      const prices = getShowPrices({
+        ...show,
+        price_tiers: JSON.parse(show.price_tiers),
+        facilities: theater.facilities
+      });
+      screen.showtimes.push({
+        showId: show.id,
+        time: show.show_time,
+        startsAt: show.starts_at,
+        prices: Object.fromEntries(Object.entries(prices).map(([tier, p]) => [tier, p.price]))
+      });
     });
 
-    res.json({ theaters });
+    res.json({ date, dates, theaters });
   } catch (err) {
     console.error('Error fetching theaters:', err);
     res.status(500).json({ error: 'Failed to fetch theaters.' });
@@ -133,67 +114,34 @@ router.get('/theaters', (req, res) => {
  */
 router.get('/seats', (req, res) => {
   try {
-    const { theaterId, screen, showtime, date } = req.query;
-
-    if (!theaterId || !screen || !showtime || !date) {
-      return res.status(400).json({ error: 'theaterId, screen, showtime, and date are required.' });
-    }
-
-    // Generate deterministic seat map based on the combination
-    const seed = `${theaterId}-${screen}-${showtime}-${date}`;
-    let hash = 0;
-    for (let i = 0; i < seed.length; i++) {
-      hash = ((hash << 5) - hash) + seed.charCodeAt(i);
-      hash |= 0;
-    }
-
-    const rows = Object.entries(SEAT_PRICING).flatMap(([tier, config]) =>
-      config.rows.map(row => {
-        const seats = [];
-        for (let i = 1; i <= 12; i++) {
-          // Deterministic "booked" seats based on hash
-          const seatHash = Math.abs(hash * (row.charCodeAt(0) + i)) % 100;
-          const isBooked = seatHash < 30; // ~30% already booked
-          seats.push({
-            id: `${row}${i}`,
-            row,
-            number: i,
-            tier,
-            price: config.price,
-            status: isBooked ? 'booked' : 'available'
-          });
-        }
-        return { row, tier, price: config.price, seats };
-      })
-    );
-
-    // Check if any seats in this show are already booked by real users
-    const existingBookings = db.prepare(
-      `SELECT seats FROM bookings
-       WHERE show_date = ? AND show_time = ? AND theater_name LIKE ?
-       AND booking_status = 'confirmed'`
-    ).all(date, showtime, `%${theaterId.split('_').pop()}%`);
-
-    const bookedSeats = new Set();
-    existingBookings.forEach(b => {
-      try {
-        JSON.parse(b.seats).forEach(s => bookedSeats.add(s));
-      } catch (e) { /* ignore */ }
-    });
+    const { showId } = req.query;
 
-    // Mark real user-booked seats
-    rows.forEach(row => {
-      row.seats.forEach(seat => {
-        if (bookedSeats.has(seat.id)) {
-          seat.status = 'booked';
-        }
-      });
+    if (!showId) {
+      return res.status(400).json({ error: 'showId is required.' });
+    }
+
+    const show = getShow(showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    const rows = getSeatMap(show);
+
+    // Current tier prices, the rules behind them and the rows, for the legend
+    const prices = getShowPrices(show);
+    const pricing = {};
+    rows.forEach(r => {
+      if (!pricing[r.tier]) pricing[r.tier] = { ...prices[r.tier], rows: [] };
+      pricing[r.tier].rows.push(r.row);
     });
 
     res.json({
       seatMap: rows,
-      pricing: SEAT_PRICING,
-      totalSeats: rows.reduce((sum, r) => sum + r.seats.length, 0),
+      // Width of the layout grid, in cells
+      columns: Math.max(...rows.flatMap(r => r.seats.map(s => s.col))),
+      screenPosition: getScreenLayout(show.screen_id).screen,
+      pricing,
+      totalSeats: rows.reduce((sum, r) => sum + r.seats.filter(s => s.type !== 'blocked').length, 0),
       availableSeats: rows.reduce((sum, r) => sum + r.seats.filter(s => s.status === 'available').length, 0)
     });
   } catch (err) {
@@ -202,98 +150,414 @@ router.get('/seats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/bookings/seats/stream?showId=
+ * Live seat changes of a show as Server-Sent Events: a `seats` event with
+ * { seats: [{ id, status }] } whenever seats are held, booked or released
+ */
+router.get('/seats/stream', (req, res) => {
+  try {
+    const show = req.query.showId && getShow(req.query.showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    ensureShowSeats(show);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let proxies buffer the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = subscribeToSeats(show.id, seats => {
+      res.write(`event: seats\ndata: ${JSON.stringify({ seats })}\n\n`);
+    });
+    // Comments keep idle connections from being closed along the way
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SEAT_STREAM_KEEP_ALIVE_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  } catch (err) {
+    console.error('Error streaming seats:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to stream seat availability.' });
+  }
+});
+
+/**
+ * GET /api/bookings/seats/best?showId=&count=&tier=
+ * Suggest the best free seats of a show for a group: side by side,
+ * centered and without leaving single empty seats. `tier` is preferred,
+ * not required.
+ */
+router.get('/seats/best', (req, res) => {
+  try {
+    const { showId, tier } = req.query;
+    const count = Number(req.query.count);
+
+    if (!showId || !Number.isInteger(count) || count < 1 || count > MAX_BEST_SEATS) {
+      return res.status(400).json({ error: `showId and a count from 1 to ${MAX_BEST_SEATS} are required.` });
+    }
+
+    const show = getShow(showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    const seats = findBestSeats(show, count, tier || null) || (tier && findBestSeats(show, count));
+    if (!seats) {
+      return res.status(404).json({ error: `No ${count} seats together are available. Try fewer seats or pick them yourself.` });
+    }
+
+    res.json({ seats });
+  } catch (err) {
+    console.error('Error finding best seats:', err);
+    res.status(500).json({ error: 'Failed to find seats.' });
+  }
+});
+
+/**
+ * POST /api/bookings/holds
+ * Hold up to MAX_HOLD_SEATS seats of a show during checkout (auth required).
+ * To change a booking of the same show, pass its `bookingId` so its own
+ * seats can be picked again.
+ */
+router.post('/holds', authenticateToken, (req, res) => {
+  try {
+    const { showId, seats, bookingId } = req.body;
+
+    if (!showId || !Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({ error: 'showId and at least one seat are required.' });
+    }
+
+    if (seats.length > MAX_HOLD_SEATS) {
+      return res.status(400).json({ error: `You can book at most ${MAX_HOLD_SEATS} seats at a time.` });
+    }
+
+    const show = getShow(showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    if (new Date(show.starts_at) <= new Date()) {
+      return res.status(400).json({ error: 'This show has already started.' });
+    }
+
+    // A booking of the show being changed can keep some of its seats
+    const changing = bookingId && db.prepare(
+      "SELECT id FROM bookings WHERE id = ? AND user_id = ? AND show_id = ? AND booking_status = 'confirmed'"
+    ).get(bookingId, req.user.id, show.id);
+    const changedBookingId = changing ? changing.id : null;
+
+    ensureShowSeats(show);
+    const selectionError = checkSeatSelection(show, seats, { userId: req.user.id, bookingId: changedBookingId });
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    // Seats of holds that ran out since the last sweep go to the waitlist first
+    processWaitlist(show.id);
+    const hold = createHold(req.user.id, show, seats, { bookingId: changedBookingId });
+    if (!hold) {
+      return res.status(409).json({ error: 'Some of the selected seats are no longer available.' });
+    }
+
+    const breakdown = buildPriceBreakdown(priceSeats(show.id, hold.seats).seats);
+
+    res.status(201).json({
+      holdId: hold.id,
+      showId: show.id,
+      seats: hold.seats,
+      amount: breakdown.total,
+      breakdown,
+      expiresAt: hold.expires_at,
+      ttlSeconds: HOLD_TTL_SECONDS
+    });
+  } catch (err) {
+    console.error('Error holding seats:', err);
+    res.status(500).json({ error: 'Failed to hold seats.' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/holds/:holdId
+ * Release a seat hold (auth required)
+ */
+router.delete('/holds/:holdId', authenticateToken, (req, res) => {
+  try {
+    const hold = db.prepare(
+      'SELECT id, show_id, status FROM seat_holds WHERE id = ? AND user_id = ?'
+    ).get(req.params.holdId, req.user.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found.' });
+    }
+
+    releaseHold(hold.id);
+    processWaitlist(hold.show_id);
+
+    res.json({ message: 'Seats released.' });
+  } catch (err) {
+    console.error('Error releasing hold:', err);
+    res.status(500).json({ error: 'Failed to release seats.' });
+  }
+});
+
+/**
+ * GET /api/bookings/concessions?showId=
+ * Get the food & beverage menu of a show's theater
+ */
+router.get('/concessions', (req, res) => {
+  try {
+    const show = req.query.showId && getShow(req.query.showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    res.json({ items: listConcessions(show.theater_id) });
+  } catch (err) {
+    console.error('Error fetching concessions:', err);
+    res.status(500).json({ error: 'Failed to fetch food & beverages.' });
+  }
+});
+
+/**
+ * Helper: price a checkout of a seat hold with an optional promo code and
+ * food & beverage items ([{ id, quantity }]).
+ * Returns { show, breakdown, promotion, items }, or { error }.
+ */
+function priceCheckout(userId, hold, { promoCode, items }) {
+  const show = getShow(hold.show_id);
+  const { seats } = priceSeats(show.id, hold.seats);
+
+  const concessions = priceConcessions(show.theater_id, items || []);
+  if (concessions.error) {
+    return { error: concessions.error };
+  }
+
+  let promotion = null;
+  let discountOptions = {};
+  if (promoCode) {
+    const promo = evaluatePromotion(promoCode, { userId, show, seats, holdId: hold.id });
+    if (!promo.valid) {
+      return { error: promo.reason };
+    }
+    promotion = promo.promotion;
+    discountOptions = { discount: promo.discount, discountSeatIds: promo.discountSeatIds };
+  }
+
+  const breakdown = buildPriceBreakdown(seats, { ...discountOptions, items: concessions.items });
+  return { show, breakdown, promotion, items: concessions.items };
+}
+
+/**
+ * POST /api/bookings/quote
+ * Preview the price breakdown of a seat hold with food & beverage items (auth required)
+ */
+router.post('/quote', authenticateToken, (req, res) => {
+  try {
+    const { holdId, items, promoCode } = req.body;
+
+    const hold = holdId && getActiveHold(holdId, req.user.id);
+    if (!hold) {
+      return res.status(409).json({ error: 'Your seat hold has expired. Please select your seats again.' });
+    }
+
+    const { error, breakdown } = priceCheckout(req.user.id, hold, { promoCode, items });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ breakdown });
+  } catch (err) {
+    console.error('Error pricing checkout:', err);
+    res.status(500).json({ error: 'Failed to price your booking.' });
+  }
+});
+
+/**
+ * POST /api/bookings/apply-promo
+ * Check a promo code against a seat hold and preview the discount (auth required)
+ */
+router.post('/apply-promo', authenticateToken, (req, res) => {
+  try {
+    const { holdId, code, items } = req.body;
+
+    if (!holdId || !code) {
+      return res.status(400).json({ error: 'holdId and code are required.' });
+    }
+
+    const hold = getActiveHold(holdId, req.user.id);
+    if (!hold) {
+      return res.status(409).json({ error: 'Your seat hold has expired. Please select your seats again.' });
+    }
+
+    const { error, breakdown, promotion } = priceCheckout(req.user.id, hold, { promoCode: code, items });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      code: promotion.code,
+      description: promotion.description,
+      discount: breakdown.discount,
+      total: breakdown.total,
+      breakdown
+    });
+  } catch (err) {
+    console.error('Error applying promo code:', err);
+    res.status(500).json({ error: 'Failed to apply promo code.' });
+  }
+});
+
 /**
  * POST /api/bookings/create-order
- * Create a Razorpay order (auth required)
+ * Create a payment order for a seat hold (auth and a verified email required)
  */
-router.post('/create-order', authenticateToken, async (req, res) => {
+router.post('/create-order', authenticateToken, requireVerifiedEmail, async (req, res) => {
   try {
-    const { amount, movieTitle, seats } = req.body;
+    const { holdId, movieTitle, moviePoster, promoCode, items } = req.body;
 
-    if (!amount || !movieTitle || !seats) {
-      return res.status(400).json({ error: 'Amount, movieTitle, and seats are required.' });
+    if (!holdId || !movieTitle) {
+      return res.status(400).json({ error: 'holdId and movieTitle are required.' });
     }
 
-    const options = {
-      amount: Math.round(amount * 100), // Razorpay expects amount in paise
+    const hold = getActiveHold(holdId, req.user.id);
+    if (!hold) {
+      return res.status(409).json({ error: 'Your seat hold has expired. Please select your seats again.' });
+    }
+
+    // Everything is priced again here; the preview may be stale
+    const { error, show, breakdown, promotion, items: orderedItems } = priceCheckout(req.user.id, hold, { promoCode, items });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const promotionId = promotion ? promotion.id : null;
+    const total = breakdown.total;
+
+    const order = await payments.createOrder({
+      amount: Math.round(total * 100), // Amounts are in paise
       currency: 'INR',
       receipt: `booking_${Date.now()}_${req.user.id}`,
       notes: {
         movieTitle,
-        seats: JSON.stringify(seats),
+        seats: JSON.stringify(hold.seats),
         userId: req.user.id.toString()
       }
-    };
+    });
+
+    // Record the booking as pending until the payment is verified.
+    // A retry for the same hold replaces the order on its pending booking.
+    // The promo code limits are checked again along with the write, since
+    // other checkouts may have redeemed the code while the order was created.
+    const bookingId = db.transaction(() => {
+      if (promotion && checkPromotionLimits(promotion, req.user.id, { holdId: hold.id })) {
+        return null;
+      }
 
-    const order = await razorpay.orders.create(options);
+      const pending = db.prepare(
+        "SELECT id FROM bookings WHERE hold_id = ? AND booking_status = 'pending'"
+      ).get(hold.id);
+
+      let id;
+      if (pending) {
+        db.prepare(
+          `UPDATE bookings
+           SET razorpay_order_id = ?, total_amount = ?, price_breakdown = ?, promotion_id = ?, discount_amount = ?
+           WHERE id = ?`
+        ).run(order.id, total, JSON.stringify(breakdown), promotionId, breakdown.discount, pending.id);
+        id = pending.id;
+      } else {
+        const result = db.prepare(`
+          INSERT INTO bookings (
+            user_id, show_id, hold_id, movie_id, movie_title, movie_poster,
+            theater_name, city, show_date, show_time, screen,
+            seats, seat_count, total_amount, price_breakdown, promotion_id, discount_amount,
+            razorpay_order_id, booking_status
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+        `).run(
+          req.user.id, show.id, hold.id, show.movie_id, movieTitle, moviePoster || null,
+          show.theater_name, show.city, show.show_date, show.show_time, show.screen,
+          JSON.stringify(hold.seats), hold.seats.length, total, JSON.stringify(breakdown), promotionId, breakdown.discount,
+          order.id
+        );
+        id = result.lastInsertRowid;
+      }
+      saveBookingItems(id, orderedItems);
+      return id;
+    })();
+
+    if (!bookingId) {
+      return res.status(409).json({ error: 'This promo code was just redeemed by another booking. Please remove it and try again.' });
+    }
 
     res.json({
+      bookingId,
       orderId: order.id,
+      breakdown,
       amount: order.amount,
       currency: order.currency,
-      key: process.env.RAZORPAY_KEY_ID
+      key: payments.keyId,
+      provider: payments.name
     });
   } catch (err) {
-    console.error('Error creating Razorpay order:', err);
-    res.status(500).json({ error: 'Failed to create payment order. Check Razorpay keys in .env' });
+    console.error('Error creating payment order:', err);
+    res.status(500).json({ error: `Failed to create payment order. Check ${payments.name} payment settings in .env` });
   }
 });
 
 /**
  * POST /api/bookings/verify-payment
- * Verify Razorpay payment and confirm booking (auth required)
+ * Verify a checkout payment and confirm the pending booking of the order (auth required)
  */
 router.post('/verify-payment', authenticateToken, (req, res) => {
   try {
-    const {
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature,
-      movie_id, movie_title, movie_poster,
-      theater_name, city, show_date, show_time, screen,
-      seats, total_amount
-    } = req.body;
-
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body)
-      .digest('hex');
-
-    if (expectedSignature !== razorpay_signature) {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ error: 'razorpay_order_id, razorpay_payment_id, and razorpay_signature are required.' });
+    }
+
+    const isValid = payments.verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!isValid) {
       return res.status(400).json({ error: 'Payment verification failed. Invalid signature.' });
     }
 
-    // Save booking
-    const result = db.prepare(`
-      INSERT INTO bookings (
-        user_id, movie_id, movie_title, movie_poster,
-        theater_name, city, show_date, show_time, screen,
-        seats, seat_count, total_amount,
-        razorpay_order_id, razorpay_payment_id, razorpay_signature,
-        booking_status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'confirmed')
-    `).run(
-      req.user.id, movie_id, movie_title, movie_poster || null,
-      theater_name, city, show_date, show_time, screen || 'Screen 1',
-      JSON.stringify(seats), seats.length, total_amount,
-      razorpay_order_id, razorpay_payment_id, razorpay_signature
-    );
+    const booking = db.prepare(
+      'SELECT * FROM bookings WHERE razorpay_order_id = ? AND user_id = ?'
+    ).get(razorpay_order_id, req.user.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'No booking found for this order.' });
+    }
+
+    const confirmed = confirmBooking(booking, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!confirmed) {
+      if (refundUnconfirmedPayment(booking, { paymentId: razorpay_payment_id })) {
+        sendQueuedRefunds().catch(err => console.error('Error sending refunds:', err));
+      }
+      return res.status(409).json({
+        error: 'Your seat hold expired and the seats were taken before the payment completed. Your payment will be refunded.'
+      });
+    }
 
     res.status(201).json({
       message: 'Booking confirmed!',
-      booking: {
-        id: result.lastInsertRowid,
-        movie_title,
-        theater_name,
-        city,
-        show_date,
-        show_time,
-        seats,
-        total_amount,
-        booking_status: 'confirmed'
-      }
+      booking: confirmed
     });
   } catch (err) {
     console.error('Error verifying payment:', err);
@@ -301,22 +565,190 @@ router.post('/verify-payment', authenticateToken, (req, res) => {
   }
 });
 
+/**
+ * POST /api/bookings/webhooks/razorpay
+ * Payment gateway webhook, so bookings get confirmed even when the browser
+ * never returns from checkout. The signature is checked over the raw body.
+ */
+router.post('/webhooks/razorpay', (req, res) => {
+  try {
+    const event = payments.parseWebhook(req.rawBody || Buffer.from(''), req.headers);
+
+    if (!event) {
+      return res.status(400).json({ error: 'Invalid webhook signature.' });
+    }
+
+    res.json({ status: processPaymentEvent(event) });
+    // Payments that could not be applied are queued for a refund
+    sendQueuedRefunds().catch(err => console.error('Error sending refunds:', err));
+  } catch (err) {
+    console.error('Error handling payment webhook:', err);
+    res.status(500).json({ error: 'Failed to process webhook.' });
+  }
+});
+
+/**
+ * GET /api/bookings/calendar/feed
+ * Get the path of the user's subscribable calendar feed (auth required)
+ */
+router.get('/calendar/feed', authenticateToken, (req, res) => {
+  try {
+    const token = getCalendarFeedToken(req.user.id);
+    if (!token) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    res.json({ path: `/api/bookings/calendar/${token}.ics` });
+  } catch (err) {
+    console.error('Error getting calendar feed:', err);
+    res.status(500).json({ error: 'Failed to get calendar feed.' });
+  }
+});
+
+/**
+ * POST /api/bookings/calendar/feed/rotate
+ * Replace the calendar feed URL, e.g. after it was shared by mistake (auth required)
+ */
+router.post('/calendar/feed/rotate', authenticateToken, (req, res) => {
+  try {
+    const token = rotateCalendarFeedToken(req.user.id);
+    res.json({ path: `/api/bookings/calendar/${token}.ics` });
+  } catch (err) {
+    console.error('Error rotating calendar feed:', err);
+    res.status(500).json({ error: 'Failed to rotate calendar feed.' });
+  }
+});
+
+/**
+ * GET /api/bookings/calendar/:feedToken.ics
+ * Calendar feed of a user's upcoming confirmed bookings. Calendar apps
+ * can't log in, so the secret token in the URL identifies the user.
+ */
+router.get('/calendar/:feedToken.ics', (req, res) => {
+  try {
+    const bookings = getFeedBookings(req.params.feedToken);
+    if (!bookings) {
+      return res.status(404).json({ error: 'Calendar feed not found.' });
+    }
+
+    res.type('text/calendar; charset=utf-8').send(buildCalendar(bookings, 'MovieVerse Bookings'));
+  } catch (err) {
+    console.error('Error generating calendar feed:', err);
+    res.status(500).json({ error: 'Failed to generate calendar feed.' });
+  }
+});
+
+/**
+ * POST /api/bookings/waitlist
+ * Join the waitlist of a sold-out show for a number of seats, optionally
+ * of one tier. Freed seats are offered in the order users joined. (auth required)
+ */
+router.post('/waitlist', authenticateToken, (req, res) => {
+  try {
+    const { showId, seatCount, tier, movieTitle, moviePoster } = req.body;
+
+    if (!showId || !movieTitle) {
+      return res.status(400).json({ error: 'showId and movieTitle are required.' });
+    }
+
+    const show = getShow(showId);
+    if (!show) {
+      return res.status(404).json({ error: 'Show not found.' });
+    }
+
+    ensureShowSeats(show);
+    processWaitlist(show.id);
+    const error = checkWaitlistRequest(show, { seatCount: Number(seatCount), tier });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = db.prepare(
+      "SELECT id FROM waitlist_entries WHERE user_id = ? AND show_id = ? AND status IN ('waiting', 'offered')"
+    ).get(req.user.id, show.id);
+    if (existing) {
+      return res.status(409).json({ error: 'You are already on the waitlist for this show.' });
+    }
+
+    const entry = joinWaitlist(req.user.id, show, { seatCount: Number(seatCount), tier, movieTitle, moviePoster });
+    res.status(201).json({
+      message: "You're on the waitlist. We'll hold seats for you if any free up.",
+      entry: getUserWaitlist(req.user.id).find(e => e.id === entry.id)
+    });
+  } catch (err) {
+    console.error('Error joining waitlist:', err);
+    res.status(500).json({ error: 'Failed to join the waitlist.' });
+  }
+});
+
+/**
+ * GET /api/bookings/waitlist
+ * Get the user's waitlist entries with any seats held for them (auth required)
+ */
+router.get('/waitlist', authenticateToken, (req, res) => {
+  try {
+    res.json({ entries: getUserWaitlist(req.user.id) });
+  } catch (err) {
+    console.error('Error fetching waitlist:', err);
+    res.status(500).json({ error: 'Failed to fetch waitlist.' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/waitlist/:id
+ * Leave a waitlist, giving up any seats held for the user (auth required)
+ */
+router.delete('/waitlist/:id', authenticateToken, (req, res) => {
+  try {
+    const entry = db.prepare(
+      "SELECT * FROM waitlist_entries WHERE id = ? AND user_id = ? AND status IN ('waiting', 'offered')"
+    ).get(req.params.id, req.user.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Waitlist entry not found.' });
+    }
+
+    leaveWaitlist(entry);
+
+    res.json({ message: 'You have left the waitlist.' });
+  } catch (err) {
+    console.error('Error leaving waitlist:', err);
+    res.status(500).json({ error: 'Failed to leave the waitlist.' });
+  }
+});
+
 /**
  * GET /api/bookings
  * Get user's booking history (auth required)
  */
 router.get('/', authenticateToken, (req, res) => {
   try {
-    const bookings = db.prepare(
-      'SELECT * FROM bookings WHERE user_id = ? ORDER BY booked_at DESC'
-    ).all(req.user.id);
+    // Pending and failed bookings are unpaid checkouts, not bookings yet
+    const bookings = db.prepare(`
+      SELECT b.*, i.invoice_number FROM bookings b
+      LEFT JOIN invoices i ON i.booking_id = b.id
+      WHERE b.user_id = ? AND b.booking_status NOT IN ('pending', 'failed')
+      ORDER BY b.booked_at DESC
+    `).all(req.user.id);
 
-    const mapped = bookings.map(b => ({
-      ...b,
-      seats: JSON.parse(b.seats || '[]')
-    }));
+    // Attach what was refunded (on cancellation or when a change cost less),
+    // processed once every part of it is
+    const refunds = db.prepare(`
+      SELECT r.booking_id, SUM(r.amount) AS amount,
+             CASE WHEN SUM(r.status != 'processed') = 0 THEN 'processed' ELSE 'pending' END AS status,
+             MIN(r.created_at) AS created_at, MAX(r.processed_at) AS processed_at
+      FROM refunds r JOIN bookings b ON b.id = r.booking_id
+      WHERE b.user_id = ?
+      GROUP BY r.booking_id
+    `).all(req.user.id);
 
-    res.json({ bookings: mapped });
+    res.json({
+      bookings: bookings.map(b => ({
+        ...formatBooking(b),
+        refund: refunds.find(r => r.booking_id === b.id) || null,
+        changes: getBookingChanges(b.id)
+      }))
+    });
   } catch (err) {
     console.error('Error fetching bookings:', err);
     res.status(500).json({ error: 'Failed to fetch bookings.' });
@@ -324,20 +756,317 @@ router.get('/', authenticateToken, (req, res) => {
 });
 
 /**
- * DELETE /api/bookings/:id
- * Cancel a booking (auth required)
+ * Middleware: reject a :id route param that is not a booking id
  */
-router.delete('/:id', authenticateToken, (req, res) => {
+function checkBookingId(req, res, next) {
+  if (isNaN(parseInt(req.params.id, 10))) {
+    return res.status(400).json({ error: 'Invalid booking ID.' });
+  }
+  next();
+}
+
+/**
+ * Helper: find a booking of the logged-in user from the :id route param
+ * (checked by checkBookingId)
+ */
+function findUserBooking(req) {
+  return db.prepare(
+    'SELECT * FROM bookings WHERE id = ? AND user_id = ?'
+  ).get(parseInt(req.params.id, 10), req.user.id);
+}
+
+/**
+ * GET /api/bookings/:id/cancellation
+ * Preview whether a booking can be cancelled and its refund (auth required)
+ */
+router.get('/:id/cancellation', authenticateToken, checkBookingId, (req, res) => {
   try {
-    const bookingId = parseInt(req.params.id, 10);
+    const booking = findUserBooking(req);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found.' });
+    }
 
-    if (isNaN(bookingId)) {
-      return res.status(400).json({ error: 'Invalid booking ID.' });
+    if (booking.booking_status !== 'confirmed') {
+      return res.json({ cancellable: false, refundPercent: 0, refundAmount: 0, reason: 'Only confirmed bookings can be cancelled.' });
     }
 
-    const booking = db.prepare(
-      'SELECT * FROM bookings WHERE id = ? AND user_id = ?'
-    ).get(bookingId, req.user.id);
+    res.json(getCancellationQuote(booking));
+  } catch (err) {
+    console.error('Error fetching cancellation quote:', err);
+    res.status(500).json({ error: 'Failed to fetch cancellation details.' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/ticket
+ * Download the e-ticket PDF of a confirmed booking (auth required)
+ */
+router.get('/:id/ticket', authenticateToken, checkBookingId, async (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+
+    if (!booking || booking.booking_status !== 'confirmed') {
+      return res.status(404).json({ error: 'Confirmed booking not found.' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="movieverse-ticket-${booking.id}.pdf"`);
+    await writeTicketPdf(booking, res);
+  } catch (err) {
+    console.error('Error generating ticket:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate ticket.' });
+    }
+  }
+});
+
+/**
+ * GET /api/bookings/:id/ticket/qr?format=png|svg
+ * Get the QR code of a confirmed booking's ticket (auth required)
+ */
+router.get('/:id/ticket/qr', authenticateToken, checkBookingId, async (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+
+    if (!booking || booking.booking_status !== 'confirmed') {
+      return res.status(404).json({ error: 'Confirmed booking not found.' });
+    }
+
+    const format = req.query.format === 'svg' ? 'svg' : 'png';
+    const qr = await renderTicketQr(booking, format);
+
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(qr);
+  } catch (err) {
+    console.error('Error generating ticket QR code:', err);
+    res.status(500).json({ error: 'Failed to generate ticket QR code.' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/calendar.ics
+ * Download a confirmed booking as a calendar event (auth required)
+ */
+router.get('/:id/calendar.ics', authenticateToken, checkBookingId, (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+
+    if (!booking || booking.booking_status !== 'confirmed') {
+      return res.status(404).json({ error: 'Confirmed booking not found.' });
+    }
+
+    res.type('text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="movieverse-booking-${booking.id}.ics"`);
+    res.send(buildCalendar([booking]));
+  } catch (err) {
+    console.error('Error generating calendar event:', err);
+    res.status(500).json({ error: 'Failed to generate calendar event.' });
+  }
+});
+
+/**
+ * GET /api/bookings/:id/invoice
+ * Download the numbered tax invoice of a paid booking (auth required)
+ */
+router.get('/:id/invoice', authenticateToken, checkBookingId, (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+    let invoice = booking && db.prepare('SELECT * FROM invoices WHERE booking_id = ?').get(booking.id);
+
+    // Bookings confirmed before invoicing get their number on first download
+    if (booking && !invoice && booking.booking_status === 'confirmed') {
+      invoice = issueInvoice(booking.id);
+    }
+
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found.' });
+    }
+
+    const fileName = `movieverse-invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    writeInvoicePdf(booking, invoice, res);
+  } catch (err) {
+    console.error('Error generating invoice:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate invoice.' });
+    }
+  }
+});
+
+/**
+ * POST /api/bookings/:id/exchange/quote
+ * Preview changing a booking to the seats of a hold: the new price and the
+ * difference to pay (positive) or to be refunded (negative) (auth required)
+ */
+router.post('/:id/exchange/quote', authenticateToken, checkBookingId, (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found.' });
+    }
+
+    const hold = req.body.holdId && getActiveHold(req.body.holdId, req.user.id);
+    if (!hold) {
+      return res.status(409).json({ error: 'Your seat hold has expired. Please select your seats again.' });
+    }
+
+    const { error, breakdown, difference } = quoteExchange(booking, hold);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ currentAmount: booking.total_amount, breakdown, difference });
+  } catch (err) {
+    console.error('Error pricing booking change:', err);
+    res.status(500).json({ error: 'Failed to price the booking change.' });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/exchange
+ * Change a booking to another show or other seats of the same movie, held
+ * with POST /holds (auth required). When the new seats cost more, a payment
+ * order for the difference is returned and the change completes once it is
+ * paid (see /exchange/verify); otherwise the booking is changed right away
+ * and any difference refunded.
+ */
+router.post('/:id/exchange', authenticateToken, checkBookingId, async (req, res) => {
+  try {
+    const booking = findUserBooking(req);
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found.' });
+    }
+
+    const hold = req.body.holdId && getActiveHold(req.body.holdId, req.user.id);
+    if (!hold) {
+      return res.status(409).json({ error: 'Your seat hold has expired. Please select your seats again.' });
+    }
+
+    const quote = quoteExchange(booking, hold);
+    if (quote.error) {
+      return res.status(400).json({ error: quote.error });
+    }
+
+    if (quote.difference > 0) {
+      const order = await payments.createOrder({
+        amount: Math.round(quote.difference * 100), // paise
+        currency: 'INR',
+        receipt: `change_${booking.id}_${Date.now()}`,
+        notes: {
+          bookingId: booking.id.toString(),
+          seats: JSON.stringify(hold.seats),
+          userId: req.user.id.toString()
+        }
+      });
+      const change = createExchange(booking, hold, quote, { orderId: order.id });
+
+      return res.json({
+        status: 'payment_required',
+        changeId: change.id,
+        orderId: order.id,
+        breakdown: quote.breakdown,
+        difference: quote.difference,
+        amount: order.amount,
+        currency: order.currency,
+        key: payments.keyId,
+        provider: payments.name
+      });
+    }
+
+    // Change the booking and queue the refund of the difference in one go;
+    // the refund is sent once the change is committed
+    const changed = db.transaction(() => {
+      const updated = completeExchange(createExchange(booking, hold, quote).id);
+      const refundIds = updated && quote.difference < 0
+        ? queueBookingRefund(updated, -quote.difference, 'Booking changed, fare difference refunded')
+        : [];
+      return updated && { booking: updated, refundIds };
+    })();
+    if (!changed) {
+      return res.status(409).json({ error: 'Your booking could not be changed. Please try again.' });
+    }
+
+    // A refund the gateway can't take now stays queued and is retried
+    const refund = summarizeRefunds(await sendQueuedRefunds(changed.refundIds));
+    if (refund && refund.status === 'processed') {
+      db.prepare('UPDATE bookings SET payment_status = ? WHERE id = ?').run('partially_refunded', booking.id);
+    }
+    if (booking.show_id) {
+      processWaitlist(booking.show_id);
+    }
+
+    res.json({
+      status: 'completed',
+      message: 'Booking changed!',
+      booking: formatBooking(findUserBooking(req)),
+      refund
+    });
+  } catch (err) {
+    console.error('Error changing booking:', err);
+    res.status(500).json({ error: 'Failed to change booking.' });
+  }
+});
+
+/**
+ * POST /api/bookings/:id/exchange/verify
+ * Verify the payment of a booking change's fare difference and complete the change (auth required)
+ */
+router.post('/:id/exchange/verify', authenticateToken, checkBookingId, (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({ error: 'razorpay_order_id, razorpay_payment_id, and razorpay_signature are required.' });
+    }
+
+    const isValid = payments.verifyPayment({
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    if (!isValid) {
+      return res.status(400).json({ error: 'Payment verification failed. Invalid signature.' });
+    }
+
+    const booking = findUserBooking(req);
+    const change = booking && db.prepare(
+      'SELECT id, from_show_id FROM booking_changes WHERE razorpay_order_id = ? AND booking_id = ?'
+    ).get(razorpay_order_id, booking.id);
+
+    if (!change) {
+      return res.status(404).json({ error: 'No booking change found for this order.' });
+    }
+
+    const changed = completePaidExchange(change.id, { paymentId: razorpay_payment_id });
+    if (!changed) {
+      sendQueuedRefunds().catch(err => console.error('Error sending refunds:', err));
+      return res.status(409).json({
+        error: 'The new seats were taken or the booking changed before the payment completed. Your payment will be refunded.'
+      });
+    }
+    if (change.from_show_id) {
+      processWaitlist(change.from_show_id);
+    }
+
+    res.json({
+      message: 'Booking changed!',
+      booking: formatBooking(changed)
+    });
+  } catch (err) {
+    console.error('Error verifying booking change payment:', err);
+    res.status(500).json({ error: 'Failed to verify payment and change booking.' });
+  }
+});
+
+/**
+ * DELETE /api/bookings/:id
+ * Cancel a booking and refund it according to the cancellation policy (auth required)
+ */
+router.delete('/:id', authenticateToken, checkBookingId, async (req, res) => {
+  try {
+    const booking = findUserBooking(req);
 
     if (!booking) {
       return res.status(404).json({ error: 'Booking not found.' });
@@ -347,11 +1076,57 @@ router.delete('/:id', authenticateToken, (req, res) => {
       return res.status(400).json({ error: 'Booking is already cancelled.' });
     }
 
-    db.prepare(
-      'UPDATE bookings SET booking_status = ? WHERE id = ?'
-    ).run('cancelled', bookingId);
+    if (booking.booking_status !== 'confirmed') {
+      return res.status(400).json({ error: 'Only confirmed bookings can be cancelled.' });
+    }
+
+    const quote = getCancellationQuote(booking);
+    if (!quote.cancellable) {
+      return res.status(400).json({ error: quote.reason });
+    }
 
-    res.json({ message: 'Booking cancelled successfully.' });
+    // Cancel the booking, release its seats and items and queue its refund
+    // in one go. Only one request can move the booking out of 'confirmed',
+    // so concurrent cancellations can't refund it twice.
+    const refundIds = db.transaction(() => {
+      const { changes } = db.prepare(`
+        UPDATE bookings SET booking_status = 'cancelled'
+        WHERE id = ? AND booking_status = 'confirmed' AND checked_in_at IS NULL AND total_amount = ?
+      `).run(booking.id, booking.total_amount);
+      if (changes === 0) {
+        return null;
+      }
+
+      db.prepare(
+        "UPDATE show_seats SET status = 'available', booking_id = NULL WHERE booking_id = ?"
+      ).run(booking.id);
+      restoreStock(booking.id);
+
+      return quote.refundAmount > 0
+        ? queueBookingRefund(booking, quote.refundAmount, `Cancelled by user, ${quote.refundPercent}% refund`)
+        : [];
+    })();
+
+    if (!refundIds) {
+      return res.status(409).json({ error: 'This booking was cancelled or changed in the meantime. Please refresh and try again.' });
+    }
+
+    // A refund the gateway can't take now stays queued and is retried
+    const refund = summarizeRefunds(await sendQueuedRefunds(refundIds));
+    if (refund && refund.status === 'processed') {
+      db.prepare('UPDATE bookings SET payment_status = ? WHERE id = ?')
+        .run(quote.refundPercent === 100 ? 'refunded' : 'partially_refunded', booking.id);
+    }
+
+    if (booking.show_id) {
+      notifySeatsChanged(booking.show_id);
+      processWaitlist(booking.show_id);
+    }
+
+    res.json({
+      message: 'Booking cancelled successfully.',
+      refund
+    });
   } catch (err) {
     console.error('Error cancelling booking:', err);
     res.status(500).json({ error: 'Failed to cancel booking.' });
@@ -0,0 +1,39 @@
+// server/routes/checkin.js
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { checkInTicket, ticketSummary } = require('../services/tickets');
+
+const router = express.Router();
+
+/**
+ * POST /api/checkin
+ * Admit a ticket at the theater door (staff only). Takes the ticket token
+ * from the QR code, or typed in by hand.
+ */
+router.post('/', authenticateToken, requireRole('staff', 'admin'), (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Ticket token is required.' });
+    }
+
+    const { checkedIn, reason, booking } = checkInTicket(token, req.user.id);
+
+    if (!checkedIn) {
+      // A replayed ticket is a conflict; anything else is a bad ticket
+      const status = booking?.checked_in_at ? 409 : 400;
+      return res.status(status).json({
+        error: reason,
+        ticket: booking ? ticketSummary(booking) : null
+      });
+    }
+
+    res.json({ message: 'Ticket checked in.', ticket: ticketSummary(booking) });
+  } catch (err) {
+    console.error('Error checking in ticket:', err);
+    res.status(500).json({ error: 'Failed to check in ticket.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// server/routes/payments.js
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { processPaymentEvent } = require('../services/bookings');
+const { sendQueuedRefunds } = require('../services/refunds');
+const payments = require('../services/payments');
+const db = require('../db');
+
+const router = express.Router();
+
+// Only the mock gateway has routes here; they must not exist with a real one
+router.use((req, res, next) => {
+  if (payments.name !== 'mock') {
+    return res.status(404).json({ error: 'Mock payments are disabled.' });
+  }
+  next();
+});
+
+/**
+ * POST /api/payments/mock/orders/:orderId/pay
+ * Complete (or fail) a mock checkout. The gateway's webhook event is
+ * delivered right away, like Razorpay would in the background.
+ */
+router.post('/mock/orders/:orderId/pay', authenticateToken, (req, res) => {
+  try {
+    const { succeed = true } = req.body;
+
+    // Orders pay for a checkout or for the fare difference of a booking change
+    const booking = db.prepare(
+      'SELECT id FROM bookings WHERE razorpay_order_id = ? AND user_id = ?'
+    ).get(req.params.orderId, req.user.id) || db.prepare(`
+      SELECT b.id FROM booking_changes c JOIN bookings b ON b.id = c.booking_id
+      WHERE c.razorpay_order_id = ? AND b.user_id = ?
+    `).get(req.params.orderId, req.user.id);
+
+    const result = booking && payments.pay(req.params.orderId, { succeed });
+    if (!result) {
+      return res.status(404).json({ error: 'Order not found.' });
+    }
+
+    processPaymentEvent(result.event);
+    sendQueuedRefunds().catch(err => console.error('Error sending refunds:', err));
+
+    res.json(result.response);
+  } catch (err) {
+    console.error('Error processing mock payment:', err);
+    res.status(500).json({ error: 'Failed to process mock payment.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// server/routes/tickets.js
+const express = require('express');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { verifyTicketToken, ticketSummary } = require('../services/tickets');
+
+const router = express.Router();
+
+/**
+ * POST /api/tickets/verify
+ * Check a scanned ticket QR code without using it up (staff only, like
+ * check-in: the answer shows what the ticket is for)
+ */
+router.post('/verify', authenticateToken, requireRole('staff', 'admin'), (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Ticket token is required.' });
+    }
+
+    const { valid, reason, booking } = verifyTicketToken(token);
+
+    res.json({
+      valid,
+      reason,
+      ticket: valid ? ticketSummary(booking) : null
+    });
+  } catch (err) {
+    console.error('Error verifying ticket:', err);
+    res.status(500).json({ error: 'Failed to verify ticket.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// server/scripts/set-role.js
+// Gives a user a role, e.g. to let theater staff use the check-in page.
+//
+// Usage: node scripts/set-role.js <email> <customer|staff|admin>
+const db = require('../db');
+
+const ROLES = ['customer', 'staff', 'admin'];
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const result = db.prepare('UPDATE users SET role = ? WHERE email = ?').run(role, email);
+
+if (result.changes === 0) {
+  console.error(`No user with email ${email}.`);
+  process.exit(1);
+}
+
+console.log(`${email} is now ${role}.`);
@@ -0,0 +1,238 @@
+// server/seed.js
+// Seeds theaters, screens and food & beverage menus, and schedules shows
+// for the given movies. The server also seeds on start when no shows are
+// coming up (see seedIfEmpty), so a fresh deploy has showtimes.
+//
+// Usage: node seed.js [movieId ...] [--days=7]
+// Without movie ids, the movies currently playing in India are fetched from TMDB.
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fetch = require('node-fetch');
+const db = require('./db');
+const { SEAT_PRICING, localDate, zonedToUtc, localTime } = require('./services/shows');
+
+// ===== THEATER DATA =====
+const THEATERS = {
+  Mumbai: [
+    { name: 'PVR Cinemas', location: 'Phoenix Palladium, Lower Parel' },
+    { name: 'INOX', location: 'R-City Mall, Ghatkopar' },
+    { name: 'Cinepolis', location: 'Viviana Mall, Thane' },
+    { name: 'PVR LUXE', location: 'High Street Phoenix' },
+    { name: 'Carnival Cinemas', location: 'Andheri West' },
+  ],
+  Delhi: [
+    { name: 'PVR Cinemas', location: 'Select Citywalk, Saket' },
+    { name: 'INOX', location: 'Nehru Place' },
+    { name: 'Cinepolis', location: 'DLF Mall of India, Noida' },
+    { name: 'PVR Director\'s Cut', location: 'Ambience Mall, Vasant Kunj' },
+    { name: 'Wave Cinemas', location: 'Raja Garden' },
+  ],
+  Bangalore: [
+    { name: 'PVR Cinemas', location: 'Forum Mall, Koramangala' },
+    { name: 'INOX', location: 'Garuda Mall, MG Road' },
+    { name: 'Cinepolis', location: 'Royal Meenakshi Mall' },
+    { name: 'PVR LUXE', location: 'Phoenix Marketcity, Whitefield' },
+    { name: 'Innovative Multiplex', location: 'Marathahalli' },
+  ],
+  Hyderabad: [
+    { name: 'PVR Cinemas', location: 'Inorbit Mall, Madhapur' },
+    { name: 'INOX', location: 'GVK One, Banjara Hills' },
+    { name: 'Cinepolis', location: 'Mantra Mall, Attapur' },
+    { name: 'AMB Cinemas', location: 'Gachibowli' },
+    { name: 'Carnival Cinemas', location: 'Kukatpally' },
+  ],
+  Chennai: [
+    { name: 'PVR Cinemas', location: 'VR Chennai, Anna Nagar' },
+    { name: 'INOX', location: 'Chennai Citi Centre' },
+    { name: 'SPI Cinemas', location: 'Palazzo, Saligramam' },
+    { name: 'AGS Cinemas', location: 'T. Nagar' },
+    { name: 'Rohini Silver Screens', location: 'Koyambedu' },
+  ],
+  Kolkata: [
+    { name: 'PVR Cinemas', location: 'South City Mall' },
+    { name: 'INOX', location: 'Forum Courtyard, Elgin Road' },
+    { name: 'Cinepolis', location: 'Acropolis Mall, Kasba' },
+    { name: 'Carnival Cinemas', location: 'Salt Lake' },
+    { name: 'Mani Square INOX', location: 'E.M. Bypass' },
+  ],
+  Pune: [
+    { name: 'PVR Cinemas', location: 'Phoenix Marketcity, Viman Nagar' },
+    { name: 'INOX', location: 'Bund Garden Road' },
+    { name: 'Cinepolis', location: 'Westend Mall, Aundh' },
+    { name: 'E-Square', location: 'University Road' },
+    { name: 'Carnival Cinemas', location: 'Hinjewadi' },
+  ]
+};
+
+// 24h start times of the daily show slots
+const SHOW_SLOTS = ['10:00', '12:30', '15:15', '18:30', '21:45'];
+
+// Default seat prices per tier (INR)
+const DEFAULT_PRICE_TIERS = Object.fromEntries(
+  Object.entries(SEAT_PRICING).map(([tier, config]) => [tier, config.price])
+);
+
+// Layout of every theater's first screen (see services/shows): side aisles,
+// wheelchair spaces with companion seats, and couple seats at the back.
+// Other screens use the default layout.
+const FIRST_SCREEN_LAYOUT = {
+  rows: [
+    { label: 'A', tier: 'recliner', cells: 'ss_ssssssssss_ss' },
+    { label: 'B', tier: 'recliner', cells: 'ss_ssssssssss_ss' },
+    { label: 'C', tier: 'premium', cells: 'ss_ssssssssss_ss' },
+    { label: 'D', tier: 'premium', cells: 'ss_ssssssssss_ss' },
+    { label: 'E', tier: 'premium', cells: 'wm_ssssssssss_mw' },
+    { label: 'F', tier: 'standard', cells: 'ss_ssssssssss_ss' },
+    { label: 'G', tier: 'standard', cells: 'ss_ssssssssss_ss' },
+    { label: 'H', tier: 'standard', cells: '___cccccccccc___' }
+  ]
+};
+
+// Food & beverage menu every theater starts with (INR, GST included).
+// Combos and snacks have limited stock; drinks are unlimited.
+const CONCESSIONS = [
+  { name: 'Couple Combo', category: 'combo', description: 'Large popcorn + 2 regular drinks', price: 520, stock: 50 },
+  { name: 'Solo Combo', category: 'combo', description: 'Regular popcorn + regular drink', price: 320, stock: 80 },
+  { name: 'Salted Popcorn (Large)', category: 'popcorn', description: null, price: 300, stock: 120 },
+  { name: 'Caramel Popcorn (Regular)', category: 'popcorn', description: null, price: 260, stock: 100 },
+  { name: 'Nachos with Cheese', category: 'snacks', description: null, price: 240, stock: 60 },
+  { name: 'Cold Drink (Regular)', category: 'drinks', description: '450 ml', price: 150, stock: null },
+  { name: 'Mineral Water', category: 'drinks', description: '500 ml', price: 60, stock: null },
+];
+
+/**
+ * Insert the theaters, their screens and food & beverage menus (idempotent)
+ */
+function seedTheaters() {
+  const insertTheater = db.prepare(`
+    INSERT OR IGNORE INTO theaters (name, location, city, distance_km, rating, facilities)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const findTheater = db.prepare('SELECT id FROM theaters WHERE name = ? AND location = ? AND city = ?');
+  const insertScreen = db.prepare('INSERT OR IGNORE INTO screens (theater_id, name) VALUES (?, ?)');
+  // Layouts set since (e.g. by an admin) are kept
+  const setLayout = db.prepare('UPDATE screens SET layout = ? WHERE theater_id = ? AND name = ? AND layout IS NULL');
+  const insertConcession = db.prepare(`
+    INSERT OR IGNORE INTO concession_items (theater_id, name, category, description, price, stock, sort_order)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    Object.entries(THEATERS).forEach(([city, theaters]) => {
+      theaters.forEach((t, index) => {
+        insertTheater.run(
+          t.name, t.location, city,
+          Number((1.5 + index * 2.3).toFixed(1)),
+          Number((3.8 + (index * 0.3) % 1.2).toFixed(1)),
+          JSON.stringify(['Parking', 'Food Court', index % 2 === 0 ? 'Dolby Atmos' : '4DX', 'M-Ticket'])
+        );
+        const { id } = findTheater.get(t.name, t.location, city);
+
+        // Each theater gets 2-3 screens
+        const screenCount = 2 + (index % 2);
+        for (let i = 1; i <= screenCount; i++) {
+          insertScreen.run(id, `Screen ${i}`);
+        }
+        setLayout.run(JSON.stringify(FIRST_SCREEN_LAYOUT), id, 'Screen 1');
+
+        CONCESSIONS.forEach((c, order) => {
+          insertConcession.run(id, c.name, c.category, c.description, c.price, c.stock, order);
+        });
+      });
+    });
+  })();
+}
+
+/**
+ * Schedule shows for the given movies over the next `days` days.
+ * Movies are rotated across screens and slots so a screen never
+ * plays two movies at the same time.
+ */
+function scheduleShows(movieIds, days = 7) {
+  const screens = db.prepare('SELECT id FROM screens ORDER BY theater_id, id').all();
+  const insertShow = db.prepare(`
+    INSERT OR IGNORE INTO shows (movie_id, screen_id, starts_at, show_date, show_time, price_tiers)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  let created = 0;
+  db.transaction(() => {
+    for (let day = 0; day < days; day++) {
+      const date = localDate(new Date(Date.now() + day * 24 * 60 * 60 * 1000));
+
+      screens.forEach((screen, screenIdx) => {
+        SHOW_SLOTS.forEach((slot, slotIdx) => {
+          const movieId = movieIds[(screenIdx + slotIdx + day) % movieIds.length];
+          const startsAt = zonedToUtc(date, slot);
+          const result = insertShow.run(
+            movieId, screen.id, startsAt.toISOString(), date, localTime(startsAt),
+            JSON.stringify(DEFAULT_PRICE_TIERS)
+          );
+          created += result.changes;
+        });
+      });
+    }
+  })();
+
+  return created;
+}
+
+/**
+ * Helper: fetch the ids of movies now playing in India from TMDB
+ */
+async function fetchNowPlayingIds() {
+  const apiKey = process.env.REACT_APP_TMDB_API_KEY || process.env.TMDB_API_KEY;
+  if (!apiKey) {
+    throw new Error('No movie ids given and TMDB API key not configured.');
+  }
+
+  const res = await fetch(`https://api.themoviedb.org/3/movie/now_playing?api_key=${apiKey}&region=IN`);
+  if (!res.ok) {
+    throw new Error(`TMDB API error: ${res.status}`);
+  }
+
+  const data = await res.json();
+  return data.results.map(m => m.id);
+}
+
+/**
+ * Seed a fresh database on server start: theaters, screens and menus are
+ * filled in if missing, and when no shows are coming up, a week of shows
+ * is scheduled for the movies now playing. Returns how many shows were scheduled.
+ */
+async function seedIfEmpty() {
+  seedTheaters();
+
+  const upcoming = db.prepare('SELECT COUNT(*) AS count FROM shows WHERE starts_at > ?').get(new Date().toISOString());
+  if (upcoming.count > 0) {
+    return 0;
+  }
+
+  return scheduleShows(await fetchNowPlayingIds());
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const daysArg = args.find(a => a.startsWith('--days='));
+  const days = daysArg ? parseInt(daysArg.split('=')[1], 10) : 7;
+  let movieIds = args.filter(a => !a.startsWith('--')).map(Number).filter(Boolean);
+
+  seedTheaters();
+  console.log('✅ Theaters, screens and menus seeded');
+
+  if (movieIds.length === 0) {
+    movieIds = await fetchNowPlayingIds();
+  }
+
+  const created = scheduleShows(movieIds, days);
+  console.log(`✅ Scheduled ${created} shows for ${movieIds.length} movie(s) over ${days} day(s)`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Seeding failed:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { seedTheaters, scheduleShows, seedIfEmpty };
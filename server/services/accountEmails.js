@@ -0,0 +1,95 @@
+// server/services/accountEmails.js
+const mail = require('./mail');
+
+// Links in emails point at the web app, never at a host taken from the request
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+/**
+ * Helper: a short email with one call-to-action link
+ */
+function linkEmail({ greeting, intro, action, link, outro }) {
+  return {
+    text: `${greeting}\n\n${intro}\n\n${action}: ${link}\n\n${outro}\n\n— MovieVerse`,
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>${escapeHtml(intro)}</p>
+      <p><a href="${escapeHtml(link)}" style="display:inline-block;padding:10px 18px;background:#e50914;color:#fff;border-radius:4px;text-decoration:none">${escapeHtml(action)}</a></p>
+      <p style="color:#666;font-size:13px">${escapeHtml(outro)}</p>
+      <p>— MovieVerse</p>
+    `
+  };
+}
+
+/**
+ * Email a user the link to reset their password
+ */
+function sendPasswordResetEmail(user, token, ttlMinutes) {
+  return mail.send({
+    to: user.email,
+    subject: 'Reset your MovieVerse password',
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: 'We received a request to reset the password of your MovieVerse account.',
+      action: 'Reset password',
+      link: `${APP_URL}/?reset_token=${encodeURIComponent(token)}`,
+      outro: `The link works once and expires in ${ttlMinutes} minutes. If you didn't ask for it, you can ignore this email; your password stays the same.`
+    })
+  });
+}
+
+/**
+ * Email a new user the link to verify their address
+ */
+function sendVerificationEmail(user, token, ttlMinutes) {
+  return mail.send({
+    to: user.email,
+    subject: 'Verify your email for MovieVerse',
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: 'Thanks for signing up! Please confirm this is your email address so you can book tickets.',
+      action: 'Verify email',
+      link: `${APP_URL}/?verify_token=${encodeURIComponent(token)}`,
+      outro: `The link expires in ${Math.round(ttlMinutes / 60)} hours. If you didn't create a MovieVerse account, you can ignore this email.`
+    })
+  });
+}
+
+/**
+ * Tell a user at their old address that their account's email was changed
+ */
+function sendEmailChangedEmail(user, oldEmail) {
+  return mail.send({
+    to: oldEmail,
+    subject: 'Your MovieVerse email address was changed',
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: `The email address of your MovieVerse account was changed from ${oldEmail} to ${user.email}. Emails about your account and bookings now go to the new address.`,
+      action: 'Open MovieVerse',
+      link: `${APP_URL}/`,
+      outro: "If you didn't make this change, sign in and change your password and email address right away, or reply to this email."
+    })
+  });
+}
+
+/**
+ * Email a waitlisted user that seats of their show are held for them
+ */
+function sendWaitlistOfferEmail(user, { movieTitle, show, seats }, ttlMinutes) {
+  return mail.send({
+    to: user.email,
+    subject: `Seats are waiting for you: ${movieTitle}`,
+    ...linkEmail({
+      greeting: `Hi ${user.username},`,
+      intro: `Good news! Seats ${seats.join(', ')} opened up for ${movieTitle} at ${show.theater_name} on ${show.show_date} at ${show.show_time}, and we're holding them for you.`,
+      action: 'Book your seats',
+      link: `${APP_URL}/`,
+      outro: `The seats are held for ${ttlMinutes} minutes; find the offer under My Bookings. If you don't book them by then, they go to the next person in line.`
+    })
+  });
+}
+
+module.exports = { sendPasswordResetEmail, sendVerificationEmail, sendEmailChangedEmail, sendWaitlistOfferEmail };
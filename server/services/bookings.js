@@ -0,0 +1,197 @@
+// server/services/bookings.js
+const db = require('../db');
+const { bookHeldSeats } = require('./holds');
+const { issueInvoice } = require('./invoices');
+const { getBookingItems, consumeStock } = require('./concessions');
+const { completePaidExchange } = require('./exchanges');
+const { completeWaitlistOffer, processWaitlist } = require('./waitlist');
+const { queuePaymentRefund } = require('./refunds');
+
+/**
+ * Map a bookings row to the shape returned by the API
+ */
+function formatBooking(booking) {
+  return {
+    ...booking,
+    seats: JSON.parse(booking.seats || '[]'),
+    price_breakdown: booking.price_breakdown ? JSON.parse(booking.price_breakdown) : null,
+    items: getBookingItems(booking.id)
+  };
+}
+
+/**
+ * Confirm a pending booking once its payment is captured, booking the held
+ * seats. If the hold ran out, the seats are still booked when nobody else
+ * took them in the meantime. Returns the confirmed booking, or null if its
+ * seats are gone or it was cancelled. Confirming an already confirmed booking
+ * is a no-op.
+ */
+function confirmBooking(booking, { paymentId, signature }) {
+  return db.transaction(() => {
+    const current = db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id);
+    if (current.booking_status === 'confirmed') {
+      return formatBooking(current);
+    }
+
+    if (!['pending', 'failed'].includes(current.booking_status)) {
+      return null;
+    }
+
+    // An earlier payment of the booking found its seats gone and was refunded
+    if (db.prepare('SELECT 1 FROM refunds WHERE booking_id = ?').get(current.id)) {
+      return null;
+    }
+
+    const booked = bookHeldSeats({
+      holdId: current.hold_id,
+      userId: current.user_id,
+      showId: current.show_id,
+      seats: JSON.parse(current.seats)
+    }, current.id);
+
+    if (!booked) {
+      return null;
+    }
+
+    db.prepare(`
+      UPDATE bookings
+      SET booking_status = 'confirmed', payment_status = 'captured',
+          razorpay_payment_id = ?, razorpay_signature = ?
+      WHERE id = ?
+    `).run(paymentId, signature || null, current.id);
+    consumeStock(current.id);
+    completeWaitlistOffer(current.hold_id);
+    issueInvoice(current.id);
+
+    return formatBooking(db.prepare('SELECT * FROM bookings WHERE id = ?').get(current.id));
+  })();
+}
+
+/**
+ * Mark a pending booking as failed after a payment attempt failed.
+ * The seat hold is kept so the user can retry until it expires;
+ * a later successful attempt still confirms the booking.
+ */
+function failBooking(booking, { paymentId }) {
+  db.prepare(`
+    UPDATE bookings
+    SET booking_status = 'failed', payment_status = 'failed', razorpay_payment_id = ?
+    WHERE id = ? AND booking_status = 'pending'
+  `).run(paymentId, booking.id);
+}
+
+/**
+ * Give back a payment captured for a pending booking that could not be
+ * confirmed because its seats were taken after the hold ran out: the
+ * booking fails and the payment is queued for a full refund (see
+ * services/refunds). Returns whether a refund was queued.
+ */
+function refundUnconfirmedPayment(booking, { paymentId }) {
+  return db.transaction(() => {
+    const current = db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id);
+    if (!['pending', 'failed'].includes(current.booking_status)) {
+      return false;
+    }
+
+    db.prepare(`
+      UPDATE bookings
+      SET booking_status = 'failed', payment_status = 'captured', razorpay_payment_id = ?
+      WHERE id = ?
+    `).run(paymentId, current.id);
+
+    return queuePaymentRefund({
+      bookingId: current.id,
+      paymentId,
+      amount: current.total_amount,
+      reason: 'Seats no longer available, payment refunded'
+    });
+  })();
+}
+
+/**
+ * Apply a normalized payment gateway event (see services/payments) to its
+ * booking. Gateways retry deliveries, so each event id is processed at most
+ * once. Returns 'processed', 'duplicate' or 'ignored'.
+ */
+function processPaymentEvent(event) {
+  return db.transaction(() => {
+    const recorded = db.prepare(
+      'INSERT OR IGNORE INTO payment_events (id, event, payload) VALUES (?, ?, ?)'
+    ).run(event.id, event.type, JSON.stringify(event));
+
+    if (recorded.changes === 0) {
+      return 'duplicate';
+    }
+
+    switch (event.type) {
+      case 'payment.captured':
+      case 'payment.failed': {
+        const booking = db.prepare(
+          'SELECT * FROM bookings WHERE razorpay_order_id = ?'
+        ).get(event.orderId);
+
+        if (!booking) {
+          // Fare differences of booking changes are paid with orders of their own
+          const change = db.prepare(
+            'SELECT id, from_show_id FROM booking_changes WHERE razorpay_order_id = ?'
+          ).get(event.orderId);
+
+          if (change && event.type === 'payment.captured') {
+            const changed = completePaidExchange(change.id, { paymentId: event.paymentId });
+            if (changed) {
+              processWaitlist(change.from_show_id);
+            } else {
+              console.warn(`Payment event ${event.type}: booking change ${change.id} could not be completed, payment refunded`);
+            }
+            return 'processed';
+          }
+
+          console.warn(`Payment event ${event.type}: no booking for order ${event.orderId}`);
+          return 'ignored';
+        }
+
+        if (event.type === 'payment.failed') {
+          failBooking(booking, { paymentId: event.paymentId });
+        } else if (!confirmBooking(booking, { paymentId: event.paymentId })) {
+          refundUnconfirmedPayment(booking, { paymentId: event.paymentId });
+        }
+        return 'processed';
+      }
+
+      case 'refund.processed': {
+        // Refunds of a changed booking can come from the payment of a fare difference
+        const booking = db.prepare(`
+          SELECT b.* FROM bookings b
+          WHERE b.razorpay_payment_id = ? OR b.id = (SELECT booking_id FROM refunds WHERE razorpay_refund_id = ?)
+        `).get(event.paymentId, event.refundId);
+
+        if (!booking) {
+          return 'ignored';
+        }
+
+        db.prepare(`
+          UPDATE refunds SET status = 'processed', processed_at = CURRENT_TIMESTAMP
+          WHERE razorpay_refund_id = ?
+        `).run(event.refundId);
+
+        // The refund of a change that failed gives back a payment the booking never used
+        const failedChange = db.prepare(
+          "SELECT 1 FROM booking_changes WHERE razorpay_payment_id = ? AND status = 'failed'"
+        ).get(event.paymentId);
+        if (failedChange) {
+          return 'processed';
+        }
+
+        const fullRefund = Math.round(booking.total_amount * 100) === event.amount;
+        db.prepare('UPDATE bookings SET payment_status = ? WHERE id = ?')
+          .run(fullRefund ? 'refunded' : 'partially_refunded', booking.id);
+        return 'processed';
+      }
+
+      default:
+        return 'ignored';
+    }
+  })();
+}
+
+module.exports = { formatBooking, confirmBooking, failBooking, refundUnconfirmedPayment, processPaymentEvent };
@@ -0,0 +1,171 @@
+// server/services/calendar.js
+const crypto = require('crypto');
+const db = require('../db');
+const { THEATER_TIMEZONE, toLocalParts, bookingStartsAt } = require('./shows');
+
+// Shows don't store a runtime, so events get a typical movie length
+const EVENT_DURATION_MINUTES = 180;
+const REMINDER_MINUTES = 60;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Helper: format a Date as iCalendar local time in the theater timezone
+ */
+function formatLocal(date) {
+  const p = toLocalParts(date);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+/**
+ * Helper: format a Date as iCalendar UTC time
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Helper: escape a value for an iCalendar TEXT property
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Helper: fold a content line at 75 octets, as RFC 5545 requires
+ */
+function foldLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (size + charSize > (chunks.length ? 74 : 75)) {
+      chunks.push(chunk);
+      chunk = '';
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Helper: VTIMEZONE block for the theater timezone. Theaters are in India,
+ * which has no daylight saving, so a single fixed offset describes it.
+ */
+function timezoneLines(date) {
+  const p = toLocalParts(date);
+  const offsetMinutes = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - date) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const offset = `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}${pad(Math.abs(offsetMinutes) % 60)}`;
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${THEATER_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${offset}`,
+    `TZOFFSETTO:${offset}`,
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Helper: VEVENT block for a booking, with a reminder before the show
+ */
+function eventLines(booking) {
+  const start = bookingStartsAt(booking);
+  const end = new Date(start.getTime() + EVENT_DURATION_MINUTES * 60 * 1000);
+  const seats = JSON.parse(booking.seats || '[]');
+
+  const description = [
+    booking.screen && `Screen: ${booking.screen}`,
+    `Seats: ${seats.join(', ')}`,
+    `Booking ID: #${booking.id}`
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:booking-${booking.id}@movieverse`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART;TZID=${THEATER_TIMEZONE}:${formatLocal(start)}`,
+    `DTEND;TZID=${THEATER_TIMEZONE}:${formatLocal(end)}`,
+    `SUMMARY:${escapeText(booking.movie_title)}`,
+    `LOCATION:${escapeText([booking.theater_name, booking.city].filter(Boolean).join(', '))}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    'STATUS:CONFIRMED',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `TRIGGER:-PT${REMINDER_MINUTES}M`,
+    `DESCRIPTION:${escapeText(`${booking.movie_title} starts in ${REMINDER_MINUTES} minutes`)}`,
+    'END:VALARM',
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build an iCalendar document with one event per booking
+ */
+function buildCalendar(bookings, name = 'MovieVerse') {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//MovieVerse//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${THEATER_TIMEZONE}`,
+    ...timezoneLines(new Date()),
+    ...bookings.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Get the secret token of a user's calendar feed, creating it on first use
+ */
+function getCalendarFeedToken(userId) {
+  const user = db.prepare('SELECT calendar_token FROM users WHERE id = ?').get(userId);
+  if (!user) return null;
+  if (user.calendar_token) return user.calendar_token;
+
+  return rotateCalendarFeedToken(userId);
+}
+
+/**
+ * Replace a user's calendar feed token, so a leaked feed URL stops working
+ */
+function rotateCalendarFeedToken(userId) {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.prepare('UPDATE users SET calendar_token = ? WHERE id = ?').run(token, userId);
+  return token;
+}
+
+/**
+ * Get the upcoming confirmed bookings of the user owning a feed token,
+ * or null if the token is unknown
+ */
+function getFeedBookings(feedToken) {
+  const user = db.prepare('SELECT id FROM users WHERE calendar_token = ?').get(feedToken);
+  if (!user) return null;
+
+  const now = new Date();
+  return db.prepare(
+    "SELECT * FROM bookings WHERE user_id = ? AND booking_status = 'confirmed' ORDER BY show_date"
+  ).all(user.id).filter(b => bookingStartsAt(b) > now);
+}
+
+module.exports = { buildCalendar, getCalendarFeedToken, rotateCalendarFeedToken, getFeedBookings };
@@ -0,0 +1,56 @@
+// server/services/cancellation.js
+const { bookingStartsAt } = require('./shows');
+
+/**
+ * Helper: parse refund windows like "24:100,4:50" (hours before show : refund %)
+ */
+function parseRefundWindows(value) {
+  return value.split(',')
+    .map(w => w.split(':').map(Number))
+    .filter(([hours, percent]) => !isNaN(hours) && !isNaN(percent))
+    .map(([hoursBefore, refundPercent]) => ({ hoursBefore, refundPercent }))
+    .sort((a, b) => b.hoursBefore - a.hoursBefore);
+}
+
+// Cancellation policy:
+// - no cancellations within CANCELLATION_CUTOFF_MINUTES of the show, or after it started
+// - otherwise the refund is the percentage of the first window the cancellation falls in
+// - cancelling closer to the show than every window is allowed, without refund
+const CANCELLATION_POLICY = {
+  cutoffMinutes: parseInt(process.env.CANCELLATION_CUTOFF_MINUTES, 10) || 30,
+  refundWindows: parseRefundWindows(process.env.CANCELLATION_REFUND_WINDOWS || '24:100,4:50')
+};
+
+/**
+ * Work out whether a booking can be cancelled now and how much is refunded
+ */
+function getCancellationQuote(booking, now = new Date()) {
+  if (booking.checked_in_at) {
+    return { cancellable: false, refundPercent: 0, refundAmount: 0, reason: 'Checked-in tickets cannot be cancelled.' };
+  }
+
+  const minutesLeft = (bookingStartsAt(booking) - now) / (60 * 1000);
+
+  if (minutesLeft < CANCELLATION_POLICY.cutoffMinutes) {
+    return {
+      cancellable: false,
+      refundPercent: 0,
+      refundAmount: 0,
+      reason: minutesLeft <= 0
+        ? 'This show has already started.'
+        : `Bookings can't be cancelled within ${CANCELLATION_POLICY.cutoffMinutes} minutes of the show.`
+    };
+  }
+
+  const window = CANCELLATION_POLICY.refundWindows.find(w => minutesLeft >= w.hoursBefore * 60);
+  const refundPercent = window ? window.refundPercent : 0;
+
+  return {
+    cancellable: true,
+    refundPercent,
+    refundAmount: Math.round(booking.total_amount * refundPercent) / 100,
+    reason: null
+  };
+}
+
+module.exports = { CANCELLATION_POLICY, getCancellationQuote };
@@ -0,0 +1,113 @@
+// server/services/concessions.js
+const db = require('../db');
+
+const MAX_QUANTITY_PER_ITEM = 10;
+
+/**
+ * Get the food & beverage menu of a theater. Items with no stock
+ * left are listed as sold out; a NULL stock means unlimited.
+ */
+function listConcessions(theaterId) {
+  return db.prepare(`
+    SELECT id, name, category, description, price, stock FROM concession_items
+    WHERE theater_id = ? AND active = 1
+    ORDER BY sort_order, id
+  `).all(theaterId).map(({ stock, ...item }) => ({
+    ...item,
+    soldOut: stock !== null && stock <= 0,
+    stockLeft: stock !== null && stock <= 5 ? Math.max(stock, 0) : null
+  }));
+}
+
+/**
+ * Price the items ordered with a booking at a theater from the stored
+ * menu, e.g. [{ id: 3, quantity: 2 }]. Never trust prices sent by the client.
+ * Returns { items } with { id, name, quantity, unitPrice, amount }, or { error }.
+ */
+function priceConcessions(theaterId, requested = []) {
+  if (!Array.isArray(requested)) {
+    return { error: 'items must be a list.' };
+  }
+
+  // Merge repeated items so stock is checked against the full quantity
+  const quantities = new Map();
+  for (const { id, quantity } of requested) {
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty < 0) {
+      return { error: 'Item quantities must be whole numbers.' };
+    }
+    quantities.set(Number(id), (quantities.get(Number(id)) || 0) + qty);
+  }
+
+  const items = [];
+  for (const [id, quantity] of quantities) {
+    if (quantity === 0) continue;
+    if (quantity > MAX_QUANTITY_PER_ITEM) {
+      return { error: `You can order at most ${MAX_QUANTITY_PER_ITEM} of each item.` };
+    }
+
+    const item = db.prepare(
+      'SELECT * FROM concession_items WHERE id = ? AND theater_id = ? AND active = 1'
+    ).get(id, theaterId);
+    if (!item) {
+      return { error: 'Some of the selected items are not available at this theater.' };
+    }
+    if (item.stock !== null && item.stock < quantity) {
+      return { error: item.stock > 0 ? `Only ${item.stock} × ${item.name} left.` : `${item.name} is sold out.` };
+    }
+
+    items.push({ id: item.id, name: item.name, quantity, unitPrice: item.price, amount: item.price * quantity });
+  }
+
+  return { items };
+}
+
+/**
+ * Replace the items stored with a booking (a checkout retry may change them)
+ */
+function saveBookingItems(bookingId, items) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM booking_items WHERE booking_id = ?').run(bookingId);
+    const insert = db.prepare(
+      'INSERT INTO booking_items (booking_id, item_id, name, quantity, unit_price, amount) VALUES (?, ?, ?, ?, ?, ?)'
+    );
+    items.forEach(i => insert.run(bookingId, i.id, i.name, i.quantity, i.unitPrice, i.amount));
+  })();
+}
+
+/**
+ * Get the items stored with a booking
+ */
+function getBookingItems(bookingId) {
+  return db.prepare(
+    'SELECT item_id, name, quantity, unit_price, amount FROM booking_items WHERE booking_id = ? ORDER BY id'
+  ).all(bookingId);
+}
+
+/**
+ * Take a paid booking's items out of stock. Stock was checked at checkout;
+ * if two checkouts raced for the last items it stops at zero rather than
+ * failing a booking that is already paid.
+ */
+function consumeStock(bookingId) {
+  db.prepare(`
+    UPDATE concession_items
+    SET stock = MAX(stock - (SELECT SUM(quantity) FROM booking_items WHERE booking_id = ? AND item_id = concession_items.id), 0)
+    WHERE stock IS NOT NULL AND id IN (SELECT item_id FROM booking_items WHERE booking_id = ?)
+  `).run(bookingId, bookingId);
+}
+
+/**
+ * Put a cancelled booking's items back in stock
+ */
+function restoreStock(bookingId) {
+  db.prepare(`
+    UPDATE concession_items
+    SET stock = stock + (SELECT SUM(quantity) FROM booking_items WHERE booking_id = ? AND item_id = concession_items.id)
+    WHERE stock IS NOT NULL AND id IN (SELECT item_id FROM booking_items WHERE booking_id = ?)
+  `).run(bookingId, bookingId);
+}
+
+module.exports = {
+  listConcessions, priceConcessions, saveBookingItems, getBookingItems, consumeStock, restoreStock
+};
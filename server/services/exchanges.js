@@ -0,0 +1,193 @@
+// server/services/exchanges.js
+const db = require('../db');
+const { CANCELLATION_POLICY } = require('./cancellation');
+const { bookingStartsAt, getShow } = require('./shows');
+const { bookHeldSeats } = require('./holds');
+const { notifySeatsChanged } = require('./seatEvents');
+const { priceSeats, buildPriceBreakdown } = require('./pricing');
+const { getBookingItems } = require('./concessions');
+const { queuePaymentRefund } = require('./refunds');
+
+/**
+ * Price moving a confirmed booking to the seats of a hold: another show of
+ * the same movie, or other seats of the same show. The booking keeps its
+ * food & beverage items and its discount (up to the new ticket value).
+ * Changes close at the same cutoff as cancellations.
+ * Returns { show, breakdown, difference } where a positive difference is
+ * to be paid and a negative one refunded, or { error }.
+ */
+function quoteExchange(booking, hold, now = new Date()) {
+  if (booking.booking_status !== 'confirmed') {
+    return { error: 'Only confirmed bookings can be changed.' };
+  }
+
+  if (booking.checked_in_at) {
+    return { error: 'Checked-in tickets cannot be changed.' };
+  }
+
+  const minutesLeft = (bookingStartsAt(booking) - now) / (60 * 1000);
+  if (minutesLeft < CANCELLATION_POLICY.cutoffMinutes) {
+    return {
+      error: minutesLeft <= 0
+        ? 'This show has already started.'
+        : `Bookings can't be changed within ${CANCELLATION_POLICY.cutoffMinutes} minutes of the show.`
+    };
+  }
+
+  const show = getShow(hold.show_id);
+  if (!show || show.movie_id !== booking.movie_id) {
+    return { error: 'A booking can only be changed to another show of the same movie.' };
+  }
+
+  // Food & drinks are served by the theater they were ordered from
+  const items = getBookingItems(booking.id);
+  const currentShow = booking.show_id && getShow(booking.show_id);
+  if (items.length > 0 && show.theater_id !== currentShow?.theater_id) {
+    return { error: 'Bookings with food & drinks can only be changed to shows at the same theater.' };
+  }
+
+  const { seats, total } = priceSeats(show.id, hold.seats);
+  const discount = Math.max(0, Math.min(booking.discount_amount || 0, total - 1));
+  const breakdown = buildPriceBreakdown(seats, {
+    discount,
+    items: items.map(i => ({ id: i.item_id, name: i.name, quantity: i.quantity, unitPrice: i.unit_price, amount: i.amount }))
+  });
+
+  return {
+    show,
+    breakdown,
+    difference: Math.round((breakdown.total - booking.total_amount) * 100) / 100
+  };
+}
+
+/**
+ * Record a change of a booking to a hold's seats, priced by quoteExchange.
+ * It stays pending until completeExchange (after paying the difference,
+ * if there is one to pay).
+ */
+function createExchange(booking, hold, { show, breakdown, difference }, { orderId = null } = {}) {
+  const result = db.prepare(`
+    INSERT INTO booking_changes (
+      booking_id, hold_id, from_show_id, from_show_date, from_show_time, from_theater_name, from_seats,
+      to_show_id, to_seats, old_amount, new_amount, difference, price_breakdown, razorpay_order_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    booking.id, hold.id, booking.show_id, booking.show_date, booking.show_time, booking.theater_name, booking.seats,
+    show.id, JSON.stringify(hold.seats), booking.total_amount, breakdown.total, difference,
+    JSON.stringify(breakdown), orderId
+  );
+
+  return db.prepare('SELECT * FROM booking_changes WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Move a booking to the show and seats of a pending change, in one
+ * transaction: the new seats are booked, the old ones released and the
+ * booking updated. Returns the updated booking, or null (and the change
+ * fails) if the booking changed in the meantime or the new seats are gone.
+ * Completing a completed change is a no-op.
+ */
+function completeExchange(changeId, { paymentId = null } = {}) {
+  return db.transaction(() => {
+    const change = db.prepare('SELECT * FROM booking_changes WHERE id = ?').get(changeId);
+    const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(change.booking_id);
+
+    if (change.status === 'completed') {
+      return booking;
+    }
+
+    if (change.status !== 'pending') {
+      return null;
+    }
+
+    const fail = () => {
+      db.prepare("UPDATE booking_changes SET status = 'failed', razorpay_payment_id = ? WHERE id = ?").run(paymentId, change.id);
+      return null;
+    };
+
+    const unchanged = booking.booking_status === 'confirmed' && !booking.checked_in_at &&
+      booking.show_id === change.from_show_id && booking.seats === change.from_seats &&
+      booking.total_amount === change.old_amount;
+    if (!unchanged) {
+      return fail();
+    }
+
+    const toSeats = JSON.parse(change.to_seats);
+    const booked = bookHeldSeats({
+      holdId: change.hold_id,
+      userId: booking.user_id,
+      showId: change.to_show_id,
+      seats: toSeats
+    }, booking.id);
+
+    if (!booked) {
+      return fail();
+    }
+
+    // Seats kept by a change within the same show stay booked
+    const fromSeats = JSON.parse(change.from_seats)
+      .filter(id => change.from_show_id !== change.to_show_id || !toSeats.includes(id));
+    if (fromSeats.length > 0) {
+      db.prepare(
+        `UPDATE show_seats SET status = 'available', booking_id = NULL
+         WHERE show_id = ? AND booking_id = ? AND seat_id IN (${fromSeats.map(() => '?').join(', ')})`
+      ).run(change.from_show_id, booking.id, ...fromSeats);
+      notifySeatsChanged(change.from_show_id);
+    }
+
+    const show = getShow(change.to_show_id);
+    const breakdown = JSON.parse(change.price_breakdown);
+    db.prepare(`
+      UPDATE bookings
+      SET show_id = ?, hold_id = ?, theater_name = ?, city = ?, show_date = ?, show_time = ?, screen = ?,
+          seats = ?, seat_count = ?, total_amount = ?, price_breakdown = ?, discount_amount = ?
+      WHERE id = ?
+    `).run(
+      show.id, change.hold_id, show.theater_name, show.city, show.show_date, show.show_time, show.screen,
+      change.to_seats, toSeats.length, change.new_amount, change.price_breakdown, breakdown.discount,
+      booking.id
+    );
+
+    db.prepare(`
+      UPDATE booking_changes SET status = 'completed', razorpay_payment_id = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(paymentId, change.id);
+
+    return db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id);
+  })();
+}
+
+/**
+ * Complete a change whose fare difference was paid. If it can't be
+ * completed any more, the payment is queued for a refund (once, however
+ * often the payment is reported); send it with sendQueuedRefunds.
+ * Returns the updated booking, or null.
+ */
+function completePaidExchange(changeId, { paymentId }) {
+  return db.transaction(() => {
+    const changed = completeExchange(changeId, { paymentId });
+    if (!changed) {
+      const change = db.prepare('SELECT booking_id, difference FROM booking_changes WHERE id = ?').get(changeId);
+      queuePaymentRefund({
+        bookingId: change.booking_id,
+        paymentId,
+        amount: change.difference,
+        reason: 'Booking could not be changed, payment refunded'
+      });
+    }
+    return changed;
+  })();
+}
+
+/**
+ * Get the completed changes of a booking, oldest first
+ */
+function getBookingChanges(bookingId) {
+  return db.prepare(`
+    SELECT from_show_date, from_show_time, from_theater_name, from_seats, difference, completed_at
+    FROM booking_changes WHERE booking_id = ? AND status = 'completed'
+    ORDER BY id
+  `).all(bookingId).map(c => ({ ...c, from_seats: JSON.parse(c.from_seats) }));
+}
+
+module.exports = { quoteExchange, createExchange, completeExchange, completePaidExchange, getBookingChanges };
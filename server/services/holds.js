@@ -0,0 +1,170 @@
+// server/services/holds.js
+const crypto = require('crypto');
+const db = require('../db');
+const { notifySeatsChanged } = require('./seatEvents');
+
+// How long selected seats stay reserved during checkout
+const HOLD_TTL_SECONDS = parseInt(process.env.SEAT_HOLD_TTL_SECONDS, 10) || 600;
+// Most seats one hold can take, so nobody can hold a whole show
+const MAX_HOLD_SEATS = 10;
+
+/**
+ * Helper: tell the show of a hold that its seats changed
+ */
+function notifyHoldShow(holdId) {
+  const hold = db.prepare('SELECT show_id FROM seat_holds WHERE id = ?').get(holdId);
+  if (hold) notifySeatsChanged(hold.show_id);
+}
+
+/**
+ * Expire holds past their expiry time and free their seats
+ */
+function releaseExpiredHolds(showId) {
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    const expired = db.prepare(
+      "SELECT id FROM seat_holds WHERE show_id = ? AND status = 'active' AND expires_at <= ?"
+    ).all(showId, now);
+
+    expired.forEach(h => {
+      db.prepare("UPDATE seat_holds SET status = 'expired' WHERE id = ?").run(h.id);
+      db.prepare('UPDATE show_seats SET hold_id = NULL WHERE hold_id = ?').run(h.id);
+    });
+
+    if (expired.length > 0) notifySeatsChanged(showId);
+  })();
+}
+
+/**
+ * Hold seats of a show for a user. Any earlier hold of the user on the
+ * same show is released first. When the hold is for changing a booking of
+ * the show (`bookingId`), the booking's own seats can be held again.
+ * Returns null if a seat is not available.
+ */
+function createHold(userId, show, seatIds, { ttlSeconds = HOLD_TTL_SECONDS, bookingId = null } = {}) {
+  releaseExpiredHolds(show.id);
+
+  return db.transaction(() => {
+    const previous = db.prepare(
+      "SELECT id FROM seat_holds WHERE user_id = ? AND show_id = ? AND status = 'active'"
+    ).all(userId, show.id);
+    previous.forEach(h => releaseHold(h.id));
+
+    const placeholders = seatIds.map(() => '?').join(', ');
+    const available = db.prepare(
+      `SELECT COUNT(*) AS count FROM show_seats
+       WHERE show_id = ? AND seat_id IN (${placeholders}) AND hold_id IS NULL
+       AND (status = 'available' OR (status = 'booked' AND booking_id = ?))`
+    ).get(show.id, ...seatIds, bookingId);
+
+    if (available.count !== seatIds.length) {
+      return null;
+    }
+
+    const hold = {
+      id: crypto.randomBytes(16).toString('hex'),
+      user_id: userId,
+      show_id: show.id,
+      seats: seatIds,
+      status: 'active',
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString()
+    };
+
+    db.prepare(
+      'INSERT INTO seat_holds (id, user_id, show_id, seats, expires_at) VALUES (?, ?, ?, ?, ?)'
+    ).run(hold.id, userId, show.id, JSON.stringify(seatIds), hold.expires_at);
+
+    db.prepare(
+      `UPDATE show_seats SET hold_id = ? WHERE show_id = ? AND seat_id IN (${placeholders})`
+    ).run(hold.id, show.id, ...seatIds);
+
+    notifySeatsChanged(show.id);
+    return hold;
+  })();
+}
+
+/**
+ * Get a user's hold if it is still active and not expired
+ */
+function getActiveHold(holdId, userId) {
+  const hold = db.prepare(
+    "SELECT * FROM seat_holds WHERE id = ? AND user_id = ? AND status = 'active'"
+  ).get(holdId, userId);
+
+  if (!hold || hold.expires_at <= new Date().toISOString()) {
+    return null;
+  }
+
+  return { ...hold, seats: JSON.parse(hold.seats) };
+}
+
+/**
+ * Release a hold and free its seats
+ */
+function releaseHold(holdId) {
+  db.transaction(() => {
+    db.prepare("UPDATE seat_holds SET status = 'released' WHERE id = ? AND status = 'active'").run(holdId);
+    const { changes } = db.prepare('UPDATE show_seats SET hold_id = NULL WHERE hold_id = ?').run(holdId);
+    if (changes > 0) notifyHoldShow(holdId);
+  })();
+}
+
+/**
+ * Turn a hold into a booking: its seats become booked by the booking
+ */
+function convertHold(holdId, bookingId) {
+  db.transaction(() => {
+    db.prepare("UPDATE seat_holds SET status = 'converted' WHERE id = ?").run(holdId);
+    db.prepare(
+      "UPDATE show_seats SET status = 'booked', booking_id = ?, hold_id = NULL WHERE hold_id = ?"
+    ).run(bookingId, holdId);
+    notifyHoldShow(holdId);
+  })();
+}
+
+/**
+ * Book a hold's seats for a booking once it is paid. If the hold ran out,
+ * the seats are still booked when nobody else took them in the meantime
+ * (seats the booking has already count as free, for changes of seats).
+ * Returns false if some of the seats are gone.
+ */
+function bookHeldSeats({ holdId, userId, showId, seats }, bookingId) {
+  return db.transaction(() => {
+    const hold = getActiveHold(holdId, userId);
+    if (hold) {
+      convertHold(hold.id, bookingId);
+      return true;
+    }
+
+    const placeholders = seats.map(() => '?').join(', ');
+    const free = db.prepare(
+      `SELECT COUNT(*) AS count FROM show_seats
+       WHERE show_id = ? AND seat_id IN (${placeholders}) AND (hold_id IS NULL OR hold_id = ?)
+       AND (status = 'available' OR (status = 'booked' AND booking_id = ?))`
+    ).get(showId, ...seats, holdId, bookingId);
+
+    if (free.count !== seats.length) {
+      return false;
+    }
+
+    db.prepare(
+      `UPDATE show_seats SET status = 'booked', booking_id = ?, hold_id = NULL
+       WHERE show_id = ? AND seat_id IN (${placeholders})`
+    ).run(bookingId, showId, ...seats);
+    db.prepare("UPDATE seat_holds SET status = 'converted' WHERE id = ?").run(holdId);
+    notifySeatsChanged(showId);
+    return true;
+  })();
+}
+
+module.exports = {
+  HOLD_TTL_SECONDS,
+  MAX_HOLD_SEATS,
+  releaseExpiredHolds,
+  createHold,
+  getActiveHold,
+  releaseHold,
+  convertHold,
+  bookHeldSeats
+};
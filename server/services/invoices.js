@@ -0,0 +1,181 @@
+// server/services/invoices.js
+const PDFDocument = require('pdfkit');
+const db = require('../db');
+const { toLocalParts } = require('./shows');
+const { bookingBreakdown } = require('./pricing');
+
+const INVOICE_SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'MovieVerse',
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  gstin: process.env.INVOICE_SELLER_GSTIN || ''
+};
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'MV';
+
+/**
+ * Helper: invoice series of a date, one per Indian financial year
+ * (April to March), e.g. "MV/2026-27"
+ */
+function invoiceSeries(date) {
+  const { year, month } = toLocalParts(date);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${INVOICE_PREFIX}/${startYear}-${String(startYear + 1).slice(-2)}`;
+}
+
+/**
+ * Helper: what an invoice bills, copied from its booking when it is issued
+ */
+function billedDetails(booking) {
+  return {
+    movie_title: booking.movie_title,
+    theater_name: booking.theater_name,
+    city: booking.city,
+    show_date: booking.show_date,
+    show_time: booking.show_time,
+    seats: JSON.parse(booking.seats || '[]'),
+    razorpay_payment_id: booking.razorpay_payment_id,
+    breakdown: bookingBreakdown(booking)
+  };
+}
+
+/**
+ * Get what an invoice bills: the booking as it was when the invoice was
+ * issued, so later changes of the booking (see services/exchanges) don't
+ * alter an issued invoice. Invoices issued before the copy was kept show
+ * the booking as it is.
+ */
+function invoiceDetails(invoice, booking) {
+  return invoice.booking_details ? JSON.parse(invoice.booking_details) : billedDetails(booking);
+}
+
+/**
+ * Give a booking the next number of the current invoice series, or return
+ * its invoice if it already has one. Numbers have no gaps, so call this only
+ * for paid bookings (in the transaction that confirms them). The invoice
+ * keeps a copy of what it bills.
+ */
+function issueInvoice(bookingId, now = new Date()) {
+  return db.transaction(() => {
+    const existing = db.prepare('SELECT * FROM invoices WHERE booking_id = ?').get(bookingId);
+    if (existing) return existing;
+
+    const series = invoiceSeries(now);
+    const { last } = db.prepare('SELECT MAX(sequence) AS last FROM invoices WHERE series = ?').get(series);
+    const sequence = (last || 0) + 1;
+    const invoiceNumber = `${series}/${String(sequence).padStart(6, '0')}`;
+
+    const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+    db.prepare(`
+      INSERT INTO invoices (booking_id, series, sequence, invoice_number, issued_at, booking_details)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(bookingId, series, sequence, invoiceNumber, now.toISOString(), JSON.stringify(billedDetails(booking)));
+
+    return db.prepare('SELECT * FROM invoices WHERE booking_id = ?').get(bookingId);
+  })();
+}
+
+/**
+ * Write a booking's tax invoice PDF to a writable stream (e.g. the response)
+ */
+function writeInvoicePdf(booking, invoice, stream) {
+  const user = db.prepare('SELECT username, email FROM users WHERE id = ?').get(booking.user_id);
+  const billed = invoiceDetails(invoice, booking);
+  const { breakdown } = billed;
+  const money = (amount) => amount.toFixed(2);
+  const issued = toLocalParts(new Date(invoice.issued_at));
+
+  const doc = new PDFDocument({ size: 'A4', margin: 48 });
+  doc.pipe(stream);
+
+  // Seller and invoice details
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#e50914').text('TAX INVOICE', { align: 'right' });
+  doc.fillColor('#111').fontSize(14).text(INVOICE_SELLER.name, 48, 48);
+  doc.font('Helvetica').fontSize(9).fillColor('#444');
+  if (INVOICE_SELLER.address) doc.text(INVOICE_SELLER.address);
+  if (INVOICE_SELLER.gstin) doc.text(`GSTIN: ${INVOICE_SELLER.gstin}`);
+
+  doc.moveDown(1.5);
+  const detailsTop = doc.y;
+  doc.font('Helvetica-Bold').fillColor('#111').text('Billed to', 48, detailsTop);
+  doc.font('Helvetica').fillColor('#444').text(user ? `${user.username}\n${user.email}` : '-');
+
+  doc.font('Helvetica-Bold').fillColor('#111').text('Invoice no.', 330, detailsTop);
+  doc.font('Helvetica').fillColor('#444').text(invoice.invoice_number, 330);
+  doc.font('Helvetica-Bold').fillColor('#111').text('Invoice date', 330);
+  doc.font('Helvetica').fillColor('#444')
+    .text(`${issued.year}-${String(issued.month).padStart(2, '0')}-${String(issued.day).padStart(2, '0')}`, 330);
+  doc.font('Helvetica-Bold').fillColor('#111').text('Booking', 330);
+  doc.font('Helvetica').fillColor('#444').text(`#${booking.id} • ${billed.razorpay_payment_id || '-'}`, 330);
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica').fillColor('#111').text(
+    `${billed.movie_title} — ${billed.theater_name}, ${billed.city} — ${billed.show_date} ${billed.show_time}` +
+    ` — Seats ${billed.seats.join(', ')}`,
+    48, doc.y, { width: 500 }
+  );
+  doc.moveDown();
+
+  // Line items
+  const columns = [
+    { label: 'Description', x: 48, width: 150, align: 'left' },
+    { label: 'Qty', x: 198, width: 30 },
+    { label: 'Amount', x: 228, width: 60 },
+    { label: 'Discount', x: 288, width: 55 },
+    { label: 'Taxable', x: 343, width: 60 },
+    { label: 'GST %', x: 403, width: 40 },
+    { label: 'GST', x: 443, width: 50 },
+    { label: 'Total', x: 493, width: 55 }
+  ];
+  const row = (values, { bold = false } = {}) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111');
+    values.forEach((value, i) => {
+      const { x, width, align = 'right' } = columns[i];
+      doc.text(String(value), x, top, { width, align });
+    });
+    doc.moveDown(0.6);
+  };
+  const rule = () => {
+    doc.moveTo(48, doc.y).lineTo(548, doc.y).strokeColor('#ddd').stroke();
+    doc.moveDown(0.4);
+  };
+
+  row(columns.map(c => c.label), { bold: true });
+  rule();
+
+  breakdown.lines.forEach(line => {
+    row([
+      `Movie ticket (${line.tier})`, line.quantity, money(line.amount), money(line.discount),
+      money(line.taxableValue), line.gstRate, money(line.gst), money(line.amount - line.discount)
+    ]);
+  });
+
+  const concessions = breakdown.concessions || { lines: [], taxableValue: 0 };
+  concessions.lines.forEach(line => {
+    row([
+      line.name, line.quantity, money(line.amount), money(0),
+      money(line.taxableValue), line.gstRate, money(line.gst), money(line.amount)
+    ]);
+  });
+
+  const fee = breakdown.convenienceFee;
+  if (fee.amount > 0) {
+    row([
+      'Convenience fee', fee.quantity, money(fee.taxableValue), money(0),
+      money(fee.taxableValue), fee.gstRate, money(fee.gst), money(fee.amount)
+    ]);
+  }
+  rule();
+
+  const taxableTotal = breakdown.tickets.taxableValue + fee.taxableValue + concessions.taxableValue;
+  row(['Total', '', '', money(breakdown.discount), money(taxableTotal), '', money(breakdown.gst), money(breakdown.total)], { bold: true });
+
+  doc.moveDown(1.5);
+  doc.font('Helvetica-Bold').fontSize(11).text(`Amount paid: INR ${money(breakdown.total)}`, 48, doc.y, { align: 'right', width: 500 });
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#666')
+    .text('Ticket and food & beverage prices include GST. This is a computer-generated invoice and needs no signature.', 48, doc.y, { width: 500 });
+
+  doc.end();
+}
+
+module.exports = { issueInvoice, invoiceDetails, writeInvoicePdf };
@@ -0,0 +1,21 @@
+// server/services/mail/index.js
+// Email transport, chosen with MAIL_TRANSPORT (SMTP when SMTP_HOST is set,
+// the local outbox otherwise). In production the outbox, which sends
+// nothing, has to be asked for by name. Every transport implements:
+//   send({ to, subject, text, html }) -> { id }
+const TRANSPORTS = {
+  smtp: () => require('./smtp'),
+  outbox: () => require('./outbox')
+};
+
+const transportName = (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox')).toLowerCase();
+
+if (!TRANSPORTS[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+}
+
+if (transportName === 'outbox' && !process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error('SMTP_HOST is not set. Configure SMTP to send emails, or set MAIL_TRANSPORT=outbox to keep them in the local outbox.');
+}
+
+module.exports = TRANSPORTS[transportName]();
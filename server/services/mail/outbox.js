@@ -0,0 +1,25 @@
+// server/services/mail/outbox.js
+// Local email transport for development and tests: nothing is sent.
+// Each message is written as JSON to MAIL_OUTBOX_DIR. Only where it went
+// is logged, since messages carry password reset and verification links.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'outbox');
+
+async function send({ to, subject, text, html }) {
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const message = { id, to, subject, text, html, createdAt: new Date().toISOString() };
+
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  await fs.promises.writeFile(path.join(OUTBOX_DIR, `${id}.json`), JSON.stringify(message, null, 2));
+  console.log(`📧 Mail to ${to}: ${subject} (saved to ${path.join(OUTBOX_DIR, `${id}.json`)})`);
+
+  return { id };
+}
+
+module.exports = {
+  name: 'outbox',
+  send
+};
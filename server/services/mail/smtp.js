@@ -0,0 +1,29 @@
+// server/services/mail/smtp.js
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MovieVerse <no-reply@movieverse.app>';
+
+// Created on first use so the server can start without SMTP settings
+let transporter = null;
+function getTransporter() {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT || 587);
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return transporter;
+}
+
+async function send({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({ from: MAIL_FROM, to, subject, text, html });
+  return { id: info.messageId };
+}
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,20 @@
+// server/services/payments/index.js
+// Payment provider used by the booking flow, chosen with PAYMENT_PROVIDER.
+// Every provider implements:
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   verifyPayment({ orderId, paymentId, signature }) -> boolean
+//   refund(paymentId, { amount, notes }) -> { id, status }
+//   parseWebhook(rawBody, headers) -> normalized event, or null if the signature is invalid
+// Amounts are in paise.
+const PROVIDERS = {
+  razorpay: () => require('./razorpay'),
+  mock: () => require('./mock')
+};
+
+const providerName = (process.env.PAYMENT_PROVIDER || 'razorpay').toLowerCase();
+
+if (!PROVIDERS[providerName]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+}
+
+module.exports = PROVIDERS[providerName]();
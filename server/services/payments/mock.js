@@ -0,0 +1,72 @@
+// server/services/payments/mock.js
+// Local payment gateway for development and tests: no network, no real money.
+// Orders live in memory and payments are "made" through the mock checkout.
+const crypto = require('crypto');
+
+const MOCK_SECRET = process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+
+const orders = new Map();
+
+const randomId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+const sign = (value) => crypto.createHmac('sha256', MOCK_SECRET).update(value).digest('hex');
+
+async function createOrder({ amount, currency, receipt, notes }) {
+  const order = { id: randomId('order'), amount, currency, receipt, notes, status: 'created' };
+  orders.set(order.id, order);
+  return { id: order.id, amount: order.amount, currency: order.currency };
+}
+
+function verifyPayment({ orderId, paymentId, signature }) {
+  return signature === sign(`${orderId}|${paymentId}`);
+}
+
+async function refund(paymentId, { amount }) {
+  return { id: randomId('rfnd'), amount, status: 'processed' };
+}
+
+/**
+ * Webhook deliveries of the mock gateway carry the normalized event
+ * itself, signed like Razorpay's: HMAC of the raw body.
+ */
+function parseWebhook(rawBody, headers) {
+  if (headers['x-mock-signature'] !== sign(rawBody.toString())) {
+    return null;
+  }
+  return JSON.parse(rawBody.toString());
+}
+
+/**
+ * Pay (or fail to pay) an order from the mock checkout. Returns the same
+ * fields Razorpay checkout hands to its handler, plus the webhook event
+ * the gateway would send.
+ */
+function pay(orderId, { succeed = true } = {}) {
+  const order = orders.get(orderId);
+  if (!order) return null;
+
+  const paymentId = randomId('pay');
+  order.status = succeed ? 'paid' : 'attempted';
+
+  return {
+    response: succeed
+      ? { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: sign(`${orderId}|${paymentId}`) }
+      : { error: { description: 'Payment declined by the mock gateway.' } },
+    event: {
+      id: randomId('evt'),
+      type: succeed ? 'payment.captured' : 'payment.failed',
+      orderId,
+      paymentId,
+      amount: order.amount
+    }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  keyId: 'mock_key',
+  createOrder,
+  verifyPayment,
+  refund,
+  parseWebhook,
+  pay
+};
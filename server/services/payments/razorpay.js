@@ -0,0 +1,89 @@
+// server/services/payments/razorpay.js
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Created on first use so the server can start without Razorpay keys
+let client = null;
+function getClient() {
+  if (!client) {
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+}
+
+/**
+ * Helper: constant-time comparison of two hex signatures
+ */
+function signaturesMatch(expected, actual) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Create an order; amount is in paise
+ */
+async function createOrder({ amount, currency, receipt, notes }) {
+  const order = await getClient().orders.create({ amount, currency, receipt, notes });
+  return { id: order.id, amount: order.amount, currency: order.currency };
+}
+
+/**
+ * Verify the signature checkout returns for a completed payment
+ */
+function verifyPayment({ orderId, paymentId, signature }) {
+  const expected = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return signaturesMatch(expected, signature);
+}
+
+/**
+ * Refund (part of) a captured payment; amount is in paise
+ */
+async function refund(paymentId, { amount, notes }) {
+  const result = await getClient().payments.refund(paymentId, { amount, notes });
+  return { id: result.id, status: result.status === 'processed' ? 'processed' : 'pending' };
+}
+
+/**
+ * Verify a webhook delivery and normalize its event.
+ * Returns null when the signature does not match.
+ */
+function parseWebhook(rawBody, headers) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('Razorpay webhook secret not configured on server.');
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  if (!signaturesMatch(expected, headers['x-razorpay-signature'])) {
+    return null;
+  }
+
+  const { event, payload, created_at } = JSON.parse(rawBody.toString());
+  const payment = payload?.payment?.entity;
+  const refundEntity = payload?.refund?.entity;
+
+  return {
+    id: headers['x-razorpay-event-id'] || `${event}:${(payment || refundEntity)?.id}:${created_at}`,
+    type: event,
+    orderId: payment?.order_id,
+    paymentId: refundEntity ? refundEntity.payment_id : payment?.id,
+    refundId: refundEntity?.id,
+    amount: (refundEntity || payment)?.amount
+  };
+}
+
+module.exports = {
+  name: 'razorpay',
+  keyId: process.env.RAZORPAY_KEY_ID,
+  createOrder,
+  verifyPayment,
+  refund,
+  parseWebhook
+};
@@ -0,0 +1,160 @@
+// server/services/pricing.js
+const db = require('../db');
+
+/**
+ * Helper: parse GST rates per seat tier like "standard:12,*:18"
+ * ("*" is the rate of every other tier)
+ */
+function parseTierRates(value) {
+  return Object.fromEntries(
+    value.split(',')
+      .map(r => r.split(':').map(s => s.trim()))
+      .filter(([tier, rate]) => tier && !isNaN(Number(rate)))
+      .map(([tier, rate]) => [tier, Number(rate)])
+  );
+}
+
+// Fee model:
+// - seat prices are what customers see on the seat map, GST included;
+//   ticket GST (by seat tier) is worked out of them
+// - a convenience fee per ticket is added on top, plus GST on the fee
+// - discounts reduce the ticket value before GST, never the fee
+// - food & beverage prices include GST at their own rate
+const FEE_POLICY = {
+  convenienceFeePerTicket: Number(process.env.CONVENIENCE_FEE_PER_TICKET ?? 30),
+  feeGstRate: Number(process.env.CONVENIENCE_FEE_GST_RATE ?? 18),
+  concessionGstRate: Number(process.env.CONCESSION_GST_RATE ?? 5),
+  ticketGstRates: parseTierRates(process.env.TICKET_GST_RATES || '*:18')
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Helper: GST rate of a seat tier
+ */
+function ticketGstRate(tier) {
+  return FEE_POLICY.ticketGstRates[tier] ?? FEE_POLICY.ticketGstRates['*'] ?? 0;
+}
+
+/**
+ * Price a set of seats of a show from the stored seat prices, with the
+ * names of the pricing rules behind each price.
+ * Never trust amounts sent by the client; always price through here.
+ */
+function priceSeats(showId, seatIds) {
+  const placeholders = seatIds.map(() => '?').join(', ');
+  const seats = db.prepare(
+    `SELECT seat_id, tier, price, price_rules FROM show_seats
+     WHERE show_id = ? AND seat_id IN (${placeholders})
+     ORDER BY length(row_label), row_label, number`
+  ).all(showId, ...seatIds);
+
+  return {
+    seats: seats.map(s => ({ id: s.seat_id, tier: s.tier, price: s.price, rules: JSON.parse(s.price_rules || '[]') })),
+    total: seats.reduce((sum, s) => sum + s.price, 0)
+  };
+}
+
+/**
+ * Break the amount payable for priced seats (and food & beverage items
+ * from priceConcessions) down into tickets, GST and fees.
+ * A discount is spread over `discountSeatIds` (all seats by default) in
+ * proportion to their prices, so GST is charged on what is actually paid.
+ */
+function buildPriceBreakdown(seats, { discount = 0, discountSeatIds = null, items = [] } = {}) {
+  const discounted = seats.filter(s => !discountSeatIds || discountSeatIds.includes(s.id));
+  const discountedTotal = discounted.reduce((sum, s) => sum + s.price, 0);
+
+  // One line per tier and price, like the invoice shows it
+  const lines = [];
+  for (const seat of seats) {
+    let line = lines.find(l => l.tier === seat.tier && l.unitPrice === seat.price);
+    if (!line) {
+      line = { tier: seat.tier, unitPrice: seat.price, rules: seat.rules || [], quantity: 0, amount: 0, discount: 0 };
+      lines.push(line);
+    }
+    line.quantity += 1;
+    line.amount += seat.price;
+    if (discountedTotal > 0 && discounted.includes(seat)) {
+      line.discount += discount * seat.price / discountedTotal;
+    }
+  }
+
+  for (const line of lines) {
+    line.amount = roundAmount(line.amount);
+    line.discount = roundAmount(line.discount);
+    line.gstRate = ticketGstRate(line.tier);
+    const paid = line.amount - line.discount;
+    line.taxableValue = roundAmount(paid * 100 / (100 + line.gstRate));
+    line.gst = roundAmount(paid - line.taxableValue);
+  }
+
+  const sum = (field) => roundAmount(lines.reduce((total, l) => total + l[field], 0));
+  const ticketCount = seats.length;
+  const feeTaxableValue = roundAmount(FEE_POLICY.convenienceFeePerTicket * ticketCount);
+  const feeGst = roundAmount(feeTaxableValue * FEE_POLICY.feeGstRate / 100);
+
+  const tickets = {
+    amount: sum('amount'),
+    discount: sum('discount'),
+    taxableValue: sum('taxableValue'),
+    gst: sum('gst')
+  };
+  const convenienceFee = {
+    perTicket: FEE_POLICY.convenienceFeePerTicket,
+    quantity: ticketCount,
+    taxableValue: feeTaxableValue,
+    gstRate: FEE_POLICY.feeGstRate,
+    gst: feeGst,
+    amount: roundAmount(feeTaxableValue + feeGst)
+  };
+
+  const concessionLines = items.map(item => {
+    const taxableValue = roundAmount(item.amount * 100 / (100 + FEE_POLICY.concessionGstRate));
+    return {
+      ...item,
+      gstRate: FEE_POLICY.concessionGstRate,
+      taxableValue,
+      gst: roundAmount(item.amount - taxableValue)
+    };
+  });
+  const concessions = {
+    lines: concessionLines,
+    amount: roundAmount(concessionLines.reduce((total, l) => total + l.amount, 0)),
+    taxableValue: roundAmount(concessionLines.reduce((total, l) => total + l.taxableValue, 0)),
+    gst: roundAmount(concessionLines.reduce((total, l) => total + l.gst, 0))
+  };
+
+  return {
+    lines,
+    tickets,
+    convenienceFee,
+    concessions,
+    discount: tickets.discount,
+    gst: roundAmount(tickets.gst + feeGst + concessions.gst),
+    total: roundAmount(tickets.amount - tickets.discount + convenienceFee.amount + concessions.amount)
+  };
+}
+
+/**
+ * Get the price breakdown stored on a booking. Bookings made before the fee
+ * model only have a total, which is shown as GST-inclusive tickets.
+ */
+function bookingBreakdown(booking) {
+  if (booking.price_breakdown) {
+    return JSON.parse(booking.price_breakdown);
+  }
+
+  const breakdown = buildPriceBreakdown([{ id: booking.id, tier: 'ticket', price: booking.total_amount }]);
+  const [line] = breakdown.lines;
+
+  return {
+    ...breakdown,
+    lines: [{ ...line, quantity: booking.seat_count, unitPrice: roundAmount(booking.total_amount / booking.seat_count) }],
+    convenienceFee: { ...breakdown.convenienceFee, perTicket: 0, quantity: 0, taxableValue: 0, gst: 0, amount: 0 },
+    gst: breakdown.tickets.gst,
+    total: booking.total_amount
+  };
+}
+
+module.exports = { FEE_POLICY, priceSeats, buildPriceBreakdown, bookingBreakdown };
@@ -0,0 +1,203 @@
+// server/services/pricingRules.js
+const db = require('../db');
+
+const ADJUSTMENT_TYPES = ['percent', 'amount'];
+
+// Seat prices are kept in whole rupees and never drop below ₹1
+const MIN_SEAT_PRICE = 1;
+
+/**
+ * Parse the stored pricing rule row for API responses
+ */
+function formatPricingRule(rule) {
+  return {
+    ...rule,
+    days: rule.days ? JSON.parse(rule.days) : null,
+    active: Boolean(rule.active)
+  };
+}
+
+/**
+ * Helper: minutes since midnight of "HH:MM" (24h) or "hh:mm AM/PM" times
+ */
+function timeToMinutes(time) {
+  const match = String(time).trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  const [, hh, mm, period] = match;
+  const hour = period ? (Number(hh) % 12) + (period.toUpperCase() === 'PM' ? 12 : 0) : Number(hh);
+  if (hour > 23 || Number(mm) > 59) return null;
+  return hour * 60 + Number(mm);
+}
+
+/**
+ * Helper: what the rules of a show are matched against
+ */
+function showPricingContext(show) {
+  const seats = db.prepare(`
+    SELECT COUNT(*) AS total, SUM(status = 'booked') AS booked
+    FROM show_seats WHERE show_id = ? AND status != 'blocked'
+  `).get(show.id);
+
+  return {
+    // show_date is the theater's local date, so its weekday needs no time zone
+    weekday: new Date(`${show.show_date}T00:00:00Z`).getUTCDay(),
+    minutes: timeToMinutes(show.show_time),
+    facilities: (show.facilities || []).map(f => f.toLowerCase()),
+    occupancy: seats.total > 0 ? (seats.booked || 0) * 100 / seats.total : 0
+  };
+}
+
+/**
+ * Helper: whether a rule applies to a show. Time windows include their
+ * start, exclude their end and may run past midnight (e.g. 22:00-02:00).
+ */
+function ruleMatches(rule, context) {
+  if (rule.days && !JSON.parse(rule.days).includes(context.weekday)) return false;
+
+  if (rule.start_time && rule.end_time) {
+    const start = timeToMinutes(rule.start_time);
+    const end = timeToMinutes(rule.end_time);
+    const inWindow = start <= end
+      ? context.minutes >= start && context.minutes < end
+      : context.minutes >= start || context.minutes < end;
+    if (!inWindow) return false;
+  }
+
+  if (rule.facility && !context.facilities.includes(rule.facility.toLowerCase())) return false;
+  if (rule.min_occupancy !== null && context.occupancy < rule.min_occupancy) return false;
+  return true;
+}
+
+/**
+ * Work out the price of each seat tier of a show from its base prices
+ * ({ tier: price }) and the active pricing rules. Rules apply in order of
+ * priority, each to the price the rules before it left.
+ * Returns { tier: { price, basePrice, rules } } with the names of the
+ * rules that changed each price.
+ */
+function resolveTierPrices(show, basePrices) {
+  const rules = db.prepare(`
+    SELECT * FROM pricing_rules
+    WHERE active = 1 AND (theater_id IS NULL OR theater_id = ?)
+    ORDER BY priority, id
+  `).all(show.theater_id);
+
+  const context = rules.length > 0 ? showPricingContext(show) : null;
+  const matching = rules.filter(rule => ruleMatches(rule, context));
+
+  return Object.fromEntries(Object.entries(basePrices).map(([tier, basePrice]) => {
+    let price = basePrice;
+    const applied = [];
+
+    matching.filter(rule => !rule.tier || rule.tier === tier).forEach(rule => {
+      price = rule.adjustment_type === 'percent'
+        ? price * (100 + rule.adjustment) / 100
+        : price + rule.adjustment;
+      applied.push(rule.name);
+    });
+
+    return [tier, { price: Math.max(MIN_SEAT_PRICE, Math.round(price)), basePrice, rules: applied }];
+  }));
+}
+
+/**
+ * Validate the pricing rule fields sent by an admin.
+ * Returns { values } with the columns to store, or { error }.
+ */
+function parsePricingRuleInput(input, { tiers = [] } = {}) {
+  const values = {};
+  const has = (field) => input[field] !== undefined;
+
+  const name = String(input.name || '').trim();
+  if (!name || name.length > 60) {
+    return { error: 'name is required (up to 60 characters).' };
+  }
+  values.name = name;
+
+  if (!ADJUSTMENT_TYPES.includes(input.adjustment_type)) {
+    return { error: `adjustment_type must be one of: ${ADJUSTMENT_TYPES.join(', ')}.` };
+  }
+  values.adjustment_type = input.adjustment_type;
+
+  const adjustment = Number(input.adjustment);
+  if (input.adjustment === null || input.adjustment === '' || !Number.isFinite(adjustment) || adjustment === 0) {
+    return { error: 'adjustment must be a number other than 0 (negative for a lower price).' };
+  }
+  if (values.adjustment_type === 'percent' && adjustment <= -100) {
+    return { error: 'A percent adjustment must be more than -100.' };
+  }
+  values.adjustment = adjustment;
+
+  if (has('tier')) {
+    if (input.tier && !tiers.includes(input.tier)) {
+      return { error: `tier must be one of: ${tiers.join(', ')}, or null for all seats.` };
+    }
+    values.tier = input.tier || null;
+  }
+
+  if (has('days')) {
+    const days = input.days;
+    if (days !== null && (!Array.isArray(days) || days.length === 0
+      || days.some(d => !Number.isInteger(d) || d < 0 || d > 6))) {
+      return { error: 'days must be a non-empty list of weekdays from 0 (Sunday) to 6 (Saturday), or null for every day.' };
+    }
+    values.days = days ? JSON.stringify([...new Set(days)].sort()) : null;
+  }
+
+  for (const field of ['start_time', 'end_time']) {
+    if (!has(field)) continue;
+    if (!input[field]) { values[field] = null; continue; }
+    const minutes = /^\d{1,2}:\d{2}$/.test(String(input[field]).trim()) ? timeToMinutes(input[field]) : null;
+    if (minutes === null) {
+      return { error: `${field} must be a 24-hour time like 18:30.` };
+    }
+    values[field] = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+  if (Boolean(values.start_time) !== Boolean(values.end_time)) {
+    return { error: 'start_time and end_time must be set together.' };
+  }
+  if (values.start_time && values.start_time === values.end_time) {
+    return { error: 'end_time must differ from start_time.' };
+  }
+
+  if (has('min_occupancy')) {
+    if (input.min_occupancy === null || input.min_occupancy === '') {
+      values.min_occupancy = null;
+    } else {
+      const occupancy = Number(input.min_occupancy);
+      if (!Number.isFinite(occupancy) || occupancy < 0 || occupancy > 100) {
+        return { error: 'min_occupancy must be a percentage from 0 to 100.' };
+      }
+      values.min_occupancy = occupancy;
+    }
+  }
+
+  if (has('theater_id')) {
+    if (input.theater_id === null || input.theater_id === '') {
+      values.theater_id = null;
+    } else {
+      const theaterId = Number(input.theater_id);
+      if (!Number.isInteger(theaterId) || theaterId < 1) {
+        return { error: 'theater_id must be a whole number of at least 1.' };
+      }
+      if (!db.prepare('SELECT 1 FROM theaters WHERE id = ?').get(theaterId)) {
+        return { error: 'theater_id does not match a theater.' };
+      }
+      values.theater_id = theaterId;
+    }
+  }
+
+  if (has('priority')) {
+    const priority = Number(input.priority || 0);
+    if (!Number.isInteger(priority)) return { error: 'priority must be a whole number.' };
+    values.priority = priority;
+  }
+
+  if (has('facility')) values.facility = input.facility ? String(input.facility).trim() : null;
+  if (has('active')) values.active = input.active ? 1 : 0;
+
+  return { values };
+}
+
+module.exports = { formatPricingRule, resolveTierPrices, parsePricingRuleInput };
@@ -0,0 +1,191 @@
+// server/services/promotions.js
+const db = require('../db');
+
+const DISCOUNT_TYPES = ['flat', 'percent'];
+
+// Razorpay can't take orders below ₹1, so a discount never makes a booking free
+const MIN_ORDER_AMOUNT = 1;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Parse the stored promotion row for API responses
+ */
+function formatPromotion(promotion) {
+  return {
+    ...promotion,
+    tiers: promotion.tiers ? JSON.parse(promotion.tiers) : null,
+    active: Boolean(promotion.active)
+  };
+}
+
+/**
+ * Get a promotion by its code (case-insensitive), or null
+ */
+function findPromotion(code) {
+  const promotion = db.prepare('SELECT * FROM promotions WHERE code = ?').get(String(code || '').trim());
+  return promotion ? formatPromotion(promotion) : null;
+}
+
+/**
+ * Check the total and per-user usage limits of a promotion. Paid bookings
+ * use up a code, and so do checkouts still paying within their seat hold,
+ * so several checkouts at once can't go over a limit; a cancelled or
+ * abandoned booking gives the use back. The pending booking of `holdId`
+ * (the checkout being checked) is not counted.
+ * Returns the reason the code can't be used, or null.
+ */
+function checkPromotionLimits(promotion, userId, { holdId = null, now = new Date() } = {}) {
+  const countUses = (extraWhere, ...params) => db.prepare(`
+    SELECT COUNT(*) AS count FROM bookings b
+    WHERE b.promotion_id = ? AND (b.hold_id IS NULL OR b.hold_id IS NOT ?) AND (
+      b.booking_status = 'confirmed' OR (b.booking_status IN ('pending', 'failed') AND EXISTS (
+        SELECT 1 FROM seat_holds h WHERE h.id = b.hold_id AND h.status = 'active' AND h.expires_at > ?
+      ))
+    ) ${extraWhere}
+  `).get(promotion.id, holdId, now.toISOString(), ...params).count;
+
+  if (promotion.total_limit && countUses('') >= promotion.total_limit) {
+    return 'This promo code has been fully redeemed.';
+  }
+  if (promotion.per_user_limit && countUses('AND b.user_id = ?', userId) >= promotion.per_user_limit) {
+    return 'You have already used this promo code.';
+  }
+  return null;
+}
+
+/**
+ * Check a promo code against a checkout and work out its discount.
+ * `seats` are priced seats ({ id, tier, price }) of `show`.
+ * `holdId` is the seat hold being checked out, whose own pending booking
+ * doesn't count against the usage limits.
+ * Returns { valid, reason, promotion, discount, discountSeatIds }, where
+ * discountSeatIds are the seats the discount applies to.
+ */
+function evaluatePromotion(code, { userId, show, seats, holdId = null, now = new Date() }) {
+  const invalid = (reason, promotion = null) => ({ valid: false, reason, promotion, discount: 0, discountSeatIds: [] });
+
+  const promotion = findPromotion(code);
+  if (!promotion || !promotion.active) {
+    return invalid('This promo code is not valid.');
+  }
+
+  if (promotion.starts_at && now < new Date(promotion.starts_at)) {
+    return invalid('This promo code is not active yet.', promotion);
+  }
+  if (promotion.ends_at && now > new Date(promotion.ends_at)) {
+    return invalid('This promo code has expired.', promotion);
+  }
+
+  if (promotion.city && promotion.city.toLowerCase() !== show.city.toLowerCase()) {
+    return invalid(`This promo code is only valid in ${promotion.city}.`, promotion);
+  }
+  if (promotion.theater_id && promotion.theater_id !== show.theater_id) {
+    return invalid('This promo code is not valid at this theater.', promotion);
+  }
+
+  // Tier-specific codes only discount seats of those tiers
+  const eligibleSeats = promotion.tiers
+    ? seats.filter(s => promotion.tiers.includes(s.tier))
+    : seats;
+
+  if (eligibleSeats.length === 0) {
+    return invalid(`This promo code is only valid for ${promotion.tiers.join(' / ')} seats.`, promotion);
+  }
+  if (eligibleSeats.length < promotion.min_seats) {
+    return invalid(`Book at least ${promotion.min_seats} eligible seats to use this promo code.`, promotion);
+  }
+
+  const limitReason = checkPromotionLimits(promotion, userId, { holdId, now });
+  if (limitReason) {
+    return invalid(limitReason, promotion);
+  }
+
+  const eligibleTotal = eligibleSeats.reduce((sum, s) => sum + s.price, 0);
+  const total = seats.reduce((sum, s) => sum + s.price, 0);
+
+  let discount = promotion.discount_type === 'percent'
+    ? eligibleTotal * promotion.discount_value / 100
+    : promotion.discount_value;
+  if (promotion.max_discount) discount = Math.min(discount, promotion.max_discount);
+  discount = roundAmount(Math.max(0, Math.min(discount, eligibleTotal, total - MIN_ORDER_AMOUNT)));
+
+  return { valid: true, reason: null, promotion, discount, discountSeatIds: eligibleSeats.map(s => s.id) };
+}
+
+/**
+ * Validate the promotion fields sent by an admin.
+ * Returns { values } with the columns to store, or { error }.
+ */
+function parsePromotionInput(input) {
+  const values = {};
+  const has = (field) => input[field] !== undefined;
+  const optionalNumber = (field, { min = 0, integer = false } = {}) => {
+    if (!has(field)) return null;
+    if (input[field] === null || input[field] === '') { values[field] = null; return null; }
+    const n = Number(input[field]);
+    if (!Number.isFinite(n) || n < min || (integer && !Number.isInteger(n))) {
+      return `${field} must be ${integer ? 'a whole number' : 'a number'} of at least ${min}.`;
+    }
+    values[field] = n;
+    return null;
+  };
+
+  const code = String(input.code || '').trim().toUpperCase();
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    return { error: 'code must be 3-32 letters, digits, dashes or underscores.' };
+  }
+  values.code = code;
+
+  if (!DISCOUNT_TYPES.includes(input.discount_type)) {
+    return { error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}.` };
+  }
+  values.discount_type = input.discount_type;
+
+  const discountValue = Number(input.discount_value);
+  if (!Number.isFinite(discountValue) || discountValue <= 0) {
+    return { error: 'discount_value must be a positive number.' };
+  }
+  if (values.discount_type === 'percent' && discountValue > 100) {
+    return { error: 'A percent discount cannot be more than 100.' };
+  }
+  values.discount_value = discountValue;
+
+  const numberError = optionalNumber('max_discount')
+    || optionalNumber('min_seats', { min: 1, integer: true })
+    || optionalNumber('per_user_limit', { min: 1, integer: true })
+    || optionalNumber('total_limit', { min: 1, integer: true })
+    || optionalNumber('theater_id', { min: 1, integer: true });
+  if (numberError) return { error: numberError };
+  if (values.min_seats === null) values.min_seats = 1;
+  if (values.theater_id && !db.prepare('SELECT 1 FROM theaters WHERE id = ?').get(values.theater_id)) {
+    return { error: 'theater_id does not match a theater.' };
+  }
+
+  if (has('tiers')) {
+    const tiers = input.tiers;
+    if (tiers !== null && (!Array.isArray(tiers) || tiers.length === 0 || tiers.some(t => typeof t !== 'string'))) {
+      return { error: 'tiers must be a non-empty list of seat tiers, or null for all seats.' };
+    }
+    values.tiers = tiers ? JSON.stringify(tiers) : null;
+  }
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (!has(field)) continue;
+    if (!input[field]) { values[field] = null; continue; }
+    const date = new Date(input[field]);
+    if (isNaN(date)) return { error: `${field} must be a date.` };
+    values[field] = date.toISOString();
+  }
+  if (values.starts_at && values.ends_at && values.starts_at >= values.ends_at) {
+    return { error: 'ends_at must be after starts_at.' };
+  }
+
+  if (has('description')) values.description = input.description ? String(input.description) : null;
+  if (has('city')) values.city = input.city ? String(input.city).trim() : null;
+  if (has('active')) values.active = input.active ? 1 : 0;
+
+  return { values };
+}
+
+module.exports = { formatPromotion, findPromotion, checkPromotionLimits, evaluatePromotion, parsePromotionInput };
@@ -0,0 +1,173 @@
+// server/services/refunds.js
+const db = require('../db');
+const payments = require('./payments');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds owed after a state change was committed are queued and sent
+// afterwards, so a gateway outage delays them instead of losing them.
+// A queued refund is retried (see sendQueuedRefunds) until the gateway
+// takes it, and marked 'failed' for a manual refund after this many tries.
+const MAX_REFUND_ATTEMPTS = 5;
+
+/**
+ * Get the payments of a booking that still have money to refund, latest
+ * first: the checkout payment plus fare differences paid to change the
+ * booking (see services/exchanges).
+ */
+function refundablePayments(booking) {
+  const changes = db.prepare(
+    "SELECT razorpay_payment_id, difference FROM booking_changes WHERE booking_id = ? AND status = 'completed' ORDER BY id"
+  ).all(booking.id);
+
+  // What the checkout paid: the current total without the differences since
+  const checkoutAmount = roundAmount(booking.total_amount - changes.reduce((sum, c) => sum + c.difference, 0));
+  const paid = [
+    { paymentId: booking.razorpay_payment_id, amount: checkoutAmount },
+    ...changes.filter(c => c.difference > 0).map(c => ({ paymentId: c.razorpay_payment_id, amount: c.difference }))
+  ];
+
+  // Refunds recorded before they were tracked per payment went to the checkout payment
+  const refunded = db.prepare(`
+    SELECT COALESCE(razorpay_payment_id, ?) AS payment_id, SUM(amount) AS amount
+    FROM refunds WHERE booking_id = ?
+    GROUP BY COALESCE(razorpay_payment_id, ?)
+  `).all(booking.razorpay_payment_id, booking.id, booking.razorpay_payment_id);
+
+  return paid
+    .filter(p => p.paymentId)
+    .map(p => ({
+      paymentId: p.paymentId,
+      refundable: roundAmount(p.amount - (refunded.find(r => r.payment_id === p.paymentId)?.amount || 0))
+    }))
+    .filter(p => p.refundable > 0)
+    .reverse();
+}
+
+/**
+ * Queue the refund of an amount of a booking, spread over its payments
+ * latest first. Call it in the transaction that cancels or changes the
+ * booking: the queued refunds count as refunded right away, so two
+ * requests can't refund the same money. Send them with sendQueuedRefunds.
+ * Returns the ids of the queued refunds.
+ */
+function queueBookingRefund(booking, amount, reason) {
+  const ids = [];
+  let remaining = roundAmount(amount);
+
+  for (const payment of refundablePayments(booking)) {
+    if (remaining <= 0) break;
+
+    const refundAmount = roundAmount(Math.min(remaining, payment.refundable));
+    ids.push(queueRefund({ bookingId: booking.id, paymentId: payment.paymentId, amount: refundAmount, reason }));
+    remaining = roundAmount(remaining - refundAmount);
+  }
+
+  return ids;
+}
+
+/**
+ * Sum up refund rows for API responses: { amount, status } ('processed'
+ * once every part is), or null when there are none
+ */
+function summarizeRefunds(refunds) {
+  if (refunds.length === 0) {
+    return null;
+  }
+
+  return {
+    amount: roundAmount(refunds.reduce((sum, r) => sum + r.amount, 0)),
+    status: refunds.every(r => r.status === 'processed') ? 'processed' : 'pending'
+  };
+}
+
+/**
+ * Queue a refund of a payment. Safe to call inside a transaction; the
+ * refund is sent by sendQueuedRefunds. Returns the refund id.
+ */
+function queueRefund({ bookingId, paymentId, amount, reason }) {
+  return db.prepare(`
+    INSERT INTO refunds (booking_id, razorpay_payment_id, amount, status, reason)
+    VALUES (?, ?, ?, 'queued', ?)
+  `).run(bookingId, paymentId, roundAmount(amount), reason).lastInsertRowid;
+}
+
+/**
+ * Queue a full refund of a payment that bought nothing, e.g. a capture
+ * for seats that were taken meanwhile. Gateways report a payment more
+ * than once (checkout and webhook), so it is only queued the first time.
+ * Returns whether a refund was queued.
+ */
+function queuePaymentRefund({ bookingId, paymentId, amount, reason }) {
+  const refunded = db.prepare('SELECT 1 FROM refunds WHERE razorpay_payment_id = ?').get(paymentId);
+  if (refunded || !paymentId || !(amount > 0)) {
+    return false;
+  }
+
+  queueRefund({ bookingId, paymentId, amount, reason });
+  return true;
+}
+
+/**
+ * Send a queued refund to the payment gateway and record its result.
+ * A refund the gateway refuses goes back to the queue. Returns the refund
+ * row; throws if the gateway fails.
+ */
+async function sendRefund(refundId) {
+  const claimed = db.prepare(
+    "UPDATE refunds SET status = 'sending', attempts = attempts + 1 WHERE id = ? AND status = 'queued'"
+  ).run(refundId);
+  const refund = db.prepare('SELECT * FROM refunds WHERE id = ?').get(refundId);
+
+  // Someone else is sending it, or it was sent already
+  if (claimed.changes === 0) {
+    return refund;
+  }
+
+  try {
+    const providerRefund = await payments.refund(refund.razorpay_payment_id, {
+      amount: Math.round(refund.amount * 100), // paise
+      notes: { bookingId: refund.booking_id.toString(), reason: refund.reason }
+    });
+
+    db.prepare(`
+      UPDATE refunds
+      SET razorpay_refund_id = ?, status = ?, processed_at = CASE WHEN ? = 'processed' THEN CURRENT_TIMESTAMP END
+      WHERE id = ?
+    `).run(providerRefund.id, providerRefund.status, providerRefund.status, refund.id);
+  } catch (err) {
+    db.prepare("UPDATE refunds SET status = CASE WHEN attempts >= ? THEN 'failed' ELSE 'queued' END WHERE id = ?")
+      .run(MAX_REFUND_ATTEMPTS, refund.id);
+    throw err;
+  }
+
+  return db.prepare('SELECT * FROM refunds WHERE id = ?').get(refund.id);
+}
+
+/**
+ * Send queued refunds, all of them or the given ones. Failures are logged
+ * and left for the next run. Returns the refund rows.
+ */
+async function sendQueuedRefunds(refundIds = null) {
+  const ids = refundIds || db.prepare("SELECT id FROM refunds WHERE status = 'queued' ORDER BY id").all().map(r => r.id);
+
+  const refunds = [];
+  for (const id of ids) {
+    try {
+      refunds.push(await sendRefund(id));
+    } catch (err) {
+      console.error(`Error sending refund ${id}:`, err.message);
+      refunds.push(db.prepare('SELECT * FROM refunds WHERE id = ?').get(id));
+    }
+  }
+  return refunds;
+}
+
+module.exports = {
+  refundablePayments,
+  queueBookingRefund,
+  summarizeRefunds,
+  queueRefund,
+  queuePaymentRefund,
+  sendQueuedRefunds
+};
@@ -0,0 +1,56 @@
+// server/services/seatEvents.js
+const { EventEmitter } = require('events');
+const db = require('../db');
+
+// Live seat updates per show (see GET /api/bookings/seats/stream).
+// Code changing seats calls notifySeatsChanged; subscribers are then sent
+// the seats whose status changed since they last heard.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+const pendingShows = new Set();
+
+/**
+ * Helper: current status of every seat of a show, as the seat map reports it
+ */
+function seatStatuses(showId) {
+  const seats = db.prepare('SELECT seat_id, status, hold_id FROM show_seats WHERE show_id = ?').all(showId);
+  return Object.fromEntries(seats.map(s => [s.seat_id, s.status === 'available' && s.hold_id ? 'held' : s.status]));
+}
+
+/**
+ * Tell the subscribers of a show that its seats may have changed.
+ * Safe to call inside a transaction: the seats are read once the current
+ * code is done, and several calls in a row are sent as one update.
+ */
+function notifySeatsChanged(showId) {
+  const key = String(showId);
+  if (pendingShows.has(key) || emitter.listenerCount(key) === 0) return;
+
+  pendingShows.add(key);
+  setImmediate(() => {
+    pendingShows.delete(key);
+    emitter.emit(key, seatStatuses(showId));
+  });
+}
+
+/**
+ * Subscribe to a show's seat changes. `onChange` gets the changed seats as
+ * [{ id, status }]. Returns a function that ends the subscription.
+ */
+function subscribeToSeats(showId, onChange) {
+  const key = String(showId);
+  let last = seatStatuses(showId);
+
+  const listener = (statuses) => {
+    const changed = Object.keys(statuses)
+      .filter(id => statuses[id] !== last[id])
+      .map(id => ({ id, status: statuses[id] }));
+    last = statuses;
+    if (changed.length > 0) onChange(changed);
+  };
+
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+}
+
+module.exports = { notifySeatsChanged, subscribeToSeats };
@@ -0,0 +1,182 @@
+// server/services/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+
+// Access tokens are short-lived; the refresh token (an HttpOnly cookie)
+// gets a new one while its session is not revoked or expired
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Tabs sharing the cookie may refresh at the same moment; the token one of
+// them just swapped still gets an access token for this long
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Helper: sign an access token of a session
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user.id, username: user.username, email: user.email, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Helper: a new refresh token of a session, "<session id>.<secret>".
+ * Only the hash of the secret is stored.
+ */
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+}
+
+/**
+ * Start a session for a user who signed in.
+ * Returns { session, accessToken, refreshToken }.
+ */
+function createSession(user, { userAgent = null, ipAddress = null } = {}) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const refresh = newRefreshToken(id);
+  const now = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  db.prepare(`
+    INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, last_seen_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(id, user.id, refresh.hash, userAgent, ipAddress, now, now, now, expiresAt);
+
+  return {
+    session: db.prepare('SELECT * FROM sessions WHERE id = ?').get(id),
+    accessToken: signAccessToken(user, id),
+    refreshToken: refresh.token
+  };
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token.
+ * Each refresh token works once: presenting one that was already swapped
+ * means it was copied, so the whole session is revoked.
+ * Returns { user, accessToken, refreshToken } or { error }; refreshToken
+ * is null when the one in use was swapped moments ago by another tab.
+ */
+function refreshSession(refreshToken, { ipAddress = null } = {}) {
+  const expired = { error: 'Your session has expired. Please sign in again.' };
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const session = sessionId && secret && db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  if (!session || session.revoked_at || session.expires_at <= new Date().toISOString()) {
+    return expired;
+  }
+
+  const user = db.prepare(
+    'SELECT id, username, email, role, email_verified_at FROM users WHERE id = ?'
+  ).get(session.user_id);
+  if (!user) return expired;
+
+  const hash = hashToken(secret);
+  if (hash === session.previous_token_hash) {
+    if (Date.now() - new Date(session.last_used_at) < REFRESH_REUSE_GRACE_MS) {
+      return { user, accessToken: signAccessToken(user, session.id), refreshToken: null };
+    }
+    revokeSession(session.id);
+    return { error: 'Your session has been signed out for your security. Please sign in again.' };
+  }
+  if (hash !== session.refresh_token_hash) return expired;
+
+  const refresh = newRefreshToken(session.id);
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE sessions
+    SET refresh_token_hash = ?, previous_token_hash = ?, ip_address = COALESCE(?, ip_address),
+        last_used_at = ?, last_seen_at = ?
+    WHERE id = ?
+  `).run(refresh.hash, hash, ipAddress, now, now, session.id);
+
+  return { user, accessToken: signAccessToken(user, session.id), refreshToken: refresh.token };
+}
+
+/**
+ * Revoke a session: its refresh token stops working at once and so do
+ * its access tokens (see authenticateToken).
+ */
+function revokeSession(sessionId) {
+  return db.prepare(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL'
+  ).run(sessionId).changes > 0;
+}
+
+/**
+ * Revoke every session of a user ("sign out everywhere"), except
+ * `exceptSessionId` if given. Returns how many were revoked.
+ */
+function revokeUserSessions(userId, exceptSessionId = null) {
+  return db.prepare(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?'
+  ).run(userId, exceptSessionId).changes;
+}
+
+/**
+ * Helper: a readable name for the device of a user agent, e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/], ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser?.[0] || 'Browser', system && `on ${system[0]}`].filter(Boolean).join(' ');
+}
+
+/**
+ * Get the signed-in sessions of a user, most recently seen first.
+ * `currentSessionId` marks the session making the request.
+ */
+function listUserSessions(userId, currentSessionId = null) {
+  const sessions = db.prepare(`
+    SELECT * FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_seen_at DESC
+  `).all(userId, new Date().toISOString());
+
+  return sessions.map(s => ({
+    id: s.id,
+    device: describeDevice(s.user_agent),
+    userAgent: s.user_agent,
+    ipAddress: s.ip_address,
+    createdAt: s.created_at,
+    lastSeenAt: s.last_seen_at,
+    current: s.id === currentSessionId
+  }));
+}
+
+/**
+ * Get the session a refresh token (current or just swapped) belongs to,
+ * or null
+ */
+function findRefreshSession(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  const session = sessionId && secret && db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+  const hash = secret && hashToken(secret);
+  return session && [session.refresh_token_hash, session.previous_token_hash].includes(hash) ? session : null;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  findRefreshSession
+};
@@ -0,0 +1,516 @@
+// server/services/shows.js
+const db = require('../db');
+const { releaseExpiredHolds } = require('./holds');
+const { resolveTierPrices } = require('./pricingRules');
+
+// All theaters are in India, so show times are stored and displayed in IST
+const THEATER_TIMEZONE = process.env.THEATER_TIMEZONE || 'Asia/Kolkata';
+
+// Seat layout and default pricing tiers (INR)
+const SEAT_PRICING = {
+  recliner: { price: 350, rows: ['A', 'B'] },
+  premium: { price: 250, rows: ['C', 'D', 'E'] },
+  standard: { price: 150, rows: ['F', 'G', 'H'] }
+};
+const SEATS_PER_ROW = 12;
+
+// Screen layouts are a JSON grid: { screen, rows: [{ label, tier, cells }] }
+// with the rows listed from the screen back and one character per cell of
+// a row, left to right. '_' is an aisle or a missing seat. Couple seats are
+// two-person sofas laid out side by side ("cc") and sold in pairs; companion
+// seats are next to wheelchair spaces for the people accompanying
+// wheelchair users; blocked seats are never sold. `screen` is where the
+// seat map shows the screen: 'top' (above row A) or 'bottom'.
+const LAYOUT_SEAT_TYPES = { s: 'standard', c: 'couple', w: 'wheelchair', m: 'companion', x: 'blocked' };
+const LAYOUT_GAP = '_';
+const LAYOUT_SCREEN_POSITIONS = ['top', 'bottom'];
+const MAX_LAYOUT_ROWS = 26;
+const MAX_LAYOUT_COLUMNS = 40;
+
+// Layout of screens that have none of their own
+const DEFAULT_LAYOUT = {
+  screen: 'top',
+  rows: Object.entries(SEAT_PRICING).flatMap(([tier, config]) =>
+    config.rows.map(label => ({ label, tier, cells: 's'.repeat(SEATS_PER_ROW) }))
+  )
+};
+
+/**
+ * Helper: split a Date into local date/time parts for the theater timezone
+ */
+function toLocalParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: THEATER_TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')),
+    minute: Number(get('minute')),
+    second: Number(get('second'))
+  };
+}
+
+/**
+ * Get the local calendar date (YYYY-MM-DD) of a Date in the theater timezone
+ */
+function localDate(date = new Date()) {
+  const { year, month, day } = toLocalParts(date);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Format a Date as a display show time (e.g. "06:30 PM") in the theater timezone
+ */
+function localTime(date) {
+  const { hour, minute } = toLocalParts(date);
+  const suffix = hour >= 12 ? 'PM' : 'AM';
+  const hour12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${String(hour12).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Convert a local date (YYYY-MM-DD) and 24h time (HH:MM) in the theater
+ * timezone to a UTC Date
+ */
+function zonedToUtc(dateStr, timeStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the timezone at that instant, e.g. +330 minutes for IST
+  const local = toLocalParts(new Date(asUtc));
+  const localAsUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return new Date(asUtc - (localAsUtc - asUtc));
+}
+
+/**
+ * Get the start time of a booked show. Bookings made before shows were
+ * stored only have the local show date and display time (e.g. "06:30 PM").
+ */
+function bookingStartsAt(booking) {
+  if (booking.show_id) {
+    const show = db.prepare('SELECT starts_at FROM shows WHERE id = ?').get(booking.show_id);
+    if (show) return new Date(show.starts_at);
+  }
+
+  const [, hh, mm, period] = booking.show_time.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
+  const hour = (Number(hh) % 12) + (period.toUpperCase() === 'PM' ? 12 : 0);
+  return zonedToUtc(booking.show_date, `${hour}:${mm}`);
+}
+
+/**
+ * Get a show by id along with its screen and theater
+ */
+function getShow(showId) {
+  const show = db.prepare(`
+    SELECT s.*, sc.name AS screen, sc.theater_id,
+           t.name AS theater_brand, t.location AS theater_location, t.city, t.facilities
+    FROM shows s
+    JOIN screens sc ON sc.id = s.screen_id
+    JOIN theaters t ON t.id = sc.theater_id
+    WHERE s.id = ?
+  `).get(showId);
+
+  if (!show) return null;
+
+  return {
+    ...show,
+    theater_name: `${show.theater_brand} - ${show.theater_location}`,
+    price_tiers: JSON.parse(show.price_tiers),
+    facilities: JSON.parse(show.facilities || '[]')
+  };
+}
+
+/**
+ * Get the current price of each seat tier of a show: its own tier prices
+ * (or the defaults) after the pricing rules.
+ * Returns { tier: { price, basePrice, rules } }.
+ */
+function getShowPrices(show) {
+  const basePrices = Object.fromEntries(Object.keys(SEAT_PRICING).map(tier => (
+    [tier, show.price_tiers[tier] ?? SEAT_PRICING[tier].price]
+  )));
+  return resolveTierPrices(show, basePrices);
+}
+
+/**
+ * Helper: the position of a row label in the order rows are labeled:
+ * A = 1, ..., Z = 26, AA = 27, AB = 28, ...
+ */
+function rowLabelNumber(label) {
+  return [...label].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+/**
+ * Helper: the row label at a position (see rowLabelNumber)
+ */
+function rowLabelAt(number) {
+  let label = '';
+  for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+    label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+  }
+  return label;
+}
+
+/**
+ * Validate a screen layout (an object or its JSON).
+ * Returns { layout } with only the known fields, or { error }.
+ */
+function parseLayout(value) {
+  let layout = value;
+  if (typeof value === 'string') {
+    try {
+      layout = JSON.parse(value);
+    } catch (err) {
+      return { error: 'Layout is not valid JSON.' };
+    }
+  }
+
+  if (!layout || !Array.isArray(layout.rows) || layout.rows.length === 0 || layout.rows.length > MAX_LAYOUT_ROWS) {
+    return { error: `A layout needs 1 to ${MAX_LAYOUT_ROWS} rows.` };
+  }
+
+  const screen = layout.screen ?? 'top';
+  if (!LAYOUT_SCREEN_POSITIONS.includes(screen)) {
+    return { error: `The screen must be at the ${LAYOUT_SCREEN_POSITIONS.join(' or ')}.` };
+  }
+
+  // Labels are letters only, so seat ids ("A12") are unique as long as the labels are
+  const rows = [];
+  for (const row of layout.rows) {
+    const { label, tier, cells } = row || {};
+
+    if (typeof label !== 'string' || !/^[A-Z]{1,2}$/.test(label)) {
+      return { error: 'Row labels must be one or two capital letters, e.g. A or AA.' };
+    }
+    if (rows.some(r => r.label === label)) {
+      return { error: `Row ${label} is used twice. Every row needs its own label.` };
+    }
+    // Seat maps list rows by label, so the labels must run in order too:
+    // each row the next letter after the one before, Z followed by AA
+    const previous = rows[rows.length - 1];
+    if (previous && rowLabelNumber(label) !== rowLabelNumber(previous.label) + 1) {
+      const expected = rowLabelAt(rowLabelNumber(previous.label) + 1);
+      return { error: `Row ${label} comes after row ${previous.label}, so it should be ${expected}. Label the rows in order from the screen back.` };
+    }
+    if (!SEAT_PRICING[tier]) {
+      return { error: `Row ${label} has an unknown tier. Use one of: ${Object.keys(SEAT_PRICING).join(', ')}.` };
+    }
+    if (typeof cells !== 'string' || cells.length === 0 || cells.length > MAX_LAYOUT_COLUMNS) {
+      return { error: `Row ${label} needs 1 to ${MAX_LAYOUT_COLUMNS} cells.` };
+    }
+    if (![...cells].every(cell => cell === LAYOUT_GAP || LAYOUT_SEAT_TYPES[cell])) {
+      return { error: `Row ${label} has unknown cells. Use ${Object.keys(LAYOUT_SEAT_TYPES).join(', ')} or ${LAYOUT_GAP}.` };
+    }
+    if (!/[^_]/.test(cells)) {
+      return { error: `Row ${label} has no seats. Remove empty rows.` };
+    }
+    if (cells.match(/c+/g)?.some(run => run.length % 2 !== 0)) {
+      return { error: `Couple seats in row ${label} must come in side-by-side pairs.` };
+    }
+
+    rows.push({ label, tier, cells });
+  }
+
+  return { layout: { screen, rows } };
+}
+
+/**
+ * Get the seats of a layout: seats are numbered from 1 along each row,
+ * skipping gaps, and `col` is their cell position (from 1)
+ */
+function layoutSeats(layout) {
+  return layout.rows.flatMap(row => {
+    let number = 0;
+    return [...row.cells].flatMap((cell, index) => {
+      if (cell === LAYOUT_GAP) return [];
+      number += 1;
+      return [{
+        id: `${row.label}${number}`,
+        row: row.label,
+        number,
+        col: index + 1,
+        tier: row.tier,
+        type: LAYOUT_SEAT_TYPES[cell]
+      }];
+    });
+  });
+}
+
+/**
+ * Get the layout of a screen, or the default one
+ */
+function getScreenLayout(screenId) {
+  const screen = db.prepare('SELECT layout FROM screens WHERE id = ?').get(screenId);
+  return (screen?.layout && parseLayout(screen.layout).layout) || DEFAULT_LAYOUT;
+}
+
+/**
+ * Save the layout of a screen. Returns { layout } or { error }.
+ * Shows whose seats already exist keep their seats; the layout applies to
+ * the others.
+ */
+function saveScreenLayout(screenId, value) {
+  const { layout, error } = parseLayout(value);
+  if (error) return { error };
+
+  db.prepare('UPDATE screens SET layout = ? WHERE id = ?').run(JSON.stringify(layout), screenId);
+  return { layout };
+}
+
+/**
+ * Helper: pair up the couple seats of a row of seats (sorted by column),
+ * left to right. Returns a map of seat id to the id of its partner.
+ */
+function couplePartners(seats) {
+  const partners = {};
+  let left = null;
+  seats.forEach(seat => {
+    if (seat.type !== 'couple') {
+      left = null;
+    } else if (left && left.col === seat.col - 1) {
+      partners[left.id] = seat.id;
+      partners[seat.id] = left.id;
+      left = null;
+    } else {
+      left = seat;
+    }
+  });
+  return partners;
+}
+
+/**
+ * Create the seat records of a show from its screen's layout the first
+ * time they are needed. Later layout changes apply to new shows only.
+ * Seats that are still for sale are repriced each time, as the pricing
+ * rules (e.g. occupancy surges) may have changed their price; held and
+ * booked seats keep the price they were taken at.
+ */
+function ensureShowSeats(show) {
+  const prices = getShowPrices(show);
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM show_seats WHERE show_id = ?').get(show.id);
+
+  if (count === 0) {
+    const insertSeat = db.prepare(`
+      INSERT OR IGNORE INTO show_seats (show_id, seat_id, row_label, number, col, tier, seat_type, price, price_rules, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+      layoutSeats(getScreenLayout(show.screen_id)).forEach(seat => {
+        const { price, rules } = prices[seat.tier];
+        insertSeat.run(
+          show.id, seat.id, seat.row, seat.number, seat.col, seat.tier, seat.type, price, JSON.stringify(rules),
+          seat.type === 'blocked' ? 'blocked' : 'available'
+        );
+      });
+    })();
+    return;
+  }
+
+  const updatePrice = db.prepare(`
+    UPDATE show_seats SET price = ?, price_rules = ?
+    WHERE show_id = ? AND tier = ? AND status = 'available' AND hold_id IS NULL
+      AND (price != ? OR IFNULL(price_rules, '') != ?)
+  `);
+  db.transaction(() => {
+    Object.entries(prices).forEach(([tier, { price, rules }]) => {
+      updatePrice.run(price, JSON.stringify(rules), show.id, tier, price, JSON.stringify(rules));
+    });
+  })();
+}
+
+/**
+ * Helper: group seats (in row and column order) into the rows of a seat map
+ */
+function groupSeatRows(seats) {
+  const rows = [];
+  seats.forEach(seat => {
+    let row = rows.find(r => r.row === seat.row);
+    if (!row) {
+      row = { row: seat.row, tier: seat.tier, price: seat.price, seats: [] };
+      rows.push(row);
+    }
+    row.seats.push(seat);
+  });
+
+  // Couple seats are selected in pairs, so each one names its partner
+  rows.forEach(row => {
+    const partners = couplePartners(row.seats);
+    row.seats.forEach(seat => {
+      if (partners[seat.id]) seat.pair = partners[seat.id];
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Helper: get the seats of a show grouped by row, with `free` set on the
+ * seats that can be picked: not booked (except by `bookingId`, when it is
+ * being changed), blocked or held by someone else
+ */
+function showSeatRows(showId, { userId = null, bookingId = null } = {}) {
+  const seats = db.prepare(`
+    SELECT ss.seat_id, ss.row_label, ss.col, ss.seat_type, ss.tier, ss.price, ss.status, ss.booking_id,
+           h.user_id AS holder_id
+    FROM show_seats ss
+    LEFT JOIN seat_holds h ON h.id = ss.hold_id
+    WHERE ss.show_id = ?
+    ORDER BY length(ss.row_label), ss.row_label, ss.col
+  `).all(showId);
+
+  return groupSeatRows(seats.map(s => ({
+    id: s.seat_id,
+    row: s.row_label,
+    col: s.col,
+    type: s.seat_type,
+    tier: s.tier,
+    price: s.price,
+    free: (s.status === 'available' || (s.status === 'booked' && bookingId && s.booking_id === bookingId)) &&
+      (!s.holder_id || s.holder_id === userId)
+  })));
+}
+
+/**
+ * Helper: check a selection of seats against the seat rows of its show.
+ * Couple seats go with their partner, and no standard seat may be left
+ * empty on its own between the selection and a taken seat or an aisle.
+ */
+function selectionError(rows, seatIds) {
+  const selected = new Set(seatIds);
+  const free = (seat) => seat.free && !selected.has(seat.id);
+
+  for (const row of rows) {
+    if (!row.seats.some(s => selected.has(s.id))) continue;
+
+    const unpaired = row.seats.find(s => s.pair && selected.has(s.id) && !selected.has(s.pair));
+    if (unpaired) {
+      return `${unpaired.id} is a couple seat and is sold together with ${unpaired.pair}.`;
+    }
+
+    const orphan = row.seats.find((seat, i) => {
+      if (seat.type !== 'standard' || !free(seat)) return false;
+      const neighbours = [row.seats[i - 1], row.seats[i + 1]].filter(n => n && Math.abs(n.col - seat.col) === 1);
+      return neighbours.length > 0 && neighbours.every(n => !free(n)) && neighbours.some(n => selected.has(n.id));
+    });
+    if (orphan) {
+      return `This selection would leave seat ${orphan.id} empty on its own. Please include it or pick other seats.`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that a set of seats of a show can be booked together. Seats the
+ * user is holding count as free, as a new hold replaces them, and so do
+ * the seats of `bookingId` when the user is changing that booking.
+ * Returns an error message, or null.
+ */
+function checkSeatSelection(show, seatIds, { userId = null, bookingId = null } = {}) {
+  return selectionError(showSeatRows(show.id, { userId, bookingId }), seatIds);
+}
+
+/**
+ * Find the best block of `count` free seats of a show, of one tier if
+ * given: side by side in one row without crossing an aisle, as close as
+ * possible to the middle of the screen and to the middle rows. Wheelchair
+ * and companion seats are left for those who need them.
+ * Returns the seat ids, or null.
+ */
+function findBestSeats(show, count, tier = null) {
+  releaseExpiredHolds(show.id);
+  ensureShowSeats(show);
+
+  const rows = showSeatRows(show.id);
+  const cols = rows.flatMap(r => r.seats.map(s => s.col));
+  const centerCol = (Math.min(...cols) + Math.max(...cols)) / 2;
+  const candidateRows = tier ? rows.filter(r => r.tier === tier) : rows;
+  const middleRow = (candidateRows.length - 1) / 2;
+  let best = null;
+
+  candidateRows.forEach((row, rowIndex) => {
+    row.seats.forEach((_, start) => {
+      const block = row.seats.slice(start, start + count);
+      const pickable = block.length === count && block.every((s, k) =>
+        s.free && (s.type === 'standard' || s.type === 'couple') && s.col === block[0].col + k
+      );
+      if (!pickable) return;
+
+      const ids = block.map(s => s.id);
+      if (selectionError(rows, ids)) return;
+
+      const score = Math.abs((block[0].col + block[count - 1].col) / 2 - centerCol) + Math.abs(rowIndex - middleRow);
+      if (!best || score < best.score) best = { ids, score };
+    });
+  });
+
+  return best?.ids || null;
+}
+
+/**
+ * Get the seat map of a show, grouped by row.
+ * Seats held by someone during checkout are reported as 'held'.
+ */
+function getSeatMap(show) {
+  // Released seats are repriced along with the rest
+  releaseExpiredHolds(show.id);
+  ensureShowSeats(show);
+
+  const seats = db.prepare(
+    'SELECT * FROM show_seats WHERE show_id = ? ORDER BY length(row_label), row_label, col'
+  ).all(show.id);
+
+  return groupSeatRows(seats.map(s => ({
+    id: s.seat_id,
+    row: s.row_label,
+    number: s.number,
+    col: s.col,
+    type: s.seat_type,
+    tier: s.tier,
+    price: s.price,
+    status: s.status === 'available' && s.hold_id ? 'held' : s.status
+  })));
+}
+
+/**
+ * Get the seat map a layout gives a new show at the default prices,
+ * e.g. to preview a layout before saving it
+ */
+function getLayoutSeatMap(layout) {
+  return groupSeatRows(layoutSeats(layout).map(seat => ({
+    ...seat,
+    price: SEAT_PRICING[seat.tier].price,
+    status: seat.type === 'blocked' ? 'blocked' : 'available'
+  })));
+}
+
+module.exports = {
+  THEATER_TIMEZONE,
+  SEAT_PRICING,
+  DEFAULT_LAYOUT,
+  toLocalParts,
+  localDate,
+  localTime,
+  zonedToUtc,
+  bookingStartsAt,
+  getShow,
+  getShowPrices,
+  parseLayout,
+  layoutSeats,
+  getScreenLayout,
+  saveScreenLayout,
+  ensureShowSeats,
+  checkSeatSelection,
+  findBestSeats,
+  getSeatMap,
+  getLayoutSeatMap
+};
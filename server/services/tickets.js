@@ -0,0 +1,191 @@
+// server/services/tickets.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const db = require('../db');
+const { JWT_SECRET } = require('../middleware/auth');
+const { bookingStartsAt, localDate } = require('./shows');
+const { getBookingItems } = require('./concessions');
+
+// Ticket tokens can use their own secret; they fall back to the JWT secret
+const TICKET_SECRET = process.env.TICKET_SECRET || JWT_SECRET;
+
+/**
+ * Create the signed token printed in a ticket's QR code
+ */
+function signTicketToken(booking) {
+  return jwt.sign(
+    { typ: 'ticket', bid: booking.id, show: `${booking.show_date} ${booking.show_time}` },
+    TICKET_SECRET
+  );
+}
+
+/**
+ * Short code printed under the QR code, for typing in when a scan fails
+ * (e.g. "MV42-9F3C1A"): the booking id plus a truncated signature.
+ */
+function ticketCode(booking) {
+  const signature = crypto.createHmac('sha256', TICKET_SECRET).update(`ticket:${booking.id}`).digest('hex');
+  return `MV${booking.id}-${signature.slice(0, 6).toUpperCase()}`;
+}
+
+/**
+ * Get the booking id from a QR token or a typed ticket code, or null if it
+ * is not a genuine ticket
+ */
+function ticketBookingId(token) {
+  const value = String(token || '').trim();
+
+  const code = value.toUpperCase().match(/^MV(\d+)-[0-9A-F]{6}$/);
+  if (code) {
+    const expected = Buffer.from(ticketCode({ id: Number(code[1]) }));
+    const given = Buffer.from(code[0]);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given)
+      ? Number(code[1])
+      : null;
+  }
+
+  try {
+    const payload = jwt.verify(value, TICKET_SECRET);
+    return payload.typ === 'ticket' ? payload.bid : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Validate a scanned ticket token (or typed ticket code) against the
+ * bookings table. Returns { valid, reason, booking }.
+ */
+function verifyTicketToken(token) {
+  const bookingId = ticketBookingId(token);
+  if (!bookingId) {
+    return { valid: false, reason: 'Invalid ticket code.', booking: null };
+  }
+
+  const booking = db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+  if (!booking) {
+    return { valid: false, reason: 'Booking not found.', booking: null };
+  }
+
+  if (booking.booking_status !== 'confirmed') {
+    return { valid: false, reason: `Booking is ${booking.booking_status}.`, booking };
+  }
+
+  return { valid: true, reason: null, booking };
+}
+
+/**
+ * The booking details shown to staff after scanning a ticket
+ */
+function ticketSummary(booking) {
+  return {
+    bookingId: booking.id,
+    movie_title: booking.movie_title,
+    theater_name: booking.theater_name,
+    screen: booking.screen,
+    show_date: booking.show_date,
+    show_time: booking.show_time,
+    seats: JSON.parse(booking.seats || '[]'),
+    items: getBookingItems(booking.id).map(i => ({ name: i.name, quantity: i.quantity })),
+    checked_in_at: booking.checked_in_at
+  };
+}
+
+/**
+ * Check in a scanned ticket at the door. The ticket must be valid, for a show
+ * today (theater time) and not used yet; the check-in is recorded on the
+ * booking and its seats so the same code cannot be replayed.
+ * Returns { checkedIn, reason, booking }.
+ */
+function checkInTicket(token, staffId) {
+  const { valid, reason, booking } = verifyTicketToken(token);
+  if (!valid) {
+    return { checkedIn: false, reason, booking };
+  }
+
+  if (localDate(bookingStartsAt(booking)) !== localDate()) {
+    return { checkedIn: false, reason: `Ticket is for ${booking.show_date}, not today.`, booking };
+  }
+
+  const checkedInAt = new Date().toISOString();
+
+  const checkIn = db.transaction(() => {
+    // Only the first scan wins, even if two arrive at the same time
+    const result = db.prepare(`
+      UPDATE bookings SET checked_in_at = ?, checked_in_by = ?
+      WHERE id = ? AND checked_in_at IS NULL
+    `).run(checkedInAt, staffId, booking.id);
+
+    if (result.changes === 0) return false;
+
+    db.prepare('UPDATE show_seats SET checked_in_at = ? WHERE booking_id = ?').run(checkedInAt, booking.id);
+    return true;
+  });
+
+  const checkedIn = checkIn();
+  const updated = db.prepare('SELECT * FROM bookings WHERE id = ?').get(booking.id);
+
+  return {
+    checkedIn,
+    reason: checkedIn ? null : 'Ticket has already been used.',
+    booking: updated
+  };
+}
+
+/**
+ * Render a ticket's QR code as a PNG buffer or an SVG string
+ */
+function renderTicketQr(booking, format = 'png') {
+  const token = signTicketToken(booking);
+  return format === 'svg'
+    ? QRCode.toString(token, { type: 'svg', margin: 1 })
+    : QRCode.toBuffer(token, { type: 'png', margin: 1, width: 300 });
+}
+
+/**
+ * Write a booking's e-ticket PDF to a writable stream (e.g. the response)
+ */
+async function writeTicketPdf(booking, stream) {
+  const seats = JSON.parse(booking.seats || '[]');
+  const items = getBookingItems(booking.id);
+  const qr = await renderTicketQr(booking, 'png');
+
+  const doc = new PDFDocument({ size: 'A6', margin: 24 });
+  doc.pipe(stream);
+
+  doc.rect(0, 0, doc.page.width, 48).fill('#e50914');
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(16).text('MOVIEVERSE', 24, 16);
+  doc.fontSize(9).font('Helvetica').text('E-TICKET', 24, 20, { align: 'right' });
+
+  doc.fillColor('#111').font('Helvetica-Bold').fontSize(14).text(booking.movie_title, 24, 64);
+  doc.moveDown(0.5);
+
+  [
+    ['Theater', `${booking.theater_name}, ${booking.city}`],
+    ['Show', [booking.show_date, booking.show_time, booking.screen].filter(Boolean).join(' • ')],
+    ['Seats', `${seats.join(', ')} (${booking.seat_count})`],
+    items.length > 0 && ['Food & drinks', items.map(i => `${i.quantity} x ${i.name}`).join(', ')],
+    ['Amount', `INR ${booking.total_amount}`],
+    ['Booking ID', `#${booking.id}`]
+  ].filter(Boolean).forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(8).fillColor('#666').text(label.toUpperCase());
+    // Long values (e.g. a big food order) are cut at two lines to keep the ticket on one page
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111').text(value, { height: 24, ellipsis: true });
+    doc.moveDown(0.2);
+  });
+
+  const qrSize = 96;
+  doc.image(qr, (doc.page.width - qrSize) / 2, doc.y + 6, { width: qrSize });
+  doc.font('Helvetica').fontSize(7).fillColor('#666')
+    .text('Show this QR code at the theater entrance', 24, doc.y + qrSize + 12, { align: 'center' })
+    .font('Helvetica-Bold').fontSize(9).fillColor('#111')
+    .text(ticketCode(booking), { align: 'center' });
+
+  doc.end();
+}
+
+module.exports = {
+  signTicketToken, ticketCode, verifyTicketToken, ticketSummary, checkInTicket, renderTicketQr, writeTicketPdf
+};
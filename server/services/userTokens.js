@@ -0,0 +1,70 @@
+// server/services/userTokens.js
+const crypto = require('crypto');
+const db = require('../db');
+
+// One-time tokens sent to a user's email, to reset their password or
+// verify the address. Only a hash is stored; a token works once and until
+// it expires.
+const TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a token for a user. Earlier unused tokens of the same purpose
+ * stop working, so only the latest email's link can be used.
+ * Returns the token.
+ */
+function createUserToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000).toISOString();
+
+  db.transaction(() => {
+    invalidateUserTokens(userId, purpose);
+    db.prepare(
+      'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?)'
+    ).run(userId, purpose, hashToken(token), expiresAt, now.toISOString());
+  })();
+
+  return token;
+}
+
+/**
+ * Make the unused tokens of a user for a purpose stop working
+ */
+function invalidateUserTokens(userId, purpose) {
+  db.prepare(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL'
+  ).run(userId, purpose);
+}
+
+/**
+ * When the user was last sent a token for a purpose, or null
+ */
+function lastUserTokenAt(userId, purpose) {
+  const row = db.prepare(
+    'SELECT MAX(created_at) AS created_at FROM user_tokens WHERE user_id = ? AND purpose = ?'
+  ).get(userId, purpose);
+  return row.created_at ? new Date(row.created_at) : null;
+}
+
+/**
+ * Use up a token. Returns the id of its user, or null if the token is
+ * unknown, used or expired.
+ */
+function consumeUserToken(token, purpose) {
+  const row = db.prepare(
+    'SELECT id, user_id, expires_at FROM user_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL'
+  ).get(hashToken(String(token || '')), purpose);
+  if (!row || row.expires_at <= new Date().toISOString()) return null;
+
+  const { changes } = db.prepare(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL'
+  ).run(row.id);
+  return changes > 0 ? row.user_id : null;
+}
+
+module.exports = { TOKEN_TTL_MINUTES, createUserToken, invalidateUserTokens, lastUserTokenAt, consumeUserToken };
@@ -0,0 +1,221 @@
+// server/services/waitlist.js
+const db = require('../db');
+const { getShow, checkSeatSelection, findBestSeats } = require('./shows');
+const { releaseExpiredHolds, createHold, releaseHold } = require('./holds');
+const { priceSeats, buildPriceBreakdown } = require('./pricing');
+const { sendWaitlistOfferEmail } = require('./accountEmails');
+
+// How long seats offered to a waitlisted user stay held for them
+const WAITLIST_OFFER_TTL_SECONDS = parseInt(process.env.WAITLIST_OFFER_TTL_SECONDS, 10) || 900;
+const MAX_WAITLIST_SEATS = 10;
+
+// Waitlist entries go from 'waiting' to 'offered' (seats held for the user)
+// and then 'booked', or 'expired' when the offer runs out. Users can leave
+// while waiting or offered ('left').
+
+/**
+ * Helper: count the free seats of a show, optionally of one tier
+ */
+function countFreeSeats(showId, tier) {
+  return db.prepare(`
+    SELECT COUNT(*) AS count FROM show_seats
+    WHERE show_id = ? AND status = 'available' AND hold_id IS NULL AND (? IS NULL OR tier = ?)
+  `).get(showId, tier, tier).count;
+}
+
+/**
+ * Helper: pick free seats of a show for a waitlisted user, the best block
+ * side by side when there is one. Returns null if there are not enough
+ * seats that can be booked together.
+ */
+function pickSeats(show, seatCount, tier) {
+  const best = findBestSeats(show, seatCount, tier);
+  if (best) return best;
+
+  const free = db.prepare(`
+    SELECT seat_id FROM show_seats
+    WHERE show_id = ? AND status = 'available' AND hold_id IS NULL AND (? IS NULL OR tier = ?)
+    ORDER BY length(row_label), row_label, col
+  `).all(show.id, tier, tier).map(s => s.seat_id);
+
+  if (free.length < seatCount) return null;
+
+  const scattered = free.slice(0, seatCount);
+  return checkSeatSelection(show, scattered) ? null : scattered;
+}
+
+/**
+ * Check a request to join a show's waitlist.
+ * Returns an error message, or null if the user can join.
+ */
+function checkWaitlistRequest(show, { seatCount, tier }) {
+  if (new Date(show.starts_at) <= new Date()) {
+    return 'This show has already started.';
+  }
+
+  if (!Number.isInteger(seatCount) || seatCount < 1 || seatCount > MAX_WAITLIST_SEATS) {
+    return `seatCount must be a whole number from 1 to ${MAX_WAITLIST_SEATS}.`;
+  }
+
+  if (tier && !Object.keys(show.price_tiers).includes(tier)) {
+    return `This show has no ${tier} seats.`;
+  }
+
+  if (countFreeSeats(show.id, tier || null) >= seatCount) {
+    return 'Seats are still available for this show. Please book them directly.';
+  }
+
+  return null;
+}
+
+/**
+ * Add a user to the end of a show's waitlist
+ */
+function joinWaitlist(userId, show, { seatCount, tier, movieTitle, moviePoster }) {
+  const result = db.prepare(`
+    INSERT INTO waitlist_entries (user_id, show_id, movie_title, movie_poster, seat_count, tier)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, show.id, movieTitle, moviePoster || null, seatCount, tier || null);
+
+  return db.prepare('SELECT * FROM waitlist_entries WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Offer a show's free seats to its waitlist, in the order users joined:
+ * each user who fits gets a priority hold of the seats they asked for.
+ * Users asking for more seats than are free keep their place, so the
+ * seats go to the next user who fits. Offers that ran out, or whose seats
+ * were released, expire first and pass their seats on. Users offered
+ * seats are emailed.
+ * Call this from the code that frees seats of a show (cancellations,
+ * changes, released and expired holds), not from reads.
+ */
+function processWaitlist(showId) {
+  releaseExpiredHolds(showId);
+
+  const offers = db.transaction(() => {
+    db.prepare(`
+      UPDATE waitlist_entries SET status = 'expired'
+      WHERE show_id = ? AND status = 'offered'
+        AND hold_id IN (SELECT id FROM seat_holds WHERE status IN ('expired', 'released'))
+    `).run(showId);
+
+    const show = getShow(showId);
+    if (!show || new Date(show.starts_at) <= new Date()) return [];
+
+    const waiting = db.prepare(
+      "SELECT * FROM waitlist_entries WHERE show_id = ? AND status = 'waiting' ORDER BY id"
+    ).all(showId);
+
+    const offered = [];
+    for (const entry of waiting) {
+      const seats = pickSeats(show, entry.seat_count, entry.tier);
+      const hold = seats && createHold(entry.user_id, show, seats, { ttlSeconds: WAITLIST_OFFER_TTL_SECONDS });
+      if (!hold) continue;
+
+      db.prepare(`
+        UPDATE waitlist_entries SET status = 'offered', hold_id = ?, offered_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(hold.id, entry.id);
+      offered.push({ entry, show, seats });
+    }
+    return offered;
+  })();
+
+  // Users are told once the offers are saved; a failed email is logged and
+  // the offer still shows under their bookings
+  offers.forEach(({ entry, show, seats }) => {
+    const user = db.prepare('SELECT username, email FROM users WHERE id = ?').get(entry.user_id);
+    sendWaitlistOfferEmail(user, { movieTitle: entry.movie_title, show, seats }, Math.round(WAITLIST_OFFER_TTL_SECONDS / 60))
+      .catch(err => console.error('Error sending waitlist offer email:', err));
+  });
+}
+
+/**
+ * Release the holds that ran out on every show and pass their seats on to
+ * the waitlists. Otherwise expired holds are only noticed when someone
+ * looks at their show, so this runs regularly to keep live seat maps current.
+ */
+function sweepExpiredHolds() {
+  db.prepare(
+    "SELECT DISTINCT show_id FROM seat_holds WHERE status = 'active' AND expires_at <= ?"
+  ).all(new Date().toISOString()).forEach(h => processWaitlist(h.show_id));
+}
+
+/**
+ * Mark the waitlist offer of a seat hold as booked once the hold's booking is paid
+ */
+function completeWaitlistOffer(holdId) {
+  db.prepare(
+    "UPDATE waitlist_entries SET status = 'booked' WHERE hold_id = ? AND status = 'offered'"
+  ).run(holdId);
+}
+
+/**
+ * Take a user off a waitlist. A pending offer is given up and its seats
+ * go to the next user in line.
+ */
+function leaveWaitlist(entry) {
+  db.transaction(() => {
+    db.prepare("UPDATE waitlist_entries SET status = 'left' WHERE id = ?").run(entry.id);
+    if (entry.status === 'offered') {
+      releaseHold(entry.hold_id);
+    }
+  })();
+  processWaitlist(entry.show_id);
+}
+
+/**
+ * Get a user's waitlist entries, newest first, with their place in line
+ * while waiting and the held seats while an offer is open. Only reads:
+ * an offer that ran out is reported as expired until the sweep records it.
+ */
+function getUserWaitlist(userId) {
+  const entries = db.prepare(`
+    SELECT w.*, h.seats AS held_seats, h.expires_at AS offer_expires_at, h.status AS hold_status,
+           (SELECT COUNT(*) FROM waitlist_entries o
+            WHERE o.show_id = w.show_id AND o.status = 'waiting' AND o.id <= w.id) AS position
+    FROM waitlist_entries w
+    LEFT JOIN seat_holds h ON h.id = w.hold_id
+    WHERE w.user_id = ?
+    ORDER BY w.created_at DESC, w.id DESC
+  `).all(userId);
+
+  const now = new Date();
+  return entries.map(({ held_seats, offer_expires_at, hold_status, position, ...entry }) => {
+    const show = getShow(entry.show_id);
+    const started = !show || new Date(show.starts_at) <= now;
+    const offerOver = entry.status === 'offered' && (hold_status !== 'active' || new Date(offer_expires_at) <= now);
+    const status = (started && entry.status === 'waiting') || offerOver ? 'expired' : entry.status;
+
+    let offer = null;
+    if (status === 'offered') {
+      const { seats } = priceSeats(entry.show_id, JSON.parse(held_seats));
+      offer = { holdId: entry.hold_id, seats, breakdown: buildPriceBreakdown(seats), expiresAt: offer_expires_at };
+    }
+
+    return {
+      ...entry,
+      status,
+      movie_id: show?.movie_id,
+      theater_name: show?.theater_name,
+      city: show?.city,
+      screen: show?.screen,
+      show_date: show?.show_date,
+      show_time: show?.show_time,
+      position: status === 'waiting' ? position : null,
+      offer
+    };
+  });
+}
+
+module.exports = {
+  WAITLIST_OFFER_TTL_SECONDS,
+  checkWaitlistRequest,
+  joinWaitlist,
+  processWaitlist,
+  sweepExpiredHolds,
+  completeWaitlistOffer,
+  leaveWaitlist,
+  getUserWaitlist
+};
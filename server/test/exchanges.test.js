@@ -0,0 +1,128 @@
+// server/test/exchanges.test.js
+// Booking changes whose fare difference is paid with an order of its own
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createUser, upcomingShow, createPendingBooking, getBooking } = require('./helpers');
+const { confirmBooking, processPaymentEvent } = require('../services/bookings');
+const { quoteExchange, createExchange, completeExchange, completePaidExchange } = require('../services/exchanges');
+const { createHold } = require('../services/holds');
+const { sendQueuedRefunds } = require('../services/refunds');
+const { issueInvoice, invoiceDetails } = require('../services/invoices');
+
+/**
+ * Helper: a confirmed booking of standard seats with a pending change to
+ * recliner seats of the same show, waiting for its difference to be paid
+ */
+function pendingUpgrade(username, fromSeats, toSeats) {
+  const show = upcomingShow(680);
+  const user = createUser(username);
+  const pending = createPendingBooking(user, show, fromSeats, { orderId: `order_${username}`, amount: 300 });
+  const booking = confirmBooking(pending, { paymentId: `pay_${username}` });
+  assert.ok(booking);
+
+  const hold = createHold(user.id, show, toSeats);
+  const quote = quoteExchange(getBooking(booking.id), hold);
+  assert.ok(quote.difference > 0);
+
+  const change = createExchange(getBooking(booking.id), hold, quote, { orderId: `order_${username}_change` });
+  return { show, booking: getBooking(booking.id), hold, change };
+}
+
+test('a paid change moves the booking to the new seats', () => {
+  const { booking, change } = pendingUpgrade('upgrader', ['F1', 'F2'], ['A1', 'A2']);
+
+  assert.equal(processPaymentEvent({
+    id: 'evt_upgrade', type: 'payment.captured', orderId: change.razorpay_order_id, paymentId: 'pay_upgrade'
+  }), 'processed');
+
+  const changed = getBooking(booking.id);
+  assert.deepEqual(JSON.parse(changed.seats), ['A1', 'A2']);
+  assert.equal(changed.total_amount, change.new_amount);
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM refunds WHERE booking_id = ?').get(booking.id).count, 0);
+});
+
+test('a paid change that can no longer complete refunds its payment once', async () => {
+  const { show, booking, hold, change } = pendingUpgrade('late_upgrader', ['G1', 'G2'], ['B1', 'B2']);
+
+  // The hold runs out and someone else holds the new seats
+  db.prepare("UPDATE seat_holds SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(hold.id);
+  assert.ok(createHold(createUser('seat_taker').id, show, ['B1', 'B2']));
+
+  // The checkout and the webhook both report the payment
+  assert.equal(completePaidExchange(change.id, { paymentId: 'pay_late_upgrade' }), null);
+  assert.equal(processPaymentEvent({
+    id: 'evt_late_upgrade', type: 'payment.captured', orderId: change.razorpay_order_id, paymentId: 'pay_late_upgrade'
+  }), 'processed');
+
+  assert.equal(db.prepare('SELECT status FROM booking_changes WHERE id = ?').get(change.id).status, 'failed');
+  const unchanged = getBooking(booking.id);
+  assert.deepEqual(JSON.parse(unchanged.seats), ['G1', 'G2']);
+  assert.equal(unchanged.total_amount, booking.total_amount);
+
+  const refunds = db.prepare('SELECT * FROM refunds WHERE booking_id = ?').all(booking.id);
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].razorpay_payment_id, 'pay_late_upgrade');
+  assert.equal(refunds[0].amount, change.difference);
+
+  const [sent] = await sendQueuedRefunds([refunds[0].id]);
+  assert.equal(sent.status, 'processed');
+
+  // The refund gives back the difference only; the booking stays paid
+  assert.equal(processPaymentEvent({
+    id: 'evt_late_upgrade_refund',
+    type: 'refund.processed',
+    paymentId: 'pay_late_upgrade',
+    refundId: sent.razorpay_refund_id,
+    amount: Math.round(change.difference * 100)
+  }), 'processed');
+  assert.equal(getBooking(booking.id).payment_status, 'captured');
+});
+
+test('a change within the same show can keep some of its seats', () => {
+  const show = upcomingShow(680);
+  const user = createUser('seat_shifter');
+  const pending = createPendingBooking(user, show, ['H1', 'H2'], { orderId: 'order_seat_shifter', amount: 300 });
+  const booking = confirmBooking(pending, { paymentId: 'pay_seat_shifter' });
+
+  // Its own seats are only free to the booking being changed
+  assert.equal(createHold(user.id, show, ['H2', 'H3']), null);
+  const hold = createHold(user.id, show, ['H2', 'H3'], { bookingId: booking.id });
+  assert.ok(hold);
+
+  const quote = quoteExchange(getBooking(booking.id), hold);
+  assert.equal(quote.error, undefined);
+  const changed = completeExchange(createExchange(getBooking(booking.id), hold, quote).id);
+  assert.ok(changed);
+  assert.deepEqual(JSON.parse(changed.seats), ['H2', 'H3']);
+
+  const seats = db.prepare(
+    "SELECT seat_id, status, booking_id FROM show_seats WHERE show_id = ? AND seat_id IN ('H1', 'H2', 'H3') ORDER BY seat_id"
+  ).all(show.id);
+  assert.deepEqual(seats, [
+    { seat_id: 'H1', status: 'available', booking_id: null },
+    { seat_id: 'H2', status: 'booked', booking_id: booking.id },
+    { seat_id: 'H3', status: 'booked', booking_id: booking.id }
+  ]);
+});
+
+test('a change leaves the invoice issued for the booking as it was', () => {
+  const { booking, change } = pendingUpgrade('invoiced_upgrader', ['F3', 'F4'], ['A3', 'A4']);
+  const invoice = issueInvoice(booking.id);
+
+  assert.equal(processPaymentEvent({
+    id: 'evt_invoiced_upgrade', type: 'payment.captured', orderId: change.razorpay_order_id, paymentId: 'pay_invoiced_upgrade'
+  }), 'processed');
+
+  const changed = getBooking(booking.id);
+  assert.deepEqual(JSON.parse(changed.seats), ['A3', 'A4']);
+
+  const reissued = issueInvoice(booking.id);
+  assert.equal(reissued.invoice_number, invoice.invoice_number);
+  assert.equal(reissued.issued_at, invoice.issued_at);
+
+  const billed = invoiceDetails(reissued, changed);
+  assert.deepEqual(billed.seats, ['F3', 'F4']);
+  assert.equal(billed.razorpay_payment_id, 'pay_invoiced_upgrader');
+  assert.equal(billed.breakdown.total, booking.total_amount);
+  assert.notEqual(billed.breakdown.total, changed.total_amount);
+});
@@ -0,0 +1,76 @@
+// server/test/helpers.js
+// Shared setup of the server tests: a throwaway database seeded with
+// theaters and shows, the mock payment gateway and a mail outbox.
+// Require it before anything that loads ../db.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'movieverse-test-'));
+process.env.DB_PATH = path.join(dir, 'movie_app.db');
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test_webhook_secret';
+process.env.MAIL_OUTBOX_DIR = path.join(dir, 'outbox');
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+const db = require('../db');
+const { seedTheaters, scheduleShows } = require('../seed');
+const { getShow, ensureShowSeats } = require('../services/shows');
+const { createHold } = require('../services/holds');
+
+seedTheaters();
+scheduleShows([550, 680], 2);
+
+/**
+ * Create a user with a verified email
+ */
+function createUser(username) {
+  const result = db.prepare(`
+    INSERT INTO users (username, email, password, email_verified_at)
+    VALUES (?, ?, 'not-a-hash', CURRENT_TIMESTAMP)
+  `).run(username, `${username}@example.com`);
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Get a show of a movie starting in a few hours or later, with its seats.
+ * `index` picks another show of the same screen.
+ */
+function upcomingShow(movieId = 550, index = 0) {
+  const later = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+  const { id } = db.prepare(`
+    SELECT id FROM shows WHERE movie_id = ? AND starts_at > ?
+    ORDER BY screen_id, starts_at LIMIT 1 OFFSET ?
+  `).get(movieId, later, index);
+
+  const show = getShow(id);
+  ensureShowSeats(show);
+  return show;
+}
+
+/**
+ * Hold seats of a show for a user and record a pending checkout booking
+ * for them with a payment order, as POST /create-order does
+ */
+function createPendingBooking(user, show, seats, { orderId, amount }) {
+  const hold = createHold(user.id, show, seats);
+  const result = db.prepare(`
+    INSERT INTO bookings (
+      user_id, show_id, hold_id, movie_id, movie_title, theater_name, city, show_date, show_time, screen,
+      seats, seat_count, total_amount, razorpay_order_id, booking_status
+    ) VALUES (?, ?, ?, ?, 'Test Movie', ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
+  `).run(
+    user.id, show.id, hold.id, show.movie_id, show.theater_name, show.city, show.show_date, show.show_time, show.screen,
+    JSON.stringify(seats), seats.length, amount, orderId
+  );
+  return db.prepare('SELECT * FROM bookings WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Get a booking as stored
+ */
+function getBooking(bookingId) {
+  return db.prepare('SELECT * FROM bookings WHERE id = ?').get(bookingId);
+}
+
+module.exports = { db, createUser, upcomingShow, createPendingBooking, getBooking };
@@ -0,0 +1,35 @@
+// server/test/layouts.test.js
+// Validation of screen layouts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { parseLayout } = require('../services/shows');
+
+/**
+ * Helper: a layout with rows of the given labels
+ */
+const layoutOf = (labels) => ({ rows: labels.map(label => ({ label, tier: 'standard', cells: 'ss_ss' })) });
+
+test('rows run on from Z to AA', () => {
+  const { layout, error } = parseLayout(layoutOf([...'BCDEFGHIJKLMNOPQRSTUVWXYZ', 'AA']));
+  assert.equal(error, undefined);
+  assert.deepEqual(layout.rows.map(r => r.label).slice(-3), ['Y', 'Z', 'AA']);
+
+  assert.equal(parseLayout(layoutOf(['AY', 'AZ', 'BA'])).error, undefined);
+});
+
+test('rows must each be the next label after the one before', () => {
+  assert.equal(
+    parseLayout(layoutOf(['A', 'C'])).error,
+    'Row C comes after row A, so it should be B. Label the rows in order from the screen back.'
+  );
+  assert.equal(
+    parseLayout(layoutOf(['Y', 'Z', 'AB'])).error,
+    'Row AB comes after row Z, so it should be AA. Label the rows in order from the screen back.'
+  );
+  assert.equal(
+    parseLayout(layoutOf(['B', 'A'])).error,
+    'Row A comes after row B, so it should be C. Label the rows in order from the screen back.'
+  );
+  assert.equal(parseLayout(layoutOf(['A', 'B', 'A'])).error, 'Row A is used twice. Every row needs its own label.');
+});
@@ -0,0 +1,54 @@
+// server/test/promotions.test.js
+// Usage limits of promo codes across paid and still-paying checkouts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, createUser, upcomingShow, createPendingBooking } = require('./helpers');
+const { findPromotion, checkPromotionLimits } = require('../services/promotions');
+
+/**
+ * Helper: create a flat promotion with usage limits
+ */
+function createPromotion(code, { perUserLimit = null, totalLimit = null } = {}) {
+  db.prepare(`
+    INSERT INTO promotions (code, discount_type, discount_value, per_user_limit, total_limit)
+    VALUES (?, 'flat', 50, ?, ?)
+  `).run(code, perUserLimit, totalLimit);
+  return findPromotion(code);
+}
+
+/**
+ * Helper: a pending checkout of two seats using a promotion
+ */
+function checkoutWith(promotion, user, show, seats) {
+  const booking = createPendingBooking(user, show, seats, { orderId: `order_${user.username}`, amount: 550 });
+  db.prepare('UPDATE bookings SET promotion_id = ? WHERE id = ?').run(promotion.id, booking.id);
+  return booking;
+}
+
+test('checkouts still paying within their hold count against the total limit', () => {
+  const show = upcomingShow(680);
+  const promotion = createPromotion('ONCEONLY', { totalLimit: 1 });
+  const first = checkoutWith(promotion, createUser('promo_first'), show, ['D1', 'D2']);
+  const second = createUser('promo_second');
+
+  assert.equal(checkPromotionLimits(promotion, second.id), 'This promo code has been fully redeemed.');
+  // The checkout itself may retry its order
+  assert.equal(checkPromotionLimits(promotion, first.user_id, { holdId: first.hold_id }), null);
+
+  // An abandoned checkout gives the use back
+  db.prepare("UPDATE seat_holds SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(first.hold_id);
+  assert.equal(checkPromotionLimits(promotion, second.id), null);
+
+  db.prepare("UPDATE bookings SET booking_status = 'confirmed' WHERE id = ?").run(first.id);
+  assert.equal(checkPromotionLimits(promotion, second.id), 'This promo code has been fully redeemed.');
+});
+
+test('a user\'s open checkout counts against the per-user limit', () => {
+  const show = upcomingShow(680);
+  const promotion = createPromotion('ONEEACH', { perUserLimit: 1 });
+  const user = createUser('promo_repeat');
+  checkoutWith(promotion, user, show, ['E1', 'E2']);
+
+  assert.equal(checkPromotionLimits(promotion, user.id), 'You have already used this promo code.');
+  assert.equal(checkPromotionLimits(promotion, createUser('promo_other').id), null);
+});
@@ -0,0 +1,54 @@
+// server/test/waitlist.test.js
+// Offers of freed seats to waitlisted users
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { db, createUser, upcomingShow } = require('./helpers');
+const { joinWaitlist, processWaitlist, getUserWaitlist } = require('../services/waitlist');
+
+/**
+ * Helper: the messages in the mail outbox sent to an address
+ */
+function outboxMessages(to) {
+  const dir = process.env.MAIL_OUTBOX_DIR;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(file => JSON.parse(fs.readFileSync(`${dir}/${file}`, 'utf8')))
+    .filter(message => message.to === to);
+}
+
+test('waitlisted users are emailed the seats held for them', async () => {
+  const show = upcomingShow(550, 1);
+  const user = createUser('waiting_user');
+  const entry = joinWaitlist(user.id, show, { seatCount: 2, movieTitle: 'Fight Club' });
+
+  processWaitlist(show.id);
+  const offered = db.prepare('SELECT status, hold_id FROM waitlist_entries WHERE id = ?').get(entry.id);
+  assert.equal(offered.status, 'offered');
+
+  // The email is sent once the offer is saved
+  await new Promise(resolve => setTimeout(resolve, 200));
+  const [message] = outboxMessages(user.email);
+  assert.ok(message);
+  assert.equal(message.subject, 'Seats are waiting for you: Fight Club');
+  const seats = JSON.parse(db.prepare('SELECT seats FROM seat_holds WHERE id = ?').get(offered.hold_id).seats);
+  assert.match(message.text, new RegExp(`Seats ${seats.join(', ')} opened up`));
+
+  // Nothing more to offer: no second email
+  processWaitlist(show.id);
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(outboxMessages(user.email).length, 1);
+});
+
+test('reading the waitlist makes no offers', async () => {
+  const show = upcomingShow(680, 1);
+  const user = createUser('reading_user');
+  const entry = joinWaitlist(user.id, show, { seatCount: 2, movieTitle: 'Inception' });
+
+  assert.equal(getUserWaitlist(user.id).find(e => e.id === entry.id).status, 'waiting');
+  assert.equal(getUserWaitlist(user.id).find(e => e.id === entry.id).status, 'waiting');
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.equal(db.prepare('SELECT COUNT(*) AS count FROM seat_holds WHERE user_id = ?').get(user.id).count, 0);
+  assert.equal(outboxMessages(user.email).length, 0);
+});
@@ -0,0 +1,132 @@
+// server/test/webhooks.test.js
+// Recorded Razorpay webhooks (fixtures/razorpay) fed through the signature
+// check and processPaymentEvent, without the live gateway
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { db, createUser, upcomingShow, createPendingBooking, getBooking } = require('./helpers');
+const razorpay = require('../services/payments/razorpay');
+const { processPaymentEvent } = require('../services/bookings');
+const { createHold } = require('../services/holds');
+const { sendQueuedRefunds } = require('../services/refunds');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'razorpay');
+
+/**
+ * Helper: a recorded webhook delivery as Razorpay sends it, the raw body
+ * signed with the webhook secret. `edit` can point the event at another
+ * order or payment.
+ */
+function delivery(fixture, { eventId = `evt_${fixture}`, edit } = {}) {
+  const event = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${fixture}.json`), 'utf8'));
+  if (edit) edit(event.payload);
+
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const signature = crypto.createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET).update(rawBody).digest('hex');
+  return { rawBody, headers: { 'x-razorpay-signature': signature, 'x-razorpay-event-id': eventId } };
+}
+
+/**
+ * Helper: check a delivery's signature and apply its event
+ */
+function deliver(fixture, options) {
+  const { rawBody, headers } = delivery(fixture, options);
+  const event = razorpay.parseWebhook(rawBody, headers);
+  assert.ok(event, `${fixture} should pass the signature check`);
+  return processPaymentEvent(event);
+}
+
+test('deliveries with a bad signature are rejected', () => {
+  const { rawBody, headers } = delivery('payment.captured');
+
+  const tampered = Buffer.from(rawBody.toString().replace('"amount":60000', '"amount":100'));
+  assert.equal(razorpay.parseWebhook(tampered, headers), null);
+  assert.equal(razorpay.parseWebhook(rawBody, { ...headers, 'x-razorpay-signature': 'f'.repeat(64) }), null);
+  assert.equal(razorpay.parseWebhook(rawBody, { 'x-razorpay-event-id': 'evt_unsigned' }), null);
+});
+
+test('recorded events are normalized', () => {
+  const captured = delivery('payment.captured');
+  assert.deepEqual(razorpay.parseWebhook(captured.rawBody, captured.headers), {
+    id: 'evt_payment.captured',
+    type: 'payment.captured',
+    orderId: 'order_MvRecorded0001',
+    paymentId: 'pay_MvRecorded0001',
+    refundId: undefined,
+    amount: 60000
+  });
+
+  const refund = delivery('refund.processed');
+  const event = razorpay.parseWebhook(refund.rawBody, refund.headers);
+  assert.equal(event.type, 'refund.processed');
+  assert.equal(event.paymentId, 'pay_MvRecorded0001');
+  assert.equal(event.refundId, 'rfnd_MvRecorded0001');
+});
+
+test('failed, captured, duplicate and refund events update the booking', () => {
+  const show = upcomingShow();
+  const user = createUser('webhook_user');
+  const booking = createPendingBooking(user, show, ['B1', 'B2'], { orderId: 'order_MvRecorded0001', amount: 600 });
+
+  // A failed attempt keeps the seats held so the user can pay again
+  assert.equal(deliver('payment.failed'), 'processed');
+  assert.equal(getBooking(booking.id).booking_status, 'failed');
+  assert.equal(getBooking(booking.id).payment_status, 'failed');
+
+  assert.equal(deliver('payment.captured'), 'processed');
+  const confirmed = getBooking(booking.id);
+  assert.equal(confirmed.booking_status, 'confirmed');
+  assert.equal(confirmed.payment_status, 'captured');
+  assert.equal(confirmed.razorpay_payment_id, 'pay_MvRecorded0001');
+  const seats = db.prepare(
+    "SELECT status, booking_id FROM show_seats WHERE show_id = ? AND seat_id IN ('B1', 'B2')"
+  ).all(show.id);
+  assert.deepEqual(seats, [{ status: 'booked', booking_id: booking.id }, { status: 'booked', booking_id: booking.id }]);
+
+  // Razorpay retries deliveries; the same event id is applied once
+  assert.equal(deliver('payment.captured'), 'duplicate');
+  assert.equal(db.prepare("SELECT COUNT(*) AS count FROM payment_events WHERE id = 'evt_payment.captured'").get().count, 1);
+
+  assert.equal(deliver('refund.processed'), 'processed');
+  assert.equal(getBooking(booking.id).payment_status, 'refunded');
+});
+
+test('events for unknown orders are ignored', () => {
+  assert.equal(deliver('payment.captured', {
+    eventId: 'evt_unknown_order',
+    edit: (payload) => { payload.payment.entity.order_id = 'order_Unknown'; }
+  }), 'ignored');
+});
+
+test('a payment captured after the seats were taken is refunded once', async () => {
+  const show = upcomingShow();
+  const user = createUser('late_payer');
+  const booking = createPendingBooking(user, show, ['C1', 'C2'], { orderId: 'order_MvTaken', amount: 600 });
+
+  // The hold runs out and someone else holds the seats
+  db.prepare("UPDATE seat_holds SET expires_at = '2000-01-01T00:00:00.000Z' WHERE id = ?").run(booking.hold_id);
+  assert.ok(createHold(createUser('quick_user').id, show, ['C1', 'C2']));
+
+  const edit = (payload) => {
+    payload.payment.entity.order_id = 'order_MvTaken';
+    payload.payment.entity.id = 'pay_MvTaken';
+  };
+  assert.equal(deliver('payment.captured', { eventId: 'evt_taken_1', edit }), 'processed');
+  // The checkout reports the same payment again under another event
+  assert.equal(deliver('payment.captured', { eventId: 'evt_taken_2', edit }), 'processed');
+
+  const failed = getBooking(booking.id);
+  assert.equal(failed.booking_status, 'failed');
+  assert.equal(failed.razorpay_payment_id, 'pay_MvTaken');
+
+  const refunds = db.prepare('SELECT * FROM refunds WHERE booking_id = ?').all(booking.id);
+  assert.equal(refunds.length, 1);
+  assert.equal(refunds[0].razorpay_payment_id, 'pay_MvTaken');
+  assert.equal(refunds[0].amount, 600);
+  assert.equal(refunds[0].status, 'queued');
+
+  await sendQueuedRefunds();
+  assert.equal(db.prepare('SELECT status FROM refunds WHERE id = ?').get(refunds[0].id).status, 'processed');
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import AuthModal from './components/AuthModal';
 import BookingModal from './components/BookingModal';
@@ -6,6 +6,10 @@ import Home from './pages/Home';
 import MovieDetails from './pages/MovieDetails';
 import Favourites from './pages/Favourites';
 import MyBookings from './pages/MyBookings';
+import CheckIn from './pages/CheckIn';
+import LayoutEditor from './pages/LayoutEditor';
+import Account from './pages/Account';
+import ProfileSettings from './pages/ProfileSettings';
 import './index.css';
 
 const API_BASE = process.env.REACT_APP_API_URL || '';
@@ -14,11 +18,16 @@ function AppContent() {
   const [currentPage, setCurrentPage] = useState('home');
   const [selectedMovieId, setSelectedMovieId] = useState(null);
   const [favorites, setFavorites] = useState([]);
-  const [showAuthModal, setShowAuthModal] = useState(false);
+  // Password reset links from emails open the app with ?reset_token=
+  const [resetToken, setResetToken] = useState(() => new URLSearchParams(window.location.search).get('reset_token'));
+  const [showAuthModal, setShowAuthModal] = useState(() => Boolean(resetToken));
+  // Email verification links open the app with ?verify_token=
+  const verifyToken = useRef(new URLSearchParams(window.location.search).get('verify_token'));
+  const [verifyNotice, setVerifyNotice] = useState(null);
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [bookingMovie, setBookingMovie] = useState(null);
   const [navScrolled, setNavScrolled] = useState(false);
-  const { user, token, isAuthenticated, logout, loading: authLoading } = useAuth();
+  const { user, isAuthenticated, authFetch, logout, refresh, loading: authLoading } = useAuth();
 
   // Navbar scroll effect
   useEffect(() => {
@@ -31,15 +40,13 @@ function AppContent() {
 
   // Fetch favorites from backend when authenticated
   const fetchFavorites = useCallback(async () => {
-    if (!token) {
+    if (!isAuthenticated) {
       setFavorites([]);
       return;
     }
 
     try {
-      const res = await fetch(`${API_BASE}/api/favorites`, {
-        headers: { 'Authorization': `Bearer ${token}` }
-      });
+      const res = await authFetch('/api/favorites');
 
       if (res.ok) {
         const data = await res.json();
@@ -48,7 +55,7 @@ function AppContent() {
     } catch (err) {
       console.error('Failed to fetch favorites:', err);
     }
-  }, [token]);
+  }, [isAuthenticated, authFetch]);
 
   useEffect(() => {
     if (isAuthenticated) {
@@ -58,6 +65,29 @@ function AppContent() {
     }
   }, [isAuthenticated, fetchFavorites]);
 
+  // Verify the email address of a verification link once, then drop the
+  // token from the address bar
+  useEffect(() => {
+    const verificationToken = verifyToken.current;
+    if (!verificationToken) return;
+    verifyToken.current = null;
+    window.history.replaceState(null, '', window.location.pathname);
+
+    fetch(`${API_BASE}/api/auth/verify-email?token=${encodeURIComponent(verificationToken)}`)
+      .then(async res => {
+        const data = await res.json();
+        setVerifyNotice(res.ok ? { type: 'success', text: data.message } : { type: 'error', text: data.error });
+        // Pick up email_verified_at if this browser is signed in
+        if (res.ok) refresh();
+      })
+      .catch(() => setVerifyNotice({ type: 'error', text: 'Failed to verify your email address. Please try again.' }));
+  }, [refresh]);
+
+  const clearResetToken = () => {
+    setResetToken(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
   const navigateToHome = () => {
     setCurrentPage('home');
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -87,6 +117,29 @@ function AppContent() {
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  const navigateToCheckIn = () => {
+    setCurrentPage('checkin');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const navigateToLayouts = () => {
+    setCurrentPage('layouts');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const navigateToAccount = () => {
+    setCurrentPage('account');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const navigateToProfile = () => {
+    setCurrentPage('profile');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const isStaff = user?.role === 'staff' || user?.role === 'admin';
+  const isAdmin = user?.role === 'admin';
+
   const handleBookTickets = (movie) => {
     if (!isAuthenticated) {
       setShowAuthModal(true);
@@ -106,21 +159,15 @@ function AppContent() {
 
     try {
       if (isAlreadyFavorite) {
-        const res = await fetch(`${API_BASE}/api/favorites/${movie.id}`, {
-          method: 'DELETE',
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const res = await authFetch(`/api/favorites/${movie.id}`, { method: 'DELETE' });
 
         if (res.ok) {
           setFavorites(prev => prev.filter(fav => fav.id !== movie.id));
         }
       } else {
-        const res = await fetch(`${API_BASE}/api/favorites`, {
+        const res = await authFetch('/api/favorites', {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${token}`
-          },
+          headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             movie_id: movie.id,
             title: movie.title,
@@ -177,6 +224,14 @@ function AppContent() {
             onMovieClick={navigateToMovieDetails}
           />
         );
+      case 'checkin':
+        return isStaff ? <CheckIn onBackClick={navigateToHome} /> : null;
+      case 'layouts':
+        return isAdmin ? <LayoutEditor onBackClick={navigateToHome} /> : null;
+      case 'account':
+        return isAuthenticated ? <Account onBackClick={navigateToHome} onEditProfile={navigateToProfile} /> : null;
+      case 'profile':
+        return isAuthenticated ? <ProfileSettings onBackClick={navigateToAccount} /> : null;
       default:
         return (
           <Home
@@ -242,6 +297,34 @@ function AppContent() {
             >
               My Bookings
             </button>
+            {isStaff && (
+              <button
+                onClick={navigateToCheckIn}
+                style={{
+                  background: 'none', border: 'none', cursor: 'pointer',
+                  color: currentPage === 'checkin' ? 'white' : 'var(--netflix-text-muted)',
+                  fontWeight: currentPage === 'checkin' ? '600' : '400',
+                  fontSize: '0.9rem', transition: 'color 0.3s',
+                  fontFamily: 'inherit'
+                }}
+              >
+                Check-in
+              </button>
+            )}
+            {isAdmin && (
+              <button
+                onClick={navigateToLayouts}
+                style={{
+                  background: 'none', border: 'none', cursor: 'pointer',
+                  color: currentPage === 'layouts' ? 'white' : 'var(--netflix-text-muted)',
+                  fontWeight: currentPage === 'layouts' ? '600' : '400',
+                  fontSize: '0.9rem', transition: 'color 0.3s',
+                  fontFamily: 'inherit'
+                }}
+              >
+                Seat Layouts
+              </button>
+            )}
           </div>
         </div>
 
@@ -275,17 +358,18 @@ function AppContent() {
           {/* Auth */}
           {isAuthenticated ? (
             <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-              <div style={{
-                width: '32px', height: '32px', borderRadius: '4px',
+              <button onClick={navigateToAccount} title="Account" style={{
+                width: '32px', height: '32px', borderRadius: '4px', border: 'none',
                 background: 'linear-gradient(135deg, var(--netflix-red), #b20710)',
                 display: 'flex', alignItems: 'center', justifyContent: 'center',
-                color: 'white', fontSize: '0.85rem', fontWeight: '700',
-                cursor: 'pointer'
+                color: 'white', fontSize: '0.85rem', fontWeight: '700', fontFamily: 'inherit',
+                cursor: 'pointer',
+                boxShadow: ['account', 'profile'].includes(currentPage) ? '0 0 0 2px white' : 'none'
               }}>
                 {user?.username?.charAt(0).toUpperCase()}
-              </div>
+              </button>
               <button
-                onClick={logout}
+                onClick={() => { logout(); if (['account', 'profile'].includes(currentPage)) navigateToHome(); }}
                 style={{
                   background: 'none', border: 'none', cursor: 'pointer',
                   color: 'var(--netflix-text-muted)', fontSize: '0.85rem',
@@ -305,11 +389,32 @@ function AppContent() {
         </div>
       </nav>
 
+      {/* Email verification result */}
+      {verifyNotice && (
+        <div style={{
+          position: 'fixed', top: '76px', left: '50%', transform: 'translateX(-50%)', zIndex: 90,
+          background: verifyNotice.type === 'success' ? 'rgba(70,211,105,0.15)' : 'rgba(232,124,3,0.15)',
+          border: `1px solid ${verifyNotice.type === 'success' ? '#46d369' : '#e87c03'}`,
+          borderRadius: '8px', padding: '10px 16px', display: 'flex', alignItems: 'center', gap: '12px',
+          color: 'white', fontSize: '0.9rem', backdropFilter: 'blur(8px)', maxWidth: '92vw'
+        }}>
+          <span>{verifyNotice.type === 'success' ? '✅' : '⚠️'} {verifyNotice.text}</span>
+          <button onClick={() => setVerifyNotice(null)} aria-label="Dismiss" style={{
+            background: 'none', border: 'none', color: 'var(--netflix-text-muted)', cursor: 'pointer', fontSize: '1rem'
+          }}>✕</button>
+        </div>
+      )}
+
       {/* Page Content */}
       {renderCurrentPage()}
 
       {/* Auth Modal */}
-      <AuthModal isOpen={showAuthModal} onClose={() => setShowAuthModal(false)} />
+      <AuthModal
+        isOpen={showAuthModal}
+        onClose={() => { setShowAuthModal(false); if (resetToken) clearResetToken(); }}
+        resetToken={resetToken}
+        onResetDone={clearResetToken}
+      />
 
       {/* Booking Modal */}
       <BookingModal
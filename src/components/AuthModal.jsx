@@ -1,23 +1,69 @@
 // src/components/AuthModal.jsx
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 
-const AuthModal = ({ isOpen, onClose }) => {
-  const [isLogin, setIsLogin] = useState(true);
+const API_BASE = process.env.REACT_APP_API_URL || '';
+
+const TITLES = { login: 'Sign In', register: 'Sign Up', forgot: 'Reset Password', reset: 'Choose a New Password' };
+const SUBMIT_LABELS = {
+  login: ['Sign In', 'Signing in...'],
+  register: ['Sign Up', 'Creating account...'],
+  forgot: ['Email me a reset link', 'Sending...'],
+  reset: ['Set new password', 'Saving...']
+};
+
+// Sign in, sign up and password reset. With `resetToken` (from the link in
+// a reset email) the modal opens on the new password form.
+const AuthModal = ({ isOpen, onClose, resetToken, onResetDone }) => {
+  const [mode, setMode] = useState(resetToken ? 'reset' : 'login');
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
   const [loading, setLoading] = useState(false);
 
   const { login, register } = useAuth();
+  const isLogin = mode === 'login';
+
+  useEffect(() => {
+    setMode(current => (resetToken ? 'reset' : current === 'reset' ? 'login' : current));
+  }, [resetToken]);
+
+  // Forgot and reset password don't sign in; they answer with a message
+  const postPasswordReset = async (path, body) => {
+    const res = await fetch(`${API_BASE}/api/auth/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Something went wrong');
+    return data;
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
+    setNotice('');
     setLoading(true);
 
     try {
+      if (mode === 'forgot') {
+        const data = await postPasswordReset('forgot-password', { email });
+        setNotice(data.message);
+        return;
+      }
+      if (mode === 'reset') {
+        const data = await postPasswordReset('reset-password', { token: resetToken, password });
+        onResetDone?.();
+        setPassword('');
+        setMode('login');
+        setNotice(data.message);
+        return;
+      }
+
       if (isLogin) {
         await login(email, password);
       } else {
@@ -26,6 +72,7 @@ const AuthModal = ({ isOpen, onClose }) => {
       setUsername('');
       setEmail('');
       setPassword('');
+      setNotice('');
       onClose();
     } catch (err) {
       setError(err.message);
@@ -34,11 +81,11 @@ const AuthModal = ({ isOpen, onClose }) => {
     }
   };
 
-  const switchMode = () => {
-    setIsLogin(!isLogin);
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
     setError('');
+    setNotice('');
     setUsername('');
-    setEmail('');
     setPassword('');
   };
 
@@ -86,9 +133,26 @@ const AuthModal = ({ isOpen, onClose }) => {
 
         {/* Title */}
         <h2 style={{ fontSize: '2rem', fontWeight: '700', color: 'white', marginBottom: '28px' }}>
-          {isLogin ? 'Sign In' : 'Sign Up'}
+          {TITLES[mode]}
         </h2>
 
+        {mode === 'forgot' && !notice && (
+          <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.95rem', marginTop: '-16px', marginBottom: '20px' }}>
+            Enter the email of your account and we'll send you a link to choose a new password.
+          </p>
+        )}
+
+        {/* Notice */}
+        {notice && (
+          <div className="animate-fade-in-up" style={{
+            padding: '12px 16px', borderRadius: '6px',
+            background: 'rgba(70, 211, 105, 0.12)', border: '1px solid rgba(70, 211, 105, 0.3)',
+            color: '#46d369', fontSize: '0.9rem', marginBottom: '20px'
+          }}>
+            {notice}
+          </div>
+        )}
+
         {/* Error */}
         {error && (
           <div className="animate-fade-in-up" style={{
@@ -102,14 +166,14 @@ const AuthModal = ({ isOpen, onClose }) => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} style={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
-          {!isLogin && (
+          {mode === 'register' && (
             <div>
               <input
                 type="text"
                 value={username}
                 onChange={(e) => setUsername(e.target.value)}
                 placeholder="Username"
-                required={!isLogin}
+                required
                 minLength={3}
                 style={{
                   width: '100%', padding: '16px', borderRadius: '6px',
@@ -123,42 +187,59 @@ const AuthModal = ({ isOpen, onClose }) => {
             </div>
           )}
 
-          <div>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="Email address"
-              required
-              style={{
-                width: '100%', padding: '16px', borderRadius: '6px',
-                background: '#333', border: 'none', color: 'white',
-                fontSize: '1rem', fontFamily: 'inherit', outline: 'none',
-                transition: 'background 0.3s'
-              }}
-              onFocus={(e) => e.target.style.background = '#454545'}
-              onBlur={(e) => e.target.style.background = '#333'}
-            />
-          </div>
+          {mode !== 'reset' && (
+            <div>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Email address"
+                required
+                style={{
+                  width: '100%', padding: '16px', borderRadius: '6px',
+                  background: '#333', border: 'none', color: 'white',
+                  fontSize: '1rem', fontFamily: 'inherit', outline: 'none',
+                  transition: 'background 0.3s'
+                }}
+                onFocus={(e) => e.target.style.background = '#454545'}
+                onBlur={(e) => e.target.style.background = '#333'}
+              />
+            </div>
+          )}
+
+          {mode !== 'forgot' && (
+            <div>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder={mode === 'reset' ? 'New password' : 'Password'}
+                required
+                minLength={6}
+                style={{
+                  width: '100%', padding: '16px', borderRadius: '6px',
+                  background: '#333', border: 'none', color: 'white',
+                  fontSize: '1rem', fontFamily: 'inherit', outline: 'none',
+                  transition: 'background 0.3s'
+                }}
+                onFocus={(e) => e.target.style.background = '#454545'}
+                onBlur={(e) => e.target.style.background = '#333'}
+              />
+            </div>
+          )}
 
-          <div>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Password"
-              required
-              minLength={6}
+          {isLogin && (
+            <button
+              type="button"
+              onClick={() => switchMode('forgot')}
               style={{
-                width: '100%', padding: '16px', borderRadius: '6px',
-                background: '#333', border: 'none', color: 'white',
-                fontSize: '1rem', fontFamily: 'inherit', outline: 'none',
-                transition: 'background 0.3s'
+                alignSelf: 'flex-end', background: 'none', border: 'none', padding: 0,
+                color: 'var(--netflix-text-muted)', fontSize: '0.85rem', cursor: 'pointer', fontFamily: 'inherit'
               }}
-              onFocus={(e) => e.target.style.background = '#454545'}
-              onBlur={(e) => e.target.style.background = '#333'}
-            />
-          </div>
+            >
+              Forgot password?
+            </button>
+          )}
 
           <button
             type="submit"
@@ -175,19 +256,16 @@ const AuthModal = ({ isOpen, onClose }) => {
             onMouseLeave={(e) => e.target.style.background = 'var(--netflix-red)'}
           >
             {loading && <div className="loading-spinner-small"></div>}
-            {loading
-              ? (isLogin ? 'Signing in...' : 'Creating account...')
-              : (isLogin ? 'Sign In' : 'Sign Up')
-            }
+            {SUBMIT_LABELS[mode][loading ? 1 : 0]}
           </button>
         </form>
 
         {/* Switch mode */}
         <div style={{ marginTop: '24px' }}>
           <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.95rem' }}>
-            {isLogin ? 'New to MovieDiscover? ' : 'Already have an account? '}
+            {isLogin ? 'New to MovieDiscover? ' : mode === 'register' ? 'Already have an account? ' : 'Remembered it? '}
             <button
-              onClick={switchMode}
+              onClick={() => switchMode(isLogin ? 'register' : 'login')}
               style={{
                 background: 'none', border: 'none', color: 'white',
                 cursor: 'pointer', fontWeight: '600', fontSize: '0.95rem',
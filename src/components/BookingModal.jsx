@@ -1,150 +1,502 @@
 // src/components/BookingModal.jsx
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import MockCheckout from './MockCheckout';
+import SeatGrid from './SeatGrid';
+import { downloadFile } from '../utils/download';
 
 const API_BASE = process.env.REACT_APP_API_URL || '';
 const RAZORPAY_KEY = process.env.REACT_APP_RAZORPAY_KEY_ID || 'rzp_test_SirTYs4BKTkbwg';
 
+// Most seats one booking can hold (see MAX_HOLD_SEATS on the server)
+const MAX_SEATS = 10;
 const POPULAR_CITIES = ['Mumbai', 'Delhi', 'Bangalore', 'Hyderabad', 'Chennai', 'Kolkata', 'Pune'];
 
-const BookingModal = ({ isOpen, onClose, movie }) => {
-  const { token } = useAuth();
+// Label a YYYY-MM-DD show date relative to today
+const formatDateLabel = (value) => {
+  const d = new Date(`${value}T00:00:00`);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const diffDays = Math.round((d - today) / (24 * 60 * 60 * 1000));
+  if (diffDays === 0) return 'Today';
+  if (diffDays === 1) return 'Tomorrow';
+  return d.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+};
+
+// A booking being changed to other seats of its own show can pick its seats again
+const freeOwnSeats = (rows, booking, showId) => (booking && booking.show_id === showId
+  ? rows.map(row => ({
+    ...row,
+    seats: row.seats.map(s => (s.status === 'booked' && booking.seats.includes(s.id) ? { ...s, status: 'available' } : s))
+  }))
+  : rows);
+
+// With `exchangeBooking`, the modal changes that booking to another show or
+// other seats of the same movie instead of making a new booking. With
+// `waitlistOffer` (a waitlist entry), it checks out the seats held for the user.
+const BookingModal = ({ isOpen, onClose, movie, exchangeBooking, onExchanged, waitlistOffer }) => {
+  const { authFetch, resendVerification } = useAuth();
   const [step, setStep] = useState(1);
   const [city, setCity] = useState('');
   const [theaters, setTheaters] = useState([]);
   const [selectedTheater, setSelectedTheater] = useState(null);
-  const [selectedTime, setSelectedTime] = useState(null);
-  const [selectedScreen, setSelectedScreen] = useState(null);
+  const [selectedShow, setSelectedShow] = useState(null);
+  const [dates, setDates] = useState([]);
   const [selectedDate, setSelectedDate] = useState('');
   const [seatMap, setSeatMap] = useState([]);
+  const [seatColumns, setSeatColumns] = useState(0);
+  const [screenPosition, setScreenPosition] = useState('top');
+  const [seatPricing, setSeatPricing] = useState(null);
   const [selectedSeats, setSelectedSeats] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [bookingComplete, setBookingComplete] = useState(false);
   const [bookingDetails, setBookingDetails] = useState(null);
-
-  // Generate next 7 dates
-  const dates = Array.from({ length: 7 }, (_, i) => {
-    const d = new Date();
-    d.setDate(d.getDate() + i);
-    return {
-      value: d.toISOString().split('T')[0],
-      label: i === 0 ? 'Today' : i === 1 ? 'Tomorrow' : d.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })
-    };
-  });
+  const [hold, setHold] = useState(null);
+  const [holdSecondsLeft, setHoldSecondsLeft] = useState(0);
+  const [mockCheckout, setMockCheckout] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [menu, setMenu] = useState([]);
+  const [cart, setCart] = useState({});
+  const [quote, setQuote] = useState(null);
+  const [exchangeQuote, setExchangeQuote] = useState(null);
+  const [waitlistOpen, setWaitlistOpen] = useState(false);
+  const [waitlistSeats, setWaitlistSeats] = useState(2);
+  const [waitlistTier, setWaitlistTier] = useState('');
+  const [waitlistMessage, setWaitlistMessage] = useState('');
+  const [bestCount, setBestCount] = useState(2);
+  const [bestTier, setBestTier] = useState('');
+  // Set when paying needs a verified email: null, 'needed' or the resend result
+  const [verification, setVerification] = useState(null);
 
   useEffect(() => {
     if (isOpen) {
-      setStep(1); setCity(''); setTheaters([]); setSelectedTheater(null);
-      setSelectedTime(null); setSelectedScreen(null); setSelectedDate(dates[0].value);
+      setStep(exchangeBooking ? 2 : 1); setCity(exchangeBooking?.city || ''); setTheaters([]); setSelectedTheater(null);
+      setSelectedShow(null); setDates([]); setSelectedDate('');
       setSeatMap([]); setSelectedSeats([]); setError(''); setBookingComplete(false);
-      setBookingDetails(null);
+      setBookingDetails(null); setHold(null); setMockCheckout(null); setPromoCode('');
+      setMenu([]); setCart({}); setQuote(null); setExchangeQuote(null);
+      setWaitlistOpen(false); setWaitlistMessage(''); setVerification(null);
     }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isOpen]);
+  }, [isOpen, exchangeBooking]);
+
+  // A booking change starts with the shows in the booked city on the booked date
+  useEffect(() => {
+    if (!isOpen || !exchangeBooking) return;
+    const params = `city=${encodeURIComponent(exchangeBooking.city)}&movieId=${exchangeBooking.movie_id}&date=${exchangeBooking.show_date}`;
+    fetch(`${API_BASE}/api/bookings/theaters?${params}`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setTheaters(data.theaters || []); setDates(data.dates || []); setSelectedDate(data.date);
+      })
+      .catch(err => setError(err.message));
+  }, [isOpen, exchangeBooking]);
+
+  // A waitlist offer picks up checkout with the seats held for the user
+  useEffect(() => {
+    if (!isOpen || !waitlistOffer) return;
+    const { offer } = waitlistOffer;
+    setCity(waitlistOffer.city); setSelectedDate(waitlistOffer.show_date);
+    setSelectedTheater({ name: waitlistOffer.theater_name });
+    setSelectedShow({ showId: waitlistOffer.show_id, time: waitlistOffer.show_time, screen: waitlistOffer.screen });
+    setSelectedSeats(offer.seats);
+    setHold({ holdId: offer.holdId, seats: offer.seats.map(s => s.id), breakdown: offer.breakdown, expiresAt: offer.expiresAt });
+
+    fetch(`${API_BASE}/api/bookings/concessions?showId=${waitlistOffer.show_id}`)
+      .then(res => (res.ok ? res.json() : { items: [] }))
+      .then(data => {
+        const items = data.items || [];
+        setMenu(items); setStep(items.length > 0 ? 4 : 5);
+      })
+      .catch(() => setStep(5));
+  }, [isOpen, waitlistOffer]);
+
+  // Keep the seat map live while seats are being picked. The stream only
+  // sends changes, so the map is refreshed each time it (re)connects.
+  const liveShowId = isOpen && step === 3 && !hold && !loading ? selectedShow?.showId : null;
+  useEffect(() => {
+    if (!liveShowId) return;
+    const source = new EventSource(`${API_BASE}/api/bookings/seats/stream?showId=${liveShowId}`);
+    source.onopen = () => {
+      fetch(`${API_BASE}/api/bookings/seats?showId=${liveShowId}`)
+        .then(res => (res.ok ? res.json() : null))
+        .then(data => {
+          if (data) { setSeatMap(freeOwnSeats(data.seatMap || [], exchangeBooking, liveShowId)); setSeatPricing(data.pricing || null); }
+        })
+        .catch(() => {});
+    };
+    source.addEventListener('seats', (event) => {
+      const statuses = Object.fromEntries(JSON.parse(event.data).seats.map(s => [s.id, s.status]));
+      setSeatMap(prev => freeOwnSeats(prev.map(row => ({
+        ...row,
+        seats: row.seats.map(s => (statuses[s.id] ? { ...s, status: statuses[s.id] } : s))
+      })), exchangeBooking, liveShowId));
+    });
+    return () => source.close();
+  }, [liveShowId, exchangeBooking]);
+
+  // Flag selected seats someone else has just taken
+  useEffect(() => {
+    if (!liveShowId) return;
+    const taken = selectedSeats.filter(sel => seatMap.some(r => r.seats.some(s => s.id === sel.id && s.status !== 'available')));
+    if (taken.length === 0) return;
+    setSelectedSeats(prev => prev.filter(s => !taken.includes(s)));
+    setError(`Seat${taken.length > 1 ? 's' : ''} ${taken.map(s => s.id).join(', ')} ${taken.length > 1 ? 'were' : 'was'} just taken by someone else. Please pick another.`);
+  }, [liveShowId, seatMap, selectedSeats]);
+
+  // A promo discount is priced for one hold; new seats need it applied again
+  useEffect(() => {
+    setPromo(null); setPromoError('');
+  }, [hold?.holdId]);
+
+  // Count down the seat hold; when it runs out the seats must be picked again
+  useEffect(() => {
+    if (!hold) return;
+    const tick = () => {
+      const secondsLeft = Math.max(0, Math.round((new Date(hold.expiresAt) - Date.now()) / 1000));
+      setHoldSecondsLeft(secondsLeft);
+      if (secondsLeft === 0) {
+        setHold(null); setSelectedSeats([]); setStep(waitlistOffer ? 1 : 2);
+        setError('Your seat hold expired. Please select your seats again.');
+      }
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [hold, waitlistOffer]);
 
   if (!isOpen || !movie) return null;
 
-  const fetchTheaters = async () => {
+  // Fetch theaters with shows of this movie; without a date the server picks the first available one
+  const fetchTheaters = async (date) => {
     if (!city.trim()) { setError('Please enter a city'); return; }
     setLoading(true); setError('');
     try {
-      const res = await fetch(`${API_BASE}/api/bookings/theaters?city=${encodeURIComponent(city)}&movieId=${movie.id}`);
+      const dateParam = date ? `&date=${date}` : '';
+      const res = await fetch(`${API_BASE}/api/bookings/theaters?city=${encodeURIComponent(city)}&movieId=${movie.id}${dateParam}`);
       const data = await res.json();
-      if (res.ok) { setTheaters(data.theaters || []); setStep(2); }
+      if (res.ok) {
+        setTheaters(data.theaters || []); setDates(data.dates || []); setSelectedDate(data.date);
+        setSelectedTheater(null); setSelectedShow(null); setStep(2);
+      }
       else throw new Error(data.error);
     } catch (err) { setError(err.message); }
     finally { setLoading(false); }
   };
 
   const fetchSeats = async () => {
-    if (!selectedTheater || !selectedTime || !selectedDate) return;
+    if (!selectedTheater || !selectedShow || !selectedDate) return;
     setLoading(true); setError('');
     try {
-      const res = await fetch(`${API_BASE}/api/bookings/seats?theaterId=${selectedTheater.id}&screen=${encodeURIComponent(selectedScreen)}&showtime=${encodeURIComponent(selectedTime)}&date=${selectedDate}`);
+      const res = await fetch(`${API_BASE}/api/bookings/seats?showId=${selectedShow.showId}`);
       const data = await res.json();
-      if (res.ok) { setSeatMap(data.seatMap || []); setSelectedSeats([]); setStep(3); }
+      if (res.ok) {
+        setSeatMap(freeOwnSeats(data.seatMap || [], exchangeBooking, selectedShow.showId));
+        setSeatColumns(data.columns || 0); setScreenPosition(data.screenPosition || 'top');
+        setSeatPricing(data.pricing || null); setSelectedSeats([]); setStep(3);
+      }
       else throw new Error(data.error);
     } catch (err) { setError(err.message); }
     finally { setLoading(false); }
   };
 
-  const toggleSeat = (seat) => {
-    if (seat.status === 'booked') return;
-    setSelectedSeats(prev =>
-      prev.find(s => s.id === seat.id) ? prev.filter(s => s.id !== seat.id) : [...prev, seat]
-    );
+  const toggleSeat = (seat, row) => {
+    if (seat.status !== 'available') return;
+    // Couple seats are selected together with their partner
+    const partner = seat.pair && row.seats.find(s => s.id === seat.pair);
+    const group = partner && partner.status === 'available' ? [seat, partner] : [seat];
+    if (selectedSeats.find(s => s.id === seat.id)) {
+      setSelectedSeats(prev => prev.filter(s => !group.some(g => g.id === s.id)));
+      return;
+    }
+    const added = group.filter(g => !selectedSeats.some(s => s.id === g.id));
+    if (selectedSeats.length + added.length > MAX_SEATS) {
+      setError(`You can book at most ${MAX_SEATS} seats at a time.`);
+      return;
+    }
+    setError('');
+    setSelectedSeats(prev => [...prev, ...added]);
   };
 
   const totalAmount = selectedSeats.reduce((sum, s) => sum + s.price, 0);
+  const availableCount = seatMap.reduce((sum, r) => sum + r.seats.filter(s => s.status === 'available').length, 0);
+  const soldOut = seatMap.length > 0 && availableCount === 0;
+
+  // Reserve the selected seats while the user pays
+  const holdSeats = async () => {
+    setLoading(true); setError('');
+    try {
+      const res = await authFetch('/api/bookings/holds', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ showId: selectedShow.showId, seats: selectedSeats.map(s => s.id), bookingId: exchangeBooking?.id })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        if (res.status === 409) await fetchSeats();
+        throw new Error(data.error);
+      }
+      setHold(data); setCart({}); setQuote(null);
+
+      // A booking change keeps its food & drinks, so it goes straight to the price difference
+      if (exchangeBooking) {
+        const quoteRes = await authFetch(`/api/bookings/${exchangeBooking.id}/exchange/quote`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ holdId: data.holdId })
+        });
+        const quoteData = await quoteRes.json();
+        if (!quoteRes.ok) throw new Error(quoteData.error);
+        setExchangeQuote(quoteData); setStep(5);
+        return;
+      }
+
+      // Offer food & beverages when the theater has a menu, otherwise go straight to payment
+      const menuRes = await fetch(`${API_BASE}/api/bookings/concessions?showId=${selectedShow.showId}`);
+      const menuData = await menuRes.json();
+      const items = menuRes.ok ? menuData.items || [] : [];
+      setMenu(items);
+      setStep(items.length > 0 ? 4 : 5);
+    } catch (err) { setError(err.message); }
+    finally { setLoading(false); }
+  };
+
+  const cartItems = Object.entries(cart)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([id, quantity]) => ({ id: Number(id), quantity }));
+
+  const changeQuantity = (item, delta) => {
+    setCart(prev => ({ ...prev, [item.id]: Math.max(0, Math.min(10, (prev[item.id] || 0) + delta)) }));
+  };
+
+  // Price the hold with the chosen items before moving on to payment
+  const confirmSnacks = async () => {
+    if (cartItems.length === 0) { setQuote(null); setStep(5); return; }
+    setLoading(true); setError('');
+    try {
+      const res = await authFetch('/api/bookings/quote', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ holdId: hold.holdId, items: cartItems })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setQuote(data.breakdown); setStep(5);
+    } catch (err) { setError(err.message); }
+    finally { setLoading(false); }
+  };
+
+  const releaseHold = () => {
+    if (!hold) return;
+    authFetch(`/api/bookings/holds/${hold.holdId}`, { method: 'DELETE' })
+      .catch(err => console.error('Failed to release seats:', err));
+    setHold(null);
+  };
+
+  const handleClose = () => {
+    // Seats offered from the waitlist stay held until the offer runs out
+    if (!waitlistOffer) releaseHold();
+    onClose();
+  };
+
+  // Let the server pick the best block of seats for the group
+  const pickBestSeats = async () => {
+    setLoading(true); setError('');
+    try {
+      const params = new URLSearchParams({ showId: selectedShow.showId, count: bestCount });
+      if (bestTier) params.set('tier', bestTier);
+      const res = await fetch(`${API_BASE}/api/bookings/seats/best?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      const seats = seatMap.flatMap(r => r.seats);
+      setSelectedSeats(data.seats.map(id => seats.find(s => s.id === id)).filter(Boolean));
+    } catch (err) { setError(err.message); }
+    finally { setLoading(false); }
+  };
+
+  const joinWaitlist = async () => {
+    setLoading(true); setError('');
+    try {
+      const res = await authFetch('/api/bookings/waitlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          showId: selectedShow.showId, seatCount: waitlistSeats, tier: waitlistTier || null,
+          movieTitle: movie.title, moviePoster: movie.poster_path
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setWaitlistMessage(data.message);
+    } catch (err) { setError(err.message); }
+    finally { setLoading(false); }
+  };
+
+  const downloadTicket = async () => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${bookingDetails.id}/ticket`, `movieverse-ticket-${bookingDetails.id}.pdf`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const downloadInvoice = async () => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${bookingDetails.id}/invoice`, `movieverse-invoice-${bookingDetails.id}.pdf`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addToCalendar = async () => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${bookingDetails.id}/calendar.ics`, `movieverse-booking-${bookingDetails.id}.ics`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const applyPromo = async () => {
+    if (!promoCode.trim()) return;
+    setPromoError('');
+    try {
+      const res = await authFetch('/api/bookings/apply-promo', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ holdId: hold.holdId, code: promoCode.trim(), items: cartItems })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setPromo(data);
+    } catch (err) {
+      setPromo(null); setPromoError(err.message);
+    }
+  };
+
+  const removePromo = () => { setPromo(null); setPromoCode(''); setPromoError(''); };
+
+  const breakdown = promo?.breakdown || quote || hold?.breakdown;
+  const amountPayable = breakdown?.total;
+
+  const holdTimeLeft = `${Math.floor(holdSecondsLeft / 60)}:${String(holdSecondsLeft % 60).padStart(2, '0')}`;
+
+  // Open the payment gateway's checkout for an order; `onPaid` gets the checkout response
+  const openCheckout = (orderData, description, onPaid) => {
+    const options = {
+      key: orderData.key || RAZORPAY_KEY,
+      amount: orderData.amount,
+      currency: orderData.currency,
+      name: 'MovieVerse',
+      description,
+      order_id: orderData.orderId,
+      handler: onPaid,
+      prefill: {},
+      theme: { color: '#e50914' }
+    };
+
+    if (orderData.provider === 'mock') {
+      setMockCheckout(options);
+    } else if (window.Razorpay) {
+      const rzp = new window.Razorpay(options);
+      rzp.on('payment.failed', (resp) => setError(`Payment failed: ${resp.error.description}`));
+      rzp.open();
+    } else {
+      setError('Razorpay SDK not loaded. Please refresh the page.');
+    }
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      setVerification(await resendVerification());
+    } catch (err) { setVerification(err.message); }
+  };
 
   const handlePayment = async () => {
     if (selectedSeats.length === 0) { setError('Please select at least one seat'); return; }
-    setLoading(true); setError('');
+    setLoading(true); setError(''); setVerification(null);
     try {
-      // Create Razorpay order
-      const orderRes = await fetch(`${API_BASE}/api/bookings/create-order`, {
+      // Create payment order
+      const orderRes = await authFetch('/api/bookings/create-order', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ amount: totalAmount, movieTitle: movie.title, seats: selectedSeats.map(s => s.id) })
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ holdId: hold.holdId, movieTitle: movie.title, moviePoster: movie.poster_path, promoCode: promo?.code, items: cartItems })
       });
       const orderData = await orderRes.json();
+      if (orderData.code === 'EMAIL_NOT_VERIFIED') setVerification('needed');
       if (!orderRes.ok) throw new Error(orderData.error);
 
-      // Open Razorpay checkout
-      const options = {
-        key: RAZORPAY_KEY,
-        amount: orderData.amount,
-        currency: orderData.currency,
-        name: 'MovieVerse',
-        description: `${movie.title} - ${selectedSeats.length} ticket(s)`,
-        order_id: orderData.orderId,
-        handler: async (response) => {
-          // Verify payment on backend
-          try {
-            const verifyRes = await fetch(`${API_BASE}/api/bookings/verify-payment`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-              body: JSON.stringify({
-                razorpay_order_id: response.razorpay_order_id,
-                razorpay_payment_id: response.razorpay_payment_id,
-                razorpay_signature: response.razorpay_signature,
-                movie_id: movie.id, movie_title: movie.title,
-                movie_poster: movie.poster_path,
-                theater_name: selectedTheater.name, city,
-                show_date: selectedDate, show_time: selectedTime,
-                screen: selectedScreen,
-                seats: selectedSeats.map(s => s.id), total_amount: totalAmount
-              })
-            });
-            const verifyData = await verifyRes.json();
-            if (verifyRes.ok) {
-              setBookingDetails(verifyData.booking);
-              setBookingComplete(true); setStep(5);
-            } else throw new Error(verifyData.error);
-          } catch (err) { setError(`Payment verified but booking failed: ${err.message}`); }
-        },
-        prefill: {},
-        theme: { color: '#e50914' }
-      };
-
-      if (window.Razorpay) {
-        const rzp = new window.Razorpay(options);
-        rzp.on('payment.failed', (resp) => setError(`Payment failed: ${resp.error.description}`));
-        rzp.open();
-      } else {
-        setError('Razorpay SDK not loaded. Please refresh the page.');
-      }
+      openCheckout(orderData, `${movie.title} - ${selectedSeats.length} ticket(s)`, async (response) => {
+        // Verify payment on backend
+        try {
+          const verifyRes = await authFetch('/api/bookings/verify-payment', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature
+            })
+          });
+          const verifyData = await verifyRes.json();
+          if (verifyRes.ok) {
+            setBookingDetails(verifyData.booking); setHold(null);
+            setBookingComplete(true); setStep(6);
+          } else throw new Error(verifyData.error);
+        } catch (err) { setError(`Payment verified but booking failed: ${err.message}`); }
+      });
     } catch (err) { setError(err.message); }
     finally { setLoading(false); }
   };
 
-  const tierColors = { recliner: '#fbbf24', premium: '#60a5fa', standard: '#4ade80' };
-  const tierLabels = { recliner: 'Recliner ₹350', premium: 'Premium ₹250', standard: 'Standard ₹150' };
+  const exchangeComplete = (booking) => {
+    setBookingDetails(booking); setHold(null);
+    setBookingComplete(true); setStep(6);
+    onExchanged?.(booking);
+  };
+
+  // Move the booking to the held seats, paying the difference first if the new seats cost more
+  const handleExchange = async () => {
+    setLoading(true); setError('');
+    try {
+      const res = await authFetch(`/api/bookings/${exchangeBooking.id}/exchange`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ holdId: hold.holdId })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      if (data.status === 'completed') {
+        exchangeComplete(data.booking);
+        return;
+      }
+
+      openCheckout(data, `${movie.title} - change of show`, async (response) => {
+        try {
+          const verifyRes = await authFetch(`/api/bookings/${exchangeBooking.id}/exchange/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature
+            })
+          });
+          const verifyData = await verifyRes.json();
+          if (verifyRes.ok) exchangeComplete(verifyData.booking);
+          else throw new Error(verifyData.error);
+        } catch (err) { setError(`Payment verified but the booking was not changed: ${err.message}`); }
+      });
+    } catch (err) { setError(err.message); }
+    finally { setLoading(false); }
+  };
 
   return (
     <div style={{ position: 'fixed', inset: 0, zIndex: 200, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px' }}>
-      <div style={{ position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.85)', backdropFilter: 'blur(8px)' }} onClick={onClose} className="animate-fade-in" />
+      <div style={{ position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.85)', backdropFilter: 'blur(8px)' }} onClick={handleClose} className="animate-fade-in" />
 
       <div className="animate-scale-in" style={{
         position: 'relative', width: '100%', maxWidth: '640px', maxHeight: '90vh',
@@ -154,10 +506,10 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
         {/* Header */}
         <div style={{ padding: '20px 24px', borderBottom: '1px solid rgba(255,255,255,0.08)', display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexShrink: 0 }}>
           <div>
-            <h2 style={{ fontSize: '1.3rem', fontWeight: 700, color: 'white', margin: 0 }}>🎟️ Book Tickets</h2>
+            <h2 style={{ fontSize: '1.3rem', fontWeight: 700, color: 'white', margin: 0 }}>{exchangeBooking ? '🔁 Change Show' : '🎟️ Book Tickets'}</h2>
             <p style={{ fontSize: '0.85rem', color: 'var(--netflix-text-muted)', marginTop: '4px' }}>{movie.title}</p>
           </div>
-          <button onClick={onClose} style={{ background: 'none', border: 'none', color: 'var(--netflix-text-muted)', cursor: 'pointer', padding: '4px' }}>
+          <button onClick={handleClose} style={{ background: 'none', border: 'none', color: 'var(--netflix-text-muted)', cursor: 'pointer', padding: '4px' }}>
             <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2"><path d="M6 18L18 6M6 6l12 12" /></svg>
           </button>
         </div>
@@ -165,14 +517,17 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
         {/* Step indicators */}
         {!bookingComplete && (
           <div style={{ display: 'flex', padding: '16px 24px', gap: '8px', flexShrink: 0 }}>
-            {['City', 'Theater', 'Seats', 'Pay'].map((label, i) => (
-              <div key={i} style={{ flex: 1, textAlign: 'center' }}>
+            {(exchangeBooking
+              ? [[2, 'Theater'], [3, 'Seats'], [5, 'Review']]
+              : [[1, 'City'], [2, 'Theater'], [3, 'Seats'], [4, 'Snacks'], [5, 'Pay']]
+            ).map(([number, label]) => (
+              <div key={number} style={{ flex: 1, textAlign: 'center' }}>
                 <div style={{
                   height: '3px', borderRadius: '2px', marginBottom: '6px',
-                  background: step > i + 1 ? '#46d369' : step === i + 1 ? 'var(--netflix-red)' : 'rgba(255,255,255,0.1)',
+                  background: step > number ? '#46d369' : step === number ? 'var(--netflix-red)' : 'rgba(255,255,255,0.1)',
                   transition: 'all 0.3s'
                 }} />
-                <span style={{ fontSize: '0.7rem', color: step >= i + 1 ? 'white' : 'var(--netflix-text-muted)' }}>{label}</span>
+                <span style={{ fontSize: '0.7rem', color: step >= number ? 'white' : 'var(--netflix-text-muted)' }}>{label}</span>
               </div>
             ))}
           </div>
@@ -182,6 +537,17 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
         {error && (
           <div style={{ margin: '0 24px', padding: '10px 16px', borderRadius: '6px', background: 'rgba(229,9,20,0.15)', border: '1px solid rgba(229,9,20,0.3)', color: '#e87c03', fontSize: '0.85rem' }}>
             {error}
+            {verification && (
+              <div style={{ marginTop: '8px' }}>
+                {verification === 'needed' ? (
+                  <button onClick={resendVerificationEmail} className="btn-ghost" style={{ padding: '4px 12px', fontSize: '0.8rem' }}>
+                    ✉️ Resend verification email
+                  </button>
+                ) : (
+                  <span style={{ color: 'var(--netflix-text-muted)' }}>{verification}</span>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -194,7 +560,7 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
               <label style={{ display: 'block', fontSize: '0.9rem', color: 'var(--netflix-text)', marginBottom: '8px', fontWeight: 600 }}>Enter your city</label>
               <input type="text" value={city} onChange={e => setCity(e.target.value)}
                 placeholder="e.g. Mumbai, Delhi, Bangalore..."
-                onKeyDown={e => e.key === 'Enter' && fetchTheaters()}
+                onKeyDown={e => e.key === 'Enter' && fetchTheaters(null)}
                 style={{ width: '100%', padding: '14px', borderRadius: '6px', background: '#333', border: 'none', color: 'white', fontSize: '1rem', fontFamily: 'inherit', outline: 'none' }}
               />
               <div style={{ marginTop: '16px' }}>
@@ -211,7 +577,7 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                   ))}
                 </div>
               </div>
-              <button onClick={fetchTheaters} disabled={loading} className="btn-netflix" style={{ width: '100%', marginTop: '24px', justifyContent: 'center', padding: '14px', opacity: loading ? 0.6 : 1 }}>
+              <button onClick={() => fetchTheaters(null)} disabled={loading} className="btn-netflix" style={{ width: '100%', marginTop: '24px', justifyContent: 'center', padding: '14px', opacity: loading ? 0.6 : 1 }}>
                 {loading ? 'Searching...' : 'Find Theaters'}
               </button>
             </div>
@@ -223,15 +589,21 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
               {/* Date picker */}
               <div style={{ display: 'flex', gap: '8px', overflowX: 'auto', paddingBottom: '12px', marginBottom: '16px', scrollbarWidth: 'none' }}>
                 {dates.map(d => (
-                  <button key={d.value} onClick={() => setSelectedDate(d.value)}
+                  <button key={d} onClick={() => d !== selectedDate && fetchTheaters(d)} disabled={loading}
                     style={{
                       flexShrink: 0, padding: '8px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
-                      background: selectedDate === d.value ? 'var(--netflix-red)' : 'rgba(255,255,255,0.06)', border: '1px solid',
-                      borderColor: selectedDate === d.value ? 'var(--netflix-red)' : 'rgba(255,255,255,0.1)', color: 'white'
-                    }}>{d.label}</button>
+                      background: selectedDate === d ? 'var(--netflix-red)' : 'rgba(255,255,255,0.06)', border: '1px solid',
+                      borderColor: selectedDate === d ? 'var(--netflix-red)' : 'rgba(255,255,255,0.1)', color: 'white'
+                    }}>{formatDateLabel(d)}</button>
                 ))}
               </div>
 
+              {theaters.length === 0 && (
+                <p style={{ textAlign: 'center', padding: '24px 0', fontSize: '0.9rem', color: 'var(--netflix-text-muted)' }}>
+                  No shows scheduled for {movie.title} in {city} yet.
+                </p>
+              )}
+
               {/* Theater list */}
               {theaters.map(theater => (
                 <div key={theater.id} style={{
@@ -254,17 +626,18 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                     <div key={scr.screen} style={{ marginBottom: '8px' }}>
                       <p style={{ fontSize: '0.75rem', color: 'var(--netflix-text-muted)', marginBottom: '6px' }}>{scr.screen}</p>
                       <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-                        {scr.showtimes.map(time => {
-                          const isSelected = selectedTheater?.id === theater.id && selectedTime === time && selectedScreen === scr.screen;
+                        {scr.showtimes.map(show => {
+                          const isSelected = selectedShow?.showId === show.showId;
                           return (
-                            <button key={`${scr.screen}-${time}`}
-                              onClick={() => { setSelectedTheater(theater); setSelectedTime(time); setSelectedScreen(scr.screen); }}
+                            <button key={show.showId}
+                              onClick={() => { setSelectedTheater(theater); setSelectedShow({ ...show, screen: scr.screen }); }}
+                              title={Object.values(show.prices).length > 0 ? `From ₹${Math.min(...Object.values(show.prices))}` : undefined}
                               style={{
                                 padding: '6px 14px', borderRadius: '6px', fontSize: '0.85rem', fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
                                 background: isSelected ? 'var(--netflix-red)' : 'transparent',
                                 border: '1px solid', borderColor: isSelected ? 'var(--netflix-red)' : '#46d369', color: isSelected ? 'white' : '#46d369',
                                 transition: 'all 0.2s'
-                              }}>{time}</button>
+                              }}>{show.time}</button>
                           );
                         })}
                       </div>
@@ -273,8 +646,8 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                 </div>
               ))}
 
-              <button onClick={fetchSeats} disabled={!selectedTheater || !selectedTime || loading}
-                className="btn-netflix" style={{ width: '100%', marginTop: '8px', justifyContent: 'center', padding: '14px', opacity: !selectedTheater || !selectedTime ? 0.4 : 1 }}>
+              <button onClick={fetchSeats} disabled={!selectedTheater || !selectedShow || loading}
+                className="btn-netflix" style={{ width: '100%', marginTop: '8px', justifyContent: 'center', padding: '14px', opacity: !selectedTheater || !selectedShow ? 0.4 : 1 }}>
                 {loading ? 'Loading seats...' : 'Select Seats →'}
               </button>
             </div>
@@ -283,57 +656,77 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
           {/* STEP 3: Seat Selection */}
           {step === 3 && (
             <div className="animate-fade-in">
-              {/* Screen indicator */}
-              <div style={{ textAlign: 'center', marginBottom: '24px' }}>
-                <div style={{
-                  width: '70%', height: '4px', margin: '0 auto 8px',
-                  background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent)', borderRadius: '2px'
-                }} />
-                <span style={{ fontSize: '0.75rem', color: 'var(--netflix-text-muted)' }}>SCREEN — {selectedScreen}</span>
-              </div>
+              {/* Best seats */}
+              {!soldOut && (
+                <div style={{ display: 'flex', gap: '8px', justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginBottom: '20px' }}>
+                  <select value={bestCount} onChange={e => setBestCount(Number(e.target.value))} style={{
+                    padding: '8px 10px', borderRadius: '6px', background: '#333', border: 'none', color: 'white', fontFamily: 'inherit'
+                  }}>
+                    {Array.from({ length: MAX_SEATS }, (_, i) => i + 1).map(n => <option key={n} value={n}>{n} seat{n > 1 ? 's' : ''}</option>)}
+                  </select>
+                  <select value={bestTier} onChange={e => setBestTier(e.target.value)} style={{
+                    padding: '8px 10px', borderRadius: '6px', background: '#333', border: 'none', color: 'white', fontFamily: 'inherit'
+                  }}>
+                    <option value="">Any tier</option>
+                    {[...new Set(seatMap.map(r => r.tier))].map(tier => (
+                      <option key={tier} value={tier}>{tier.charAt(0).toUpperCase() + tier.slice(1)}</option>
+                    ))}
+                  </select>
+                  <button onClick={pickBestSeats} disabled={loading} className="btn-ghost" style={{ padding: '8px 18px', opacity: loading ? 0.6 : 1 }}>
+                    ✨ Pick best seats for me
+                  </button>
+                </div>
+              )}
 
-              {/* Seat map */}
-              <div style={{ overflowX: 'auto' }}>
-                {seatMap.map(row => (
-                  <div key={row.row} style={{ display: 'flex', alignItems: 'center', gap: '4px', marginBottom: '4px', justifyContent: 'center' }}>
-                    <span style={{ width: '18px', fontSize: '0.7rem', color: 'var(--netflix-text-muted)', textAlign: 'center' }}>{row.row}</span>
-                    {row.seats.map(seat => {
-                      const isSelected = selectedSeats.find(s => s.id === seat.id);
-                      return (
-                        <button key={seat.id} onClick={() => toggleSeat(seat)} disabled={seat.status === 'booked'}
-                          title={`${seat.id} - ₹${seat.price}`}
-                          style={{
-                            width: '28px', height: '28px', borderRadius: '4px 4px 8px 8px', cursor: seat.status === 'booked' ? 'not-allowed' : 'pointer',
-                            fontSize: '0.6rem', fontWeight: 600, transition: 'all 0.15s', fontFamily: 'inherit',
-                            background: seat.status === 'booked' ? '#333' : isSelected ? 'var(--netflix-red)' : tierColors[seat.tier] + '33',
-                            color: seat.status === 'booked' ? '#555' : isSelected ? 'white' : tierColors[seat.tier],
-                            border: `1px solid ${seat.status === 'booked' ? '#444' : isSelected ? 'var(--netflix-red)' : tierColors[seat.tier] + '66'}`,
-                            transform: isSelected ? 'scale(1.1)' : 'scale(1)'
-                          }}>{seat.number}</button>
-                      );
-                    })}
-                    <span style={{ width: '18px', fontSize: '0.7rem', color: 'var(--netflix-text-muted)', textAlign: 'center' }}>{row.row}</span>
-                  </div>
-                ))}
-              </div>
+              <SeatGrid
+                seatMap={seatMap}
+                columns={seatColumns}
+                screenPosition={screenPosition}
+                screenName={selectedShow?.screen}
+                pricing={seatPricing}
+                selectedSeats={selectedSeats}
+                onToggleSeat={toggleSeat}
+              />
 
-              {/* Legend */}
-              <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', margin: '20px 0', flexWrap: 'wrap' }}>
-                {Object.entries(tierLabels).map(([tier, label]) => (
-                  <div key={tier} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
-                    <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: tierColors[tier] + '44', border: `1px solid ${tierColors[tier]}` }} />
-                    <span style={{ color: 'var(--netflix-text-muted)' }}>{label}</span>
-                  </div>
-                ))}
-                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
-                  <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: '#333', border: '1px solid #444' }} />
-                  <span style={{ color: 'var(--netflix-text-muted)' }}>Booked</span>
-                </div>
-                <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
-                  <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: 'var(--netflix-red)', border: '1px solid var(--netflix-red)' }} />
-                  <span style={{ color: 'var(--netflix-text-muted)' }}>Selected</span>
+              {/* Waitlist */}
+              {!exchangeBooking && (soldOut || waitlistOpen ? (
+                <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '8px', padding: '14px', marginBottom: '8px', border: '1px solid rgba(255,255,255,0.06)' }}>
+                  <p style={{ color: 'white', fontSize: '0.9rem', fontWeight: 600, marginBottom: '4px' }}>{soldOut ? '😔 This show is sold out' : 'Join the waitlist'}</p>
+                  <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.8rem', marginBottom: '10px' }}>
+                    We'll hold seats for you if any free up. Offers show up in My Bookings.
+                  </p>
+                  {waitlistMessage ? (
+                    <p style={{ color: '#46d369', fontSize: '0.85rem', fontWeight: 600 }}>✓ {waitlistMessage}</p>
+                  ) : (
+                    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                      <select value={waitlistSeats} onChange={e => setWaitlistSeats(Number(e.target.value))} style={{
+                        padding: '8px 10px', borderRadius: '6px', background: '#333', border: 'none', color: 'white', fontFamily: 'inherit'
+                      }}>
+                        {Array.from({ length: MAX_SEATS }, (_, i) => i + 1).map(n => <option key={n} value={n}>{n} seat{n > 1 ? 's' : ''}</option>)}
+                      </select>
+                      <select value={waitlistTier} onChange={e => setWaitlistTier(e.target.value)} style={{
+                        padding: '8px 10px', borderRadius: '6px', background: '#333', border: 'none', color: 'white', fontFamily: 'inherit'
+                      }}>
+                        <option value="">Any seats</option>
+                        {[...new Set(seatMap.map(r => r.tier))].map(tier => (
+                          <option key={tier} value={tier}>{tier.charAt(0).toUpperCase() + tier.slice(1)}</option>
+                        ))}
+                      </select>
+                      <button onClick={joinWaitlist} disabled={loading} className="btn-ghost" style={{ padding: '8px 18px', opacity: loading ? 0.6 : 1 }}>
+                        Join Waitlist
+                      </button>
+                    </div>
+                  )}
                 </div>
-              </div>
+              ) : (
+                <p style={{ textAlign: 'center', fontSize: '0.8rem', color: 'var(--netflix-text-muted)', marginBottom: '8px' }}>
+                  Can't find the seats you want?{' '}
+                  <button onClick={() => setWaitlistOpen(true)} style={{
+                    background: 'none', border: 'none', padding: 0, color: 'white', textDecoration: 'underline',
+                    cursor: 'pointer', fontSize: '0.8rem', fontFamily: 'inherit'
+                  }}>Join the waitlist</button>
+                </p>
+              ))}
 
               {/* Selection summary */}
               {selectedSeats.length > 0 && (
@@ -345,25 +738,152 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                 </div>
               )}
 
-              <button onClick={() => setStep(4)} disabled={selectedSeats.length === 0}
-                className="btn-netflix" style={{ width: '100%', marginTop: '16px', justifyContent: 'center', padding: '14px', opacity: selectedSeats.length === 0 ? 0.4 : 1 }}>
-                Proceed to Pay ₹{totalAmount} →
+              <button onClick={holdSeats} disabled={selectedSeats.length === 0 || loading}
+                className="btn-netflix" style={{ width: '100%', marginTop: '16px', justifyContent: 'center', padding: '14px', opacity: selectedSeats.length === 0 || loading ? 0.4 : 1 }}>
+                {loading ? 'Holding seats...' : exchangeBooking ? 'Review Change →' : `Proceed with ₹${totalAmount} →`}
               </button>
             </div>
           )}
 
-          {/* STEP 4: Payment Summary */}
+          {/* STEP 4: Food & Beverages */}
           {step === 4 && (
             <div className="animate-fade-in">
-              <h3 style={{ fontSize: '1.1rem', fontWeight: 700, color: 'white', marginBottom: '20px' }}>Booking Summary</h3>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h3 style={{ fontSize: '1.1rem', fontWeight: 700, color: 'white', margin: 0 }}>🍿 Grab a bite</h3>
+                {hold && (
+                  <span style={{
+                    fontSize: '0.8rem', fontWeight: 600, padding: '4px 10px', borderRadius: '6px',
+                    background: holdSecondsLeft <= 60 ? 'rgba(229,9,20,0.15)' : 'rgba(255,255,255,0.06)',
+                    color: holdSecondsLeft <= 60 ? '#e87c03' : 'var(--netflix-text)'
+                  }}>⏱ Seats held for {holdTimeLeft}</span>
+                )}
+              </div>
+
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '10px' }}>
+                {menu.map(item => {
+                  const quantity = cart[item.id] || 0;
+                  return (
+                    <div key={item.id} style={{
+                      display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 14px', borderRadius: '8px',
+                      background: quantity > 0 ? 'rgba(70,211,105,0.06)' : 'rgba(255,255,255,0.04)',
+                      border: `1px solid ${quantity > 0 ? 'rgba(70,211,105,0.3)' : 'rgba(255,255,255,0.06)'}`,
+                      opacity: item.soldOut ? 0.5 : 1
+                    }}>
+                      <div style={{ flex: 1 }}>
+                        <p style={{ color: 'white', fontSize: '0.9rem', fontWeight: 600 }}>{item.name}</p>
+                        {item.description && <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.75rem', marginTop: '2px' }}>{item.description}</p>}
+                        <p style={{ color: 'var(--netflix-text)', fontSize: '0.8rem', marginTop: '4px' }}>
+                          ₹{item.price}
+                          {item.soldOut
+                            ? <span style={{ color: '#e87c03' }}> • Sold out</span>
+                            : item.stockLeft !== null && <span style={{ color: '#e87c03' }}> • Only {item.stockLeft} left</span>}
+                        </p>
+                      </div>
+                      {!item.soldOut && (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+                          <button onClick={() => changeQuantity(item, -1)} disabled={quantity === 0} className="btn-ghost"
+                            style={{ padding: '4px 12px', opacity: quantity === 0 ? 0.4 : 1 }}>−</button>
+                          <span style={{ color: 'white', fontWeight: 700, minWidth: '16px', textAlign: 'center' }}>{quantity}</span>
+                          <button onClick={() => changeQuantity(item, 1)} className="btn-ghost" style={{ padding: '4px 12px' }}>+</button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div style={{ display: 'flex', gap: '12px', marginTop: '20px' }}>
+                {!waitlistOffer && (
+                  <button onClick={() => { releaseHold(); setStep(3); }} className="btn-ghost" style={{ flex: 1, justifyContent: 'center' }}>← Back</button>
+                )}
+                <button onClick={confirmSnacks} disabled={loading} className="btn-netflix" style={{ flex: 2, justifyContent: 'center', padding: '14px', opacity: loading ? 0.6 : 1 }}>
+                  {loading ? 'Updating...' : cartItems.length > 0 ? 'Continue to Pay →' : 'Skip →'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* STEP 5 of a booking change: Price difference */}
+          {step === 5 && exchangeBooking && exchangeQuote && (
+            <div className="animate-fade-in">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                <h3 style={{ fontSize: '1.1rem', fontWeight: 700, color: 'white', margin: 0 }}>Review Change</h3>
+                {hold && (
+                  <span style={{
+                    fontSize: '0.8rem', fontWeight: 600, padding: '4px 10px', borderRadius: '6px',
+                    background: holdSecondsLeft <= 60 ? 'rgba(229,9,20,0.15)' : 'rgba(255,255,255,0.06)',
+                    color: holdSecondsLeft <= 60 ? '#e87c03' : 'var(--netflix-text)'
+                  }}>⏱ Seats held for {holdTimeLeft}</span>
+                )}
+              </div>
+
+              <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '10px', padding: '20px', border: '1px solid rgba(255,255,255,0.06)' }}>
+                {[
+                  { label: 'Current show', value: `${exchangeBooking.show_date} • ${exchangeBooking.show_time}` },
+                  { label: 'Current seats', value: exchangeBooking.seats.join(', ') },
+                  { label: 'Paid', value: `₹${exchangeQuote.currentAmount.toFixed(2)}` },
+                  { label: 'New theater', value: selectedTheater?.name },
+                  { label: 'New show', value: `${selectedDate} • ${selectedShow?.time}` },
+                  { label: 'New seats', value: selectedSeats.map(s => s.id).join(', ') },
+                  { label: 'New total', value: `₹${exchangeQuote.breakdown.total.toFixed(2)}` },
+                ].map(item => (
+                  <div key={item.label} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                    <span style={{ color: 'var(--netflix-text-muted)', fontSize: '0.85rem' }}>{item.label}</span>
+                    <span style={{ color: 'white', fontSize: '0.85rem', fontWeight: 600, textAlign: 'right', maxWidth: '60%' }}>{item.value}</span>
+                  </div>
+                ))}
+
+                <div style={{ display: 'flex', justifyContent: 'space-between', padding: '12px 0 0', marginTop: '8px' }}>
+                  <span style={{ fontSize: '1rem', fontWeight: 700, color: 'white' }}>
+                    {exchangeQuote.difference > 0 ? 'To pay' : exchangeQuote.difference < 0 ? 'To be refunded' : 'Difference'}
+                  </span>
+                  <span style={{ fontSize: '1.2rem', fontWeight: 800, color: '#46d369' }}>₹{Math.abs(exchangeQuote.difference).toFixed(2)}</span>
+                </div>
+                {exchangeBooking.items?.length > 0 && (
+                  <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.75rem', textAlign: 'right', marginTop: '4px' }}>
+                    Your food & drinks move to the new show
+                  </p>
+                )}
+              </div>
+
+              <div style={{ display: 'flex', gap: '12px', marginTop: '20px' }}>
+                <button onClick={() => { releaseHold(); setStep(3); }} className="btn-ghost" style={{ flex: 1, justifyContent: 'center' }}>← Back</button>
+                <button onClick={handleExchange} disabled={loading} className="btn-netflix" style={{ flex: 2, justifyContent: 'center', padding: '14px', opacity: loading ? 0.6 : 1 }}>
+                  {loading ? 'Processing...' : exchangeQuote.difference > 0 ? `Pay ₹${exchangeQuote.difference.toFixed(2)} & Change` : 'Confirm Change'}
+                </button>
+              </div>
+
+              {mockCheckout && (
+                <MockCheckout
+                  options={mockCheckout}
+                  onFailure={(message) => setError(`Payment failed: ${message}`)}
+                  onDismiss={() => setMockCheckout(null)}
+                />
+              )}
+            </div>
+          )}
+
+          {/* STEP 5: Payment Summary */}
+          {step === 5 && !exchangeBooking && (
+            <div className="animate-fade-in">
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                <h3 style={{ fontSize: '1.1rem', fontWeight: 700, color: 'white', margin: 0 }}>Booking Summary</h3>
+                {hold && (
+                  <span style={{
+                    fontSize: '0.8rem', fontWeight: 600, padding: '4px 10px', borderRadius: '6px',
+                    background: holdSecondsLeft <= 60 ? 'rgba(229,9,20,0.15)' : 'rgba(255,255,255,0.06)',
+                    color: holdSecondsLeft <= 60 ? '#e87c03' : 'var(--netflix-text)'
+                  }}>⏱ Seats held for {holdTimeLeft}</span>
+                )}
+              </div>
 
               <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '10px', padding: '20px', border: '1px solid rgba(255,255,255,0.06)' }}>
                 {[
                   { label: 'Movie', value: movie.title },
                   { label: 'Theater', value: selectedTheater?.name },
                   { label: 'Date', value: new Date(selectedDate).toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) },
-                  { label: 'Time', value: selectedTime },
-                  { label: 'Screen', value: selectedScreen },
+                  { label: 'Time', value: selectedShow?.time },
+                  { label: 'Screen', value: selectedShow?.screen },
                   { label: 'Seats', value: selectedSeats.map(s => s.id).join(', ') },
                   { label: 'Tickets', value: `${selectedSeats.length}` },
                 ].map(item => (
@@ -373,31 +893,102 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                   </div>
                 ))}
 
+                {breakdown && [
+                  { label: `Tickets (${selectedSeats.length})`, value: `₹${breakdown.tickets.amount.toFixed(2)}` },
+                  breakdown.discount > 0 && { label: `Discount (${promo.code})`, value: `−₹${breakdown.discount.toFixed(2)}`, highlight: true },
+                  ...(breakdown.concessions?.lines || []).map(line => ({ label: `${line.quantity} × ${line.name}`, value: `₹${line.amount.toFixed(2)}` })),
+                  { label: `Convenience fee (₹${breakdown.convenienceFee.perTicket} × ${breakdown.convenienceFee.quantity})`, value: `₹${breakdown.convenienceFee.taxableValue.toFixed(2)}` },
+                  { label: `GST on convenience fee (${breakdown.convenienceFee.gstRate}%)`, value: `₹${breakdown.convenienceFee.gst.toFixed(2)}` },
+                ].filter(Boolean).map(item => (
+                  <div key={item.label} style={{ display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                    <span style={{ color: item.highlight ? '#46d369' : 'var(--netflix-text-muted)', fontSize: '0.85rem' }}>{item.label}</span>
+                    <span style={{ color: item.highlight ? '#46d369' : 'white', fontSize: '0.85rem', fontWeight: 600 }}>{item.value}</span>
+                  </div>
+                ))}
+
                 <div style={{ display: 'flex', justifyContent: 'space-between', padding: '12px 0 0', marginTop: '8px' }}>
                   <span style={{ fontSize: '1rem', fontWeight: 700, color: 'white' }}>Total Amount</span>
-                  <span style={{ fontSize: '1.2rem', fontWeight: 800, color: '#46d369' }}>₹{totalAmount}</span>
+                  <span style={{ fontSize: '1.2rem', fontWeight: 800, color: '#46d369' }}>₹{amountPayable?.toFixed(2)}</span>
                 </div>
+                {breakdown && (
+                  <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.75rem', textAlign: 'right', marginTop: '4px' }}>
+                    {breakdown.concessions?.amount > 0
+                      ? `Ticket and food prices include GST of ₹${(breakdown.tickets.gst + breakdown.concessions.gst).toFixed(2)}`
+                      : `Ticket prices include GST of ₹${breakdown.tickets.gst.toFixed(2)}`}
+                  </p>
+                )}
+              </div>
+
+              {/* Promo code */}
+              <div style={{ marginTop: '16px' }}>
+                {promo ? (
+                  <div style={{
+                    display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px 14px', borderRadius: '8px',
+                    background: 'rgba(70,211,105,0.08)', border: '1px dashed rgba(70,211,105,0.4)'
+                  }}>
+                    <span style={{ color: '#46d369', fontSize: '0.85rem', fontWeight: 600 }}>
+                      🏷 {promo.code} applied{promo.description ? ` • ${promo.description}` : ''}
+                    </span>
+                    <button onClick={removePromo} style={{
+                      background: 'none', border: 'none', color: 'var(--netflix-text-muted)', cursor: 'pointer',
+                      fontSize: '0.8rem', fontFamily: 'inherit'
+                    }}>Remove</button>
+                  </div>
+                ) : (
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <input
+                      type="text"
+                      value={promoCode}
+                      onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+                      onKeyDown={(e) => e.key === 'Enter' && applyPromo()}
+                      placeholder="Promo code"
+                      style={{
+                        flex: 1, padding: '10px 14px', borderRadius: '6px', background: '#333', border: 'none',
+                        color: 'white', fontSize: '0.85rem', fontFamily: 'inherit', outline: 'none', letterSpacing: '0.05em'
+                      }}
+                    />
+                    <button onClick={applyPromo} disabled={!promoCode.trim()} className="btn-ghost" style={{ padding: '8px 18px', opacity: promoCode.trim() ? 1 : 0.5 }}>
+                      Apply
+                    </button>
+                  </div>
+                )}
+                {promoError && <p style={{ color: '#e87c03', fontSize: '0.8rem', marginTop: '6px' }}>{promoError}</p>}
               </div>
 
               <div style={{ display: 'flex', gap: '12px', marginTop: '20px' }}>
-                <button onClick={() => setStep(3)} className="btn-ghost" style={{ flex: 1, justifyContent: 'center' }}>← Back</button>
+                {(menu.length > 0 || !waitlistOffer) && (
+                  <button onClick={() => {
+                    // Changing the items re-prices the order, so the promo code has to be applied again
+                    if (menu.length > 0) { setPromo(null); setStep(4); } else { releaseHold(); setStep(3); }
+                  }} className="btn-ghost" style={{ flex: 1, justifyContent: 'center' }}>← Back</button>
+                )}
                 <button onClick={handlePayment} disabled={loading} className="btn-netflix" style={{ flex: 2, justifyContent: 'center', padding: '14px', opacity: loading ? 0.6 : 1 }}>
-                  {loading ? 'Processing...' : `Pay ₹${totalAmount} with Razorpay`}
+                  {loading ? 'Processing...' : `Pay ₹${amountPayable?.toFixed(2)}`}
                 </button>
               </div>
 
               <p style={{ textAlign: 'center', fontSize: '0.75rem', color: 'var(--netflix-text-muted)', marginTop: '12px' }}>
-                🔒 Secured by Razorpay • Test Mode
+                🔒 Secure payment
               </p>
+
+              {mockCheckout && (
+                <MockCheckout
+                  options={mockCheckout}
+                  onFailure={(message) => setError(`Payment failed: ${message}`)}
+                  onDismiss={() => setMockCheckout(null)}
+                />
+              )}
             </div>
           )}
 
-          {/* STEP 5: Booking Confirmed */}
-          {step === 5 && bookingComplete && (
+          {/* STEP 6: Booking Confirmed */}
+          {step === 6 && bookingComplete && (
             <div className="animate-scale-in" style={{ textAlign: 'center', padding: '20px 0' }}>
               <div style={{ fontSize: '4rem', marginBottom: '16px' }}>🎉</div>
-              <h3 style={{ fontSize: '1.5rem', fontWeight: 800, color: '#46d369', marginBottom: '8px' }}>Booking Confirmed!</h3>
-              <p style={{ color: 'var(--netflix-text-muted)', marginBottom: '24px' }}>Your tickets have been booked successfully</p>
+              <h3 style={{ fontSize: '1.5rem', fontWeight: 800, color: '#46d369', marginBottom: '8px' }}>{exchangeBooking ? 'Booking Changed!' : 'Booking Confirmed!'}</h3>
+              <p style={{ color: 'var(--netflix-text-muted)', marginBottom: '24px' }}>
+                {exchangeBooking ? 'Your booking has been moved to the new show' : 'Your tickets have been booked successfully'}
+              </p>
 
               <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '20px', border: '1px solid rgba(255,255,255,0.06)', textAlign: 'left', marginBottom: '20px' }}>
                 <p style={{ color: 'white', fontWeight: 700, fontSize: '1.1rem', marginBottom: '12px' }}>{bookingDetails?.movie_title}</p>
@@ -405,13 +996,19 @@ const BookingModal = ({ isOpen, onClose, movie }) => {
                   { icon: '📍', text: `${bookingDetails?.theater_name}, ${bookingDetails?.city}` },
                   { icon: '📅', text: `${bookingDetails?.show_date} • ${bookingDetails?.show_time}` },
                   { icon: '💺', text: `Seats: ${bookingDetails?.seats?.join(', ')}` },
+                  bookingDetails?.items?.length > 0 && { icon: '🍿', text: bookingDetails.items.map(i => `${i.quantity} × ${i.name}`).join(', ') },
                   { icon: '💰', text: `₹${bookingDetails?.total_amount}` },
-                ].map((item, i) => (
+                ].filter(Boolean).map((item, i) => (
                   <p key={i} style={{ color: 'var(--netflix-text)', fontSize: '0.9rem', marginBottom: '6px' }}>{item.icon} {item.text}</p>
                 ))}
               </div>
 
-              <button onClick={onClose} className="btn-netflix" style={{ padding: '12px 40px' }}>Done</button>
+              <div style={{ display: 'flex', gap: '12px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                <button onClick={downloadTicket} className="btn-ghost" style={{ padding: '12px 24px' }}>🎟 Download Ticket</button>
+                <button onClick={addToCalendar} className="btn-ghost" style={{ padding: '12px 24px' }}>📅 Add to Calendar</button>
+                <button onClick={downloadInvoice} className="btn-ghost" style={{ padding: '12px 24px' }}>🧾 Invoice</button>
+                <button onClick={onClose} className="btn-netflix" style={{ padding: '12px 40px' }}>Done</button>
+              </div>
             </div>
           )}
         </div>
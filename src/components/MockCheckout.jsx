@@ -0,0 +1,68 @@
+// src/components/MockCheckout.jsx
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Stand-in for the Razorpay checkout when the server runs the mock payment provider.
+// Takes the same options object as `new window.Razorpay(options)`.
+const MockCheckout = ({ options, onFailure, onDismiss }) => {
+  const { authFetch } = useAuth();
+  const [processing, setProcessing] = useState(false);
+
+  const pay = async (succeed) => {
+    setProcessing(true);
+    try {
+      const res = await authFetch(`/api/payments/mock/orders/${options.order_id}/pay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ succeed })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      if (succeed) await options.handler(data);
+      else onFailure(data.error.description);
+    } catch (err) {
+      onFailure(err.message);
+    } finally {
+      setProcessing(false);
+      onDismiss();
+    }
+  };
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, zIndex: 300, display: 'flex', alignItems: 'center', justifyContent: 'center', padding: '16px' }}>
+      <div style={{ position: 'absolute', inset: 0, background: 'rgba(0,0,0,0.7)' }} onClick={() => !processing && onDismiss()} />
+
+      <div className="animate-scale-in" style={{
+        position: 'relative', width: '100%', maxWidth: '360px', background: 'white', color: '#111',
+        borderRadius: '10px', overflow: 'hidden', fontFamily: 'inherit'
+      }}>
+        <div style={{ padding: '16px 20px', background: options.theme?.color || '#e50914', color: 'white' }}>
+          <p style={{ fontWeight: 700, fontSize: '1rem' }}>{options.name}</p>
+          <p style={{ fontSize: '0.8rem', opacity: 0.85, marginTop: '2px' }}>{options.description}</p>
+        </div>
+
+        <div style={{ padding: '20px' }}>
+          <p style={{ fontSize: '0.75rem', color: '#666', marginBottom: '4px' }}>Amount payable</p>
+          <p style={{ fontSize: '1.6rem', fontWeight: 800, marginBottom: '16px' }}>₹{(options.amount / 100).toFixed(2)}</p>
+
+          <button onClick={() => pay(true)} disabled={processing} style={{
+            width: '100%', padding: '12px', borderRadius: '6px', border: 'none', cursor: processing ? 'not-allowed' : 'pointer',
+            background: '#46d369', color: 'white', fontWeight: 700, fontSize: '0.9rem', fontFamily: 'inherit', opacity: processing ? 0.6 : 1
+          }}>{processing ? 'Processing...' : 'Pay (success)'}</button>
+
+          <button onClick={() => pay(false)} disabled={processing} style={{
+            width: '100%', padding: '12px', borderRadius: '6px', marginTop: '8px', cursor: processing ? 'not-allowed' : 'pointer',
+            background: 'white', border: '1px solid #ddd', color: '#e50914', fontWeight: 600, fontSize: '0.9rem', fontFamily: 'inherit'
+          }}>Simulate failure</button>
+
+          <p style={{ textAlign: 'center', fontSize: '0.7rem', color: '#999', marginTop: '14px' }}>
+            Mock payment gateway • No money is charged
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MockCheckout;
@@ -0,0 +1,124 @@
+// src/components/SeatGrid.jsx
+import React from 'react';
+
+const tierColors = { recliner: '#fbbf24', premium: '#60a5fa', standard: '#4ade80' };
+const tierNames = { recliner: 'Recliner', premium: 'Premium', standard: 'Standard' };
+const seatTypeLabels = {
+  couple: 'Couple seat (sold in pairs)', wheelchair: 'Wheelchair space', companion: 'Companion seat', blocked: 'Not for sale'
+};
+
+// Seat map of a show with its screen and legend, as served by
+// GET /api/bookings/seats. Admins see the same grid when previewing a layout.
+// `pricing` has the current price of each tier and the pricing rules behind
+// it; without it the legend shows the seat prices.
+const SeatGrid = ({ seatMap, columns, screenPosition = 'top', screenName, pricing, selectedSeats = [], onToggleSeat }) => {
+  const seatTypes = new Set(seatMap.flatMap(r => r.seats.map(s => s.type)));
+  const tiers = [...new Set(seatMap.map(r => r.tier))];
+  const atBottom = screenPosition === 'bottom';
+  // Row A is nearest to the screen
+  const rows = atBottom ? [...seatMap].reverse() : seatMap;
+
+  const screen = (
+    <div style={{ textAlign: 'center', [atBottom ? 'marginTop' : 'marginBottom']: '24px' }}>
+      <div style={{
+        width: '70%', height: '4px', margin: '0 auto 8px',
+        background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.4), transparent)', borderRadius: '2px'
+      }} />
+      <span style={{ fontSize: '0.75rem', color: 'var(--netflix-text-muted)' }}>SCREEN{screenName ? ` — ${screenName}` : ''}</span>
+    </div>
+  );
+
+  return (
+    <>
+      {/* Screen indicator */}
+      {!atBottom && screen}
+
+      {/* Seat map */}
+      <div style={{ overflowX: 'auto' }}>
+        {rows.map(row => (
+          <div key={row.row} style={{
+            display: 'grid', gridTemplateColumns: `18px repeat(${columns}, 28px) 18px`,
+            alignItems: 'center', gap: '4px', marginBottom: '4px', justifyContent: 'center'
+          }}>
+            <span style={{ gridColumn: 1, fontSize: '0.7rem', color: 'var(--netflix-text-muted)', textAlign: 'center' }}>{row.row}</span>
+            {row.seats.map(seat => {
+              const isSelected = selectedSeats.find(s => s.id === seat.id);
+              const isTaken = seat.status !== 'available';
+              const partner = seat.pair && row.seats.find(s => s.id === seat.pair);
+              // The two halves of a couple seat are drawn as one sofa
+              const radius = !partner ? '4px 4px 8px 8px' : partner.col > seat.col ? '8px 2px 2px 8px' : '2px 8px 8px 2px';
+              const color = tierColors[seat.tier];
+              return (
+                <button key={seat.id} onClick={() => onToggleSeat?.(seat, row)} disabled={isTaken}
+                  title={`${seat.id} - ₹${seat.price}${seatTypeLabels[seat.type] ? ` - ${seatTypeLabels[seat.type]}` : ''}`}
+                  style={{
+                    gridColumn: seat.col + 1,
+                    width: '28px', height: '28px', borderRadius: radius,
+                    cursor: isTaken ? 'not-allowed' : onToggleSeat ? 'pointer' : 'default',
+                    fontSize: seat.type === 'wheelchair' ? '0.8rem' : '0.6rem', fontWeight: 600, transition: 'all 0.15s', fontFamily: 'inherit',
+                    background: isTaken ? '#333' : isSelected ? 'var(--netflix-red)' : color + '33',
+                    color: isTaken ? '#555' : isSelected ? 'white' : color,
+                    border: `1px ${seat.type === 'companion' ? 'dashed' : 'solid'} ${isTaken ? '#444' : isSelected ? 'var(--netflix-red)' : color + '66'}`,
+                    transform: isSelected ? 'scale(1.1)' : 'scale(1)'
+                  }}>{seat.type === 'wheelchair' ? '♿' : seat.type === 'blocked' ? '✕' : seat.number}</button>
+              );
+            })}
+            <span style={{ gridColumn: columns + 2, fontSize: '0.7rem', color: 'var(--netflix-text-muted)', textAlign: 'center' }}>{row.row}</span>
+          </div>
+        ))}
+      </div>
+
+      {atBottom && screen}
+
+      {/* Legend */}
+      <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', margin: '20px 0', flexWrap: 'wrap' }}>
+        {tiers.map(tier => {
+          const price = pricing?.[tier]?.price ?? seatMap.find(r => r.tier === tier).price;
+          const rules = pricing?.[tier]?.rules || [];
+          const basePrice = pricing?.[tier]?.basePrice;
+          return (
+            <div key={tier} title={rules.length > 0 ? `${rules.join(', ')} (usually ₹${basePrice})` : undefined}
+              style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+              <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: tierColors[tier] + '44', border: `1px solid ${tierColors[tier]}` }} />
+              <span style={{ color: 'var(--netflix-text-muted)' }}>
+                {tierNames[tier] || tier} ₹{price}
+                {basePrice !== undefined && price < basePrice && (
+                  <span style={{ marginLeft: '4px', textDecoration: 'line-through', opacity: 0.6 }}>₹{basePrice}</span>
+                )}
+              </span>
+            </div>
+          );
+        })}
+        {seatTypes.has('couple') && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '2px', fontSize: '0.75rem' }}>
+            <div style={{ width: '14px', height: '14px', borderRadius: '6px 1px 1px 6px', border: '1px solid var(--netflix-text-muted)' }} />
+            <div style={{ width: '14px', height: '14px', borderRadius: '1px 6px 6px 1px', border: '1px solid var(--netflix-text-muted)', marginRight: '4px' }} />
+            <span style={{ color: 'var(--netflix-text-muted)' }}>{seatTypeLabels.couple}</span>
+          </div>
+        )}
+        {seatTypes.has('wheelchair') && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+            <span style={{ fontSize: '0.85rem' }}>♿</span>
+            <span style={{ color: 'var(--netflix-text-muted)' }}>{seatTypeLabels.wheelchair}</span>
+          </div>
+        )}
+        {seatTypes.has('companion') && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+            <div style={{ width: '14px', height: '14px', borderRadius: '3px', border: '1px dashed var(--netflix-text-muted)' }} />
+            <span style={{ color: 'var(--netflix-text-muted)' }}>{seatTypeLabels.companion}</span>
+          </div>
+        )}
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+          <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: '#333', border: '1px solid #444' }} />
+          <span style={{ color: 'var(--netflix-text-muted)' }}>Booked / Held</span>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.75rem' }}>
+          <div style={{ width: '14px', height: '14px', borderRadius: '3px', background: 'var(--netflix-red)', border: '1px solid var(--netflix-red)' }} />
+          <span style={{ color: 'var(--netflix-text-muted)' }}>Selected</span>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SeatGrid;
@@ -1,54 +1,97 @@
 // src/context/AuthContext.jsx
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
 
 const AuthContext = createContext(null);
 
 const API_BASE = process.env.REACT_APP_API_URL || '';
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  // The access token lives in memory only; the refresh token is an HttpOnly cookie
+  const [token, setToken] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(null);
   const [loading, setLoading] = useState(true);
+  const refreshing = useRef(null);
+  // The current access token for authFetch, which stays the same function
+  // when the token is refreshed so effects using it don't run again
+  const tokenRef = useRef(null);
+  tokenRef.current = token;
 
-  // On mount, verify stored token
-  useEffect(() => {
-    const verifyToken = async () => {
-      const storedToken = localStorage.getItem('token');
-      if (!storedToken) {
-        setLoading(false);
-        return;
-      }
-
-      try {
-        const res = await fetch(`${API_BASE}/api/auth/me`, {
-          headers: { 'Authorization': `Bearer ${storedToken}` }
-        });
-
-        if (res.ok) {
-          const data = await res.json();
-          setUser(data.user);
-          setToken(storedToken);
-        } else {
-          // Token is invalid
-          localStorage.removeItem('token');
-          setToken(null);
-          setUser(null);
-        }
-      } catch (err) {
-        console.error('Token verification failed:', err);
-        // Don't clear token on network error - server might just be down
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    verifyToken();
+  const startSession = useCallback((data) => {
+    setToken(data.token);
+    setExpiresAt(Date.now() + data.expiresIn * 1000);
+    setUser(data.user);
   }, []);
 
+  const endSession = useCallback(() => {
+    setToken(null);
+    setExpiresAt(null);
+    setUser(null);
+  }, []);
+
+  // Get a new access token with the refresh token cookie. Calls made at the
+  // same time share one request. Resolves to the new token, or null when the
+  // session is over.
+  const refresh = useCallback(() => {
+    if (!refreshing.current) {
+      refreshing.current = fetch(`${API_BASE}/api/auth/refresh`, { method: 'POST', credentials: 'include' })
+        .then(async res => {
+          if (res.ok) {
+            const data = await res.json();
+            startSession(data);
+            return data.token;
+          }
+          endSession();
+          return null;
+        })
+        .catch(err => {
+          // Keep the session on network errors - the server might just be down
+          console.error('Session refresh failed:', err);
+          return null;
+        })
+        .finally(() => { refreshing.current = null; });
+    }
+    return refreshing.current;
+  }, [startSession, endSession]);
+
+  // On mount, resume the session from the refresh token cookie
+  useEffect(() => {
+    // Tokens used to be kept in localStorage
+    localStorage.removeItem('token');
+    refresh().finally(() => setLoading(false));
+  }, [refresh]);
+
+  // Refresh shortly before the access token expires
+  useEffect(() => {
+    if (!expiresAt) return;
+    const timer = setTimeout(refresh, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN_MS));
+    return () => clearTimeout(timer);
+  }, [expiresAt, refresh]);
+
+  // fetch with the access token; on a 401/403 the token is refreshed and
+  // the request is tried once more
+  const authFetch = useCallback(async (path, options = {}) => {
+    const send = (accessToken) => fetch(`${API_BASE}${path}`, {
+      ...options,
+      credentials: 'include',
+      headers: { ...options.headers, 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    const res = await send(tokenRef.current);
+    if (res.status !== 401 && res.status !== 403) return res;
+
+    const newToken = await refresh();
+    return newToken ? send(newToken) : res;
+  }, [refresh]);
+
   const register = async (username, email, password) => {
     const res = await fetch(`${API_BASE}/api/auth/register`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
       body: JSON.stringify({ username, email, password })
     });
 
@@ -58,9 +101,7 @@ export const AuthProvider = ({ children }) => {
       throw new Error(data.error || 'Registration failed');
     }
 
-    localStorage.setItem('token', data.token);
-    setToken(data.token);
-    setUser(data.user);
+    startSession(data);
     return data;
   };
 
@@ -68,6 +109,7 @@ export const AuthProvider = ({ children }) => {
     const res = await fetch(`${API_BASE}/api/auth/login`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
       body: JSON.stringify({ email, password })
     });
 
@@ -77,16 +119,62 @@ export const AuthProvider = ({ children }) => {
       throw new Error(data.error || 'Login failed');
     }
 
-    localStorage.setItem('token', data.token);
-    setToken(data.token);
-    setUser(data.user);
+    startSession(data);
     return data;
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
+  // Email the signed-in user a new link to verify their address
+  const resendVerification = async () => {
+    const res = await authFetch('/api/auth/resend-verification', { method: 'POST' });
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to send the verification email');
+    }
+
+    return data.message;
+  };
+
+  // Change the username and/or email of the signed-in user
+  const updateProfile = async (fields) => {
+    const res = await authFetch('/api/auth/me', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fields)
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to update your profile');
+    }
+
+    setUser(prev => ({ ...prev, ...data.user }));
+    return data.message;
+  };
+
+  // Change the password; the server signs out every other session
+  const changePassword = async (currentPassword, newPassword) => {
+    const res = await authFetch('/api/auth/change-password', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new Error(data.error || 'Failed to change your password');
+    }
+
+    return data.message;
+  };
+
+  const logout = async () => {
+    endSession();
+    try {
+      await fetch(`${API_BASE}/api/auth/logout`, { method: 'POST', credentials: 'include' });
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
   };
 
   const value = {
@@ -96,7 +184,12 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     register,
     login,
-    logout
+    logout,
+    refresh,
+    authFetch,
+    resendVerification,
+    updateProfile,
+    changePassword
   };
 
   return (
@@ -0,0 +1,154 @@
+// src/pages/Account.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString([], { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '—';
+
+const Account = ({ onBackClick, onEditProfile }) => {
+  const { user, authFetch, logout, resendVerification } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [verificationMessage, setVerificationMessage] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await authFetch('/api/auth/sessions');
+      if (res.ok) {
+        const data = await res.json();
+        setSessions(data.sessions || []);
+      }
+    } catch (err) { console.error('Failed to fetch sessions:', err); }
+    finally { setLoading(false); }
+  }, [authFetch]);
+
+  useEffect(() => { fetchSessions(); }, [fetchSessions]);
+
+  const sendVerification = async () => {
+    try {
+      setVerificationMessage({ type: 'success', text: await resendVerification() });
+    } catch (err) {
+      setVerificationMessage({ type: 'error', text: err.message });
+    }
+  };
+
+  const signOutSession = async (session) => {
+    if (session.current) {
+      await logout();
+      onBackClick();
+      return;
+    }
+    try {
+      const res = await authFetch(`/api/auth/sessions/${session.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      setMessage(res.ok ? { type: 'success', text: `Signed out of ${session.device}.` } : { type: 'error', text: data.error });
+      fetchSessions();
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Failed to sign out the session.' });
+    }
+  };
+
+  const signOutEverywhere = async () => {
+    if (!window.confirm('Sign out of MovieVerse on every device, including this one?')) return;
+    try {
+      const res = await authFetch('/api/auth/sessions', { method: 'DELETE' });
+      if (!res.ok) {
+        const data = await res.json();
+        setMessage({ type: 'error', text: data.error });
+        return;
+      }
+      await logout();
+      onBackClick();
+    } catch (err) {
+      setMessage({ type: 'error', text: 'Failed to sign out everywhere.' });
+    }
+  };
+
+  return (
+    <div style={{ paddingTop: '80px', minHeight: '100vh' }}>
+      <div style={{ padding: '20px 4% 10px', display: 'flex', alignItems: 'center', gap: '16px' }}>
+        <button onClick={onBackClick} className="btn-ghost" style={{ padding: '8px 16px' }}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><path d="M15 18l-6-6 6-6" /></svg>
+          Back
+        </button>
+      </div>
+
+      <h1 className="section-title animate-fade-in-up" style={{ fontSize: '2rem', marginBottom: '8px' }}>👤 Account</h1>
+      <div className="animate-fade-in-up" style={{ padding: '0 4%', marginBottom: '30px', animationDelay: '0.1s', opacity: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap' }}>
+          <p style={{ color: 'white', fontWeight: 600 }}>{user?.username}</p>
+          <button onClick={onEditProfile} className="btn-ghost" style={{ padding: '6px 14px', fontSize: '0.8rem' }}>
+            ⚙️ Edit profile
+          </button>
+        </div>
+        <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.9rem' }}>
+          {user?.email}
+          {user?.email_verified_at
+            ? <span style={{ color: '#46d369', fontSize: '0.75rem', marginLeft: '8px' }}>Verified</span>
+            : <span style={{ color: '#e87c03', fontSize: '0.75rem', marginLeft: '8px' }}>Not verified</span>}
+        </p>
+        {!user?.email_verified_at && (
+          <div style={{ marginTop: '8px' }}>
+            <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.85rem', marginBottom: '8px' }}>
+              Verify your email address to book tickets.
+            </p>
+            <button onClick={sendVerification} className="btn-ghost" style={{ padding: '6px 14px', fontSize: '0.8rem' }}>
+              ✉️ Resend verification email
+            </button>
+            {verificationMessage && (
+              <p style={{ color: verificationMessage.type === 'success' ? '#46d369' : '#e87c03', fontSize: '0.85rem', marginTop: '8px' }}>
+                {verificationMessage.text}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div style={{ padding: '0 4%', marginBottom: '40px', maxWidth: '760px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '16px', flexWrap: 'wrap', marginBottom: '12px' }}>
+          <h2 style={{ fontSize: '1.2rem', fontWeight: 700, color: 'white', margin: 0 }}>🔐 Where you're signed in</h2>
+          <button onClick={signOutEverywhere} className="btn-ghost" style={{ padding: '6px 14px', fontSize: '0.8rem' }}>
+            Sign out everywhere
+          </button>
+        </div>
+
+        {message && (
+          <p style={{ color: message.type === 'success' ? '#46d369' : '#e87c03', fontSize: '0.85rem', marginBottom: '12px' }}>{message.text}</p>
+        )}
+
+        {loading ? (
+          <div className="loading-spinner"></div>
+        ) : (
+          <div style={{ display: 'grid', gap: '12px' }}>
+            {sessions.map(session => (
+              <div key={session.id} style={{
+                background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '16px',
+                border: `1px solid ${session.current ? 'rgba(70,211,105,0.4)' : 'rgba(255,255,255,0.06)'}`,
+                display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '16px'
+              }}>
+                <div style={{ minWidth: 0 }}>
+                  <p style={{ color: 'white', fontWeight: 600, margin: '0 0 4px' }}>
+                    {session.device}
+                    {session.current && <span style={{ color: '#46d369', fontSize: '0.75rem', marginLeft: '8px' }}>This device</span>}
+                  </p>
+                  <div style={{ fontSize: '0.8rem', color: 'var(--netflix-text-muted)', lineHeight: 1.8 }}>
+                    <div>IP address: {session.ipAddress || 'Unknown'}</div>
+                    <div>Signed in: {formatDateTime(session.createdAt)}</div>
+                    <div>Last seen: {formatDateTime(session.lastSeenAt)}</div>
+                  </div>
+                </div>
+                <button onClick={() => signOutSession(session)} className="btn-ghost" style={{ padding: '6px 14px', fontSize: '0.8rem', flexShrink: 0 }}>
+                  Sign out
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Account;
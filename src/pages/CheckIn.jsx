@@ -0,0 +1,94 @@
+// src/pages/CheckIn.jsx
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const CheckIn = ({ onBackClick }) => {
+  const { authFetch } = useAuth();
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setLoading(true); setResult(null);
+    try {
+      const res = await authFetch('/api/checkin', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: code.trim() })
+      });
+      const data = await res.json();
+      setResult({ ok: res.ok, message: res.ok ? data.message : data.error, ticket: data.ticket });
+      if (res.ok) setCode('');
+    } catch (err) {
+      setResult({ ok: false, message: err.message });
+    } finally { setLoading(false); }
+  };
+
+  const ticket = result?.ticket;
+
+  return (
+    <div style={{ paddingTop: '80px', minHeight: '100vh' }}>
+      <div style={{ padding: '20px 4% 10px', display: 'flex', alignItems: 'center', gap: '16px' }}>
+        <button onClick={onBackClick} className="btn-ghost" style={{ padding: '8px 16px' }}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><path d="M15 18l-6-6 6-6" /></svg>
+          Back
+        </button>
+      </div>
+
+      <h1 className="section-title animate-fade-in-up" style={{ fontSize: '2rem', marginBottom: '8px' }}>🎫 Ticket Check-in</h1>
+      <p className="animate-fade-in-up" style={{ padding: '0 4%', color: 'var(--netflix-text-muted)', marginBottom: '30px', animationDelay: '0.1s', opacity: 0 }}>
+        Scan the ticket's QR code or type the code printed below it
+      </p>
+
+      <div style={{ padding: '0 4%', maxWidth: '560px' }}>
+        <form onSubmit={handleSubmit} style={{ display: 'flex', gap: '12px' }}>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="e.g. MV42-9F3C1A"
+            autoFocus
+            style={{
+              flex: 1, padding: '14px 16px', borderRadius: '6px',
+              background: '#333', border: 'none', color: 'white',
+              fontSize: '1rem', fontFamily: 'inherit', outline: 'none'
+            }}
+          />
+          <button type="submit" className="btn-netflix" disabled={loading || !code.trim()} style={{ opacity: loading || !code.trim() ? 0.6 : 1 }}>
+            {loading ? 'Checking...' : 'Check in'}
+          </button>
+        </form>
+
+        {result && (
+          <div className="animate-scale-in" style={{
+            marginTop: '24px', padding: '20px', borderRadius: '12px',
+            background: result.ok ? 'rgba(70,211,105,0.1)' : 'rgba(229,9,20,0.1)',
+            border: `1px solid ${result.ok ? 'rgba(70,211,105,0.4)' : 'rgba(229,9,20,0.4)'}`
+          }}>
+            <p style={{ fontSize: '1.2rem', fontWeight: 800, color: result.ok ? '#46d369' : '#e50914', marginBottom: ticket ? '12px' : 0 }}>
+              {result.ok ? '✓ ' : '✕ '}{result.message}
+            </p>
+            {ticket && (
+              <div style={{ color: 'var(--netflix-text)', fontSize: '0.9rem', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+                <p style={{ color: 'white', fontWeight: 700, fontSize: '1rem' }}>{ticket.movie_title}</p>
+                <p>📍 {ticket.theater_name}{ticket.screen ? ` • ${ticket.screen}` : ''}</p>
+                <p>📅 {ticket.show_date} • {ticket.show_time}</p>
+                <p>💺 Seats: {ticket.seats.join(', ')}</p>
+                {ticket.items?.length > 0 && (
+                  <p>🍿 {ticket.items.map(i => `${i.quantity} × ${i.name}`).join(', ')}</p>
+                )}
+                {ticket.checked_in_at && (
+                  <p style={{ color: 'var(--netflix-text-muted)' }}>Checked in at {new Date(ticket.checked_in_at).toLocaleTimeString()}</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CheckIn;
@@ -0,0 +1,276 @@
+// src/pages/LayoutEditor.jsx
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import SeatGrid from '../components/SeatGrid';
+
+// Cell codes of a screen layout (see server/services/shows.js)
+const BRUSHES = [
+  { cell: 's', label: 'Seat' },
+  { cell: 'c', label: 'Couple' },
+  { cell: 'w', label: '♿ Wheelchair' },
+  { cell: 'm', label: 'Companion' },
+  { cell: 'x', label: 'Blocked' },
+  { cell: '_', label: 'Aisle / no seat' }
+];
+const TIERS = ['recliner', 'premium', 'standard'];
+const tierColors = { recliner: '#fbbf24', premium: '#60a5fa', standard: '#4ade80' };
+const MAX_COLUMNS = 40;
+const MAX_ROWS = 26;
+
+// Pad every row to the same width so the grid can be drawn on
+const toDraft = (layout) => {
+  const width = Math.max(...layout.rows.map(r => r.cells.length));
+  return { screen: layout.screen || 'top', rows: layout.rows.map(r => ({ ...r, cells: r.cells.padEnd(width, '_') })) };
+};
+
+// The label after a row's: B after A, AA after Z, AB after AA (up to ZZ)
+const nextLabel = (label) => {
+  if (!label || !/^[A-Z]{1,2}$/.test(label) || label === 'ZZ') return '';
+  const number = [...label].reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) + 1;
+  return number > 26
+    ? String.fromCharCode(64 + Math.floor((number - 1) / 26)) + String.fromCharCode(65 + ((number - 1) % 26))
+    : String.fromCharCode(64 + number);
+};
+
+const LayoutEditor = ({ onBackClick }) => {
+  const { authFetch } = useAuth();
+  const [screens, setScreens] = useState([]);
+  const [screenId, setScreenId] = useState('');
+  const [draft, setDraft] = useState(null);
+  const [brush, setBrush] = useState('s');
+  const [painting, setPainting] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState('');
+  const [message, setMessage] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchScreens = async () => {
+      try {
+        const res = await authFetch('/api/admin/screens');
+        if (res.ok) {
+          const data = await res.json();
+          setScreens(data.screens || []);
+          if (data.screens?.length > 0) setScreenId(String(data.screens[0].id));
+        }
+      } catch (err) { console.error('Failed to fetch screens:', err); }
+    };
+    fetchScreens();
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (!screenId) return;
+    setDraft(null); setMessage(null);
+    authFetch(`/api/admin/screens/${screenId}/layout`)
+      .then(res => res.json().then(data => {
+        if (!res.ok) throw new Error(data.error);
+        setDraft(toDraft(data.layout));
+      }))
+      .catch(err => setMessage({ ok: false, text: err.message }));
+  }, [screenId, authFetch]);
+
+  // Validate and render the draft as customers would see it, shortly after each edit
+  useEffect(() => {
+    if (!draft) return;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await authFetch('/api/admin/layouts/preview', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ layout: draft })
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setPreview(data); setPreviewError('');
+      } catch (err) { setPreviewError(err.message); }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [draft, authFetch]);
+
+  useEffect(() => {
+    const stopPainting = () => setPainting(false);
+    window.addEventListener('mouseup', stopPainting);
+    return () => window.removeEventListener('mouseup', stopPainting);
+  }, []);
+
+  const width = draft ? Math.max(...draft.rows.map(r => r.cells.length)) : 0;
+
+  const updateRow = (index, changes) => {
+    setDraft(prev => ({ ...prev, rows: prev.rows.map((r, i) => i === index ? { ...r, ...changes } : r) }));
+  };
+
+  const paint = (rowIndex, col) => {
+    const { cells } = draft.rows[rowIndex];
+    if (cells[col] === brush) return;
+    updateRow(rowIndex, { cells: cells.slice(0, col) + brush + cells.slice(col + 1) });
+  };
+
+  const addRow = () => {
+    setDraft(prev => {
+      const last = prev.rows[prev.rows.length - 1];
+      return {
+        ...prev,
+        rows: [...prev.rows, { label: nextLabel(last?.label), tier: last?.tier || 'standard', cells: 's'.repeat(width || 12) }]
+      };
+    });
+  };
+
+  const removeRow = (index) => {
+    setDraft(prev => ({ ...prev, rows: prev.rows.filter((_, i) => i !== index) }));
+  };
+
+  const setWidth = (columns) => {
+    if (columns < 1 || columns > MAX_COLUMNS) return;
+    setDraft(prev => ({
+      ...prev,
+      rows: prev.rows.map(r => ({ ...r, cells: r.cells.slice(0, columns).padEnd(columns, '_') }))
+    }));
+  };
+
+  const saveLayout = async () => {
+    setSaving(true); setMessage(null);
+    try {
+      const res = await authFetch(`/api/admin/screens/${screenId}/layout`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ layout: draft })
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setMessage({ ok: true, text: `${data.message} Shows that already have seats keep their old layout.` });
+      setScreens(prev => prev.map(s => String(s.id) === screenId ? { ...s, custom_layout: true } : s));
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    } finally { setSaving(false); }
+  };
+
+  const selectedScreen = screens.find(s => String(s.id) === screenId);
+  const inputStyle = {
+    padding: '8px 10px', borderRadius: '6px', background: '#333', border: 'none',
+    color: 'white', fontSize: '0.85rem', fontFamily: 'inherit', outline: 'none'
+  };
+
+  return (
+    <div style={{ paddingTop: '80px', minHeight: '100vh' }}>
+      <div style={{ padding: '20px 4% 10px', display: 'flex', alignItems: 'center', gap: '16px' }}>
+        <button onClick={onBackClick} className="btn-ghost" style={{ padding: '8px 16px' }}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><path d="M15 18l-6-6 6-6" /></svg>
+          Back
+        </button>
+      </div>
+
+      <h1 className="section-title animate-fade-in-up" style={{ fontSize: '2rem', marginBottom: '8px' }}>🪑 Seat Layouts</h1>
+      <p className="animate-fade-in-up" style={{ padding: '0 4%', color: 'var(--netflix-text-muted)', marginBottom: '24px', animationDelay: '0.1s', opacity: 0 }}>
+        Draw a screen's seats, then check the preview before saving
+      </p>
+
+      <div style={{ padding: '0 4%', display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '20px' }}>
+        <select value={screenId} onChange={e => setScreenId(e.target.value)} style={{ ...inputStyle, minWidth: '320px' }}>
+          {screens.map(s => (
+            <option key={s.id} value={s.id}>{s.city} — {s.theater_name} — {s.name}{s.custom_layout ? '' : ' (default layout)'}</option>
+          ))}
+        </select>
+        {draft && (
+          <>
+            <label style={{ color: 'var(--netflix-text-muted)', fontSize: '0.85rem' }}>
+              Screen at{' '}
+              <select value={draft.screen} onChange={e => setDraft(prev => ({ ...prev, screen: e.target.value }))} style={inputStyle}>
+                <option value="top">the top</option>
+                <option value="bottom">the bottom</option>
+              </select>
+            </label>
+            <label style={{ color: 'var(--netflix-text-muted)', fontSize: '0.85rem' }}>
+              Columns{' '}
+              <input type="number" min={1} max={MAX_COLUMNS} value={width} onChange={e => setWidth(Number(e.target.value))}
+                style={{ ...inputStyle, width: '70px' }} />
+            </label>
+          </>
+        )}
+      </div>
+
+      {draft && (
+        <div style={{ padding: '0 4%', display: 'grid', gap: '24px', gridTemplateColumns: 'repeat(auto-fit, minmax(480px, 1fr))', alignItems: 'start' }}>
+          {/* Editor */}
+          <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '16px', border: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', marginBottom: '8px' }}>
+              {BRUSHES.map(b => (
+                <button key={b.cell} onClick={() => setBrush(b.cell)} style={{
+                  padding: '6px 12px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit',
+                  background: brush === b.cell ? 'var(--netflix-red)' : 'rgba(255,255,255,0.06)',
+                  border: `1px solid ${brush === b.cell ? 'var(--netflix-red)' : 'rgba(255,255,255,0.15)'}`, color: 'white'
+                }}>{b.label}</button>
+              ))}
+            </div>
+            <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.75rem', marginBottom: '14px' }}>
+              Click or drag over cells to paint them. Row A is the row nearest to the screen; each row's tier sets its price.
+            </p>
+
+            <div style={{ overflowX: 'auto', userSelect: 'none' }}>
+              {draft.rows.map((row, rowIndex) => (
+                <div key={rowIndex} style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+                  <input value={row.label} maxLength={2} onChange={e => updateRow(rowIndex, { label: e.target.value.toUpperCase() })}
+                    style={{ ...inputStyle, width: '40px', padding: '4px 6px', textAlign: 'center' }} />
+                  <select value={row.tier} onChange={e => updateRow(rowIndex, { tier: e.target.value })}
+                    style={{ ...inputStyle, padding: '4px 6px', fontSize: '0.75rem', color: tierColors[row.tier] }}>
+                    {TIERS.map(t => <option key={t} value={t}>{t}</option>)}
+                  </select>
+                  <div style={{ display: 'flex', gap: '2px' }}>
+                    {[...row.cells].map((cell, col) => (
+                      <div key={col}
+                        onMouseDown={() => { setPainting(true); paint(rowIndex, col); }}
+                        onMouseEnter={() => painting && paint(rowIndex, col)}
+                        title={BRUSHES.find(b => b.cell === cell)?.label}
+                        style={{
+                          width: '18px', height: '18px', borderRadius: '3px', cursor: 'crosshair',
+                          display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: '0.55rem', fontWeight: 700,
+                          background: cell === '_' ? 'transparent' : cell === 'x' ? '#333' : tierColors[row.tier] + '33',
+                          border: `1px ${cell === '_' || cell === 'm' ? 'dashed' : 'solid'} ${cell === '_' ? 'rgba(255,255,255,0.1)' : tierColors[row.tier] + '88'}`,
+                          color: tierColors[row.tier]
+                        }}>{{ c: '♥', w: '♿', m: 'C', x: '✕' }[cell] || ''}</div>
+                    ))}
+                  </div>
+                  <button onClick={() => removeRow(rowIndex)} disabled={draft.rows.length === 1} title="Remove row" style={{
+                    background: 'none', border: 'none', color: 'var(--netflix-text-muted)', cursor: 'pointer', fontSize: '0.9rem'
+                  }}>✕</button>
+                </div>
+              ))}
+            </div>
+
+            <div style={{ display: 'flex', gap: '12px', marginTop: '16px', flexWrap: 'wrap' }}>
+              <button onClick={addRow} disabled={draft.rows.length >= MAX_ROWS} className="btn-ghost" style={{ padding: '8px 16px' }}>+ Add row</button>
+              <button onClick={saveLayout} disabled={saving || !!previewError} className="btn-netflix"
+                style={{ padding: '8px 20px', opacity: saving || previewError ? 0.6 : 1 }}>
+                {saving ? 'Saving...' : 'Save Layout'}
+              </button>
+            </div>
+            {message && (
+              <p style={{ marginTop: '12px', fontSize: '0.85rem', color: message.ok ? '#46d369' : '#e50914' }}>
+                {message.ok ? '✓ ' : '✕ '}{message.text}
+              </p>
+            )}
+          </div>
+
+          {/* Preview */}
+          <div style={{ background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '16px', border: '1px solid rgba(255,255,255,0.06)' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '16px', fontSize: '0.85rem' }}>
+              <span style={{ color: 'white', fontWeight: 700 }}>Preview</span>
+              {preview && <span style={{ color: 'var(--netflix-text-muted)' }}>{preview.totalSeats} seats for sale</span>}
+            </div>
+            {previewError ? (
+              <p style={{ color: '#e50914', fontSize: '0.85rem' }}>✕ {previewError}</p>
+            ) : preview && (
+              <SeatGrid
+                seatMap={preview.seatMap}
+                columns={preview.columns}
+                screenPosition={preview.screenPosition}
+                screenName={selectedScreen?.name}
+              />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayoutEditor;
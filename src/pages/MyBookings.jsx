@@ -1,21 +1,26 @@
 // src/pages/MyBookings.jsx
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
+import { downloadFile } from '../utils/download';
+import BookingModal from '../components/BookingModal';
 
 const API_BASE = process.env.REACT_APP_API_URL || '';
 const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p/w200/';
 
 const MyBookings = ({ onBackClick, onMovieClick }) => {
-  const { token } = useAuth();
+  const { authFetch } = useAuth();
   const [bookings, setBookings] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [feedUrl, setFeedUrl] = useState(null);
+  const [changingBooking, setChangingBooking] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [waitlist, setWaitlist] = useState([]);
+  const [bookingOffer, setBookingOffer] = useState(null);
 
   useEffect(() => {
     const fetchBookings = async () => {
       try {
-        const res = await fetch(`${API_BASE}/api/bookings`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
+        const res = await authFetch('/api/bookings');
         if (res.ok) {
           const data = await res.json();
           setBookings(data.bookings || []);
@@ -24,18 +29,97 @@ const MyBookings = ({ onBackClick, onMovieClick }) => {
       finally { setLoading(false); }
     };
     fetchBookings();
-  }, [token]);
+  }, [authFetch, reloadKey]);
+
+  useEffect(() => {
+    const fetchWaitlist = async () => {
+      try {
+        const res = await authFetch('/api/bookings/waitlist');
+        if (res.ok) {
+          const data = await res.json();
+          setWaitlist((data.entries || []).filter(e => e.status !== 'left'));
+        }
+      } catch (err) { console.error('Failed to fetch waitlist:', err); }
+    };
+    fetchWaitlist();
+  }, [authFetch, reloadKey]);
+
+  const leaveWaitlist = async (id) => {
+    if (!window.confirm('Leave the waitlist for this show?')) return;
+    try {
+      const res = await authFetch(`/api/bookings/waitlist/${id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setWaitlist(prev => prev.filter(e => e.id !== id));
+    } catch (err) {
+      console.error('Failed to leave waitlist:', err);
+      window.alert(err.message);
+    }
+  };
 
   const cancelBooking = async (id) => {
-    if (!window.confirm('Are you sure you want to cancel this booking?')) return;
     try {
-      const res = await fetch(`${API_BASE}/api/bookings/${id}`, {
-        method: 'DELETE', headers: { 'Authorization': `Bearer ${token}` }
-      });
+      // Show the refund the cancellation policy allows before confirming
+      const quoteRes = await authFetch(`/api/bookings/${id}/cancellation`);
+      const quote = await quoteRes.json();
+      if (!quoteRes.ok) throw new Error(quote.error);
+      if (!quote.cancellable) { window.alert(quote.reason); return; }
+
+      const refundText = quote.refundAmount > 0
+        ? `You will be refunded ₹${quote.refundAmount} (${quote.refundPercent}% of the amount paid).`
+        : 'This booking is no longer eligible for a refund.';
+      if (!window.confirm(`Are you sure you want to cancel this booking?\n\n${refundText}`)) return;
+
+      const res = await authFetch(`/api/bookings/${id}`, { method: 'DELETE' });
+      const data = await res.json();
       if (res.ok) {
-        setBookings(prev => prev.map(b => b.id === id ? { ...b, booking_status: 'cancelled' } : b));
-      }
-    } catch (err) { console.error('Failed to cancel:', err); }
+        setBookings(prev => prev.map(b => b.id === id ? { ...b, booking_status: 'cancelled', refund: data.refund } : b));
+      } else throw new Error(data.error);
+    } catch (err) {
+      console.error('Failed to cancel:', err);
+      window.alert(err.message);
+    }
+  };
+
+  const downloadTicket = async (id) => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${id}/ticket`, `movieverse-ticket-${id}.pdf`);
+    } catch (err) {
+      console.error('Failed to download ticket:', err);
+      window.alert(err.message);
+    }
+  };
+
+  const downloadInvoice = async (id) => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${id}/invoice`, `movieverse-invoice-${id}.pdf`);
+    } catch (err) {
+      console.error('Failed to download invoice:', err);
+      window.alert(err.message);
+    }
+  };
+
+  const addToCalendar = async (id) => {
+    try {
+      await downloadFile(authFetch, `/api/bookings/${id}/calendar.ics`, `movieverse-booking-${id}.ics`);
+    } catch (err) {
+      console.error('Failed to download calendar event:', err);
+      window.alert(err.message);
+    }
+  };
+
+  // Subscribing keeps the user's calendar in sync with all upcoming bookings
+  const toggleCalendarFeed = async () => {
+    if (feedUrl) { setFeedUrl(null); return; }
+    try {
+      const res = await authFetch('/api/bookings/calendar/feed');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      setFeedUrl(new URL(`${API_BASE}${data.path}`, window.location.origin).href);
+    } catch (err) {
+      console.error('Failed to get calendar feed:', err);
+      window.alert(err.message);
+    }
   };
 
   return (
@@ -48,9 +132,72 @@ const MyBookings = ({ onBackClick, onMovieClick }) => {
       </div>
 
       <h1 className="section-title animate-fade-in-up" style={{ fontSize: '2rem', marginBottom: '8px' }}>🎟️ My Bookings</h1>
-      <p className="animate-fade-in-up" style={{ padding: '0 4%', color: 'var(--netflix-text-muted)', marginBottom: '30px', animationDelay: '0.1s', opacity: 0 }}>
-        {bookings.length > 0 ? `${bookings.length} booking(s)` : 'No bookings yet'}
-      </p>
+      <div className="animate-fade-in-up" style={{ padding: '0 4%', marginBottom: '30px', animationDelay: '0.1s', opacity: 0 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap' }}>
+          <p style={{ color: 'var(--netflix-text-muted)' }}>
+            {bookings.length > 0 ? `${bookings.length} booking(s)` : 'No bookings yet'}
+          </p>
+          <button onClick={toggleCalendarFeed} className="btn-ghost" style={{ padding: '6px 14px', fontSize: '0.8rem' }}>
+            📅 {feedUrl ? 'Hide calendar feed' : 'Subscribe in calendar'}
+          </button>
+        </div>
+        {feedUrl && (
+          <div style={{ marginTop: '12px', maxWidth: '640px' }}>
+            <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.8rem', marginBottom: '6px' }}>
+              Add this URL to your calendar app to always see your upcoming shows. Keep it private.
+            </p>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <input readOnly value={feedUrl} onFocus={e => e.target.select()} style={{
+                flex: 1, padding: '8px 12px', borderRadius: '6px', background: '#333', border: 'none',
+                color: 'white', fontSize: '0.8rem', fontFamily: 'inherit', outline: 'none'
+              }} />
+              <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="btn-netflix" style={{ padding: '8px 16px', fontSize: '0.8rem', textDecoration: 'none' }}>Subscribe</a>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {waitlist.length > 0 && (
+        <div style={{ padding: '0 4%', marginBottom: '30px' }}>
+          <h2 style={{ fontSize: '1.2rem', fontWeight: 700, color: 'white', marginBottom: '12px' }}>⏳ Waitlist</h2>
+          <div style={{ display: 'grid', gap: '12px', gridTemplateColumns: 'repeat(auto-fill, minmax(360px, 1fr))' }}>
+            {waitlist.map(entry => (
+              <div key={entry.id} style={{
+                background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '16px',
+                border: `1px solid ${entry.status === 'offered' ? 'rgba(70,211,105,0.4)' : 'rgba(255,255,255,0.06)'}`
+              }}>
+                <h3 style={{ fontSize: '1rem', fontWeight: 700, color: 'white', margin: '0 0 6px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{entry.movie_title}</h3>
+                <div style={{ fontSize: '0.8rem', color: 'var(--netflix-text-muted)', lineHeight: 1.8 }}>
+                  <p>📍 {entry.theater_name}</p>
+                  <p>📅 {entry.show_date} • {entry.show_time}</p>
+                  <p>💺 {entry.seat_count} seat{entry.seat_count > 1 ? 's' : ''} • {entry.tier ? entry.tier.charAt(0).toUpperCase() + entry.tier.slice(1) : 'Any seats'}</p>
+                  {entry.status === 'waiting' && <p style={{ color: 'white' }}>#{entry.position} in line</p>}
+                  {entry.status === 'offered' && (
+                    <p style={{ color: '#46d369', fontWeight: 600 }}>
+                      🎉 Seats {entry.offer.seats.map(s => s.id).join(', ')} are held for you until{' '}
+                      {new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    </p>
+                  )}
+                  {entry.status === 'expired' && <p style={{ color: '#e87c03' }}>No seats came up in time</p>}
+                  {entry.status === 'booked' && <p style={{ color: '#46d369' }}>✓ Booked</p>}
+                </div>
+                {(entry.status === 'waiting' || entry.status === 'offered') && (
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '10px' }}>
+                    {entry.status === 'offered' && (
+                      <button onClick={() => setBookingOffer(entry)} className="btn-netflix" style={{ padding: '6px 16px', fontSize: '0.8rem' }}>Book now</button>
+                    )}
+                    <button onClick={() => leaveWaitlist(entry.id)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(229,9,20,0.1)', border: '1px solid rgba(229,9,20,0.3)', color: '#e50914',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>Leave</button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
 
       {loading ? (
         <div className="flex items-center justify-center" style={{ padding: '80px' }}><div className="loading-spinner"></div></div>
@@ -92,16 +239,61 @@ const MyBookings = ({ onBackClick, onMovieClick }) => {
                 <div style={{ fontSize: '0.8rem', color: 'var(--netflix-text-muted)', lineHeight: 1.8 }}>
                   <p>📍 {booking.theater_name}</p>
                   <p>📅 {booking.show_date} • {booking.show_time}</p>
+                  {booking.changes?.length > 0 && (
+                    <p>🔁 Changed from {booking.changes[booking.changes.length - 1].from_show_date} • {booking.changes[booking.changes.length - 1].from_show_time}</p>
+                  )}
                   <p>💺 Seats: {Array.isArray(booking.seats) ? booking.seats.join(', ') : booking.seats}</p>
-                  <p style={{ color: '#46d369', fontWeight: 700 }}>₹{booking.total_amount}</p>
+                  {booking.items?.length > 0 && (
+                    <p>🍿 {booking.items.map(i => `${i.quantity} × ${i.name}`).join(', ')}</p>
+                  )}
+                  <p style={{ color: '#46d369', fontWeight: 700 }}>
+                    ₹{booking.total_amount}
+                    {booking.discount_amount > 0 && (
+                      <span style={{ color: 'var(--netflix-text-muted)', fontWeight: 400 }}> • saved ₹{booking.discount_amount}</span>
+                    )}
+                  </p>
+                  {booking.refund && (
+                    <p style={{ color: booking.refund.status === 'processed' ? '#46d369' : '#e87c03' }}>
+                      ↩ Refund ₹{booking.refund.amount} • {booking.refund.status === 'processed' ? 'Refunded' : 'Processing'}
+                    </p>
+                  )}
                 </div>
 
-                {booking.booking_status === 'confirmed' && (
-                  <button onClick={() => cancelBooking(booking.id)} style={{
+                {booking.booking_status !== 'confirmed' && booking.invoice_number && (
+                  <button onClick={() => downloadInvoice(booking.id)} style={{
                     marginTop: '10px', padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
-                    background: 'rgba(229,9,20,0.1)', border: '1px solid rgba(229,9,20,0.3)', color: '#e50914',
+                    background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.15)', color: 'white',
                     cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
-                  }}>Cancel Booking</button>
+                  }}>🧾 Invoice</button>
+                )}
+                {booking.booking_status === 'confirmed' && (
+                  <div style={{ display: 'flex', gap: '8px', marginTop: '10px', flexWrap: 'wrap' }}>
+                    <button onClick={() => downloadTicket(booking.id)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(70,211,105,0.1)', border: '1px solid rgba(70,211,105,0.3)', color: '#46d369',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>🎟 Download Ticket</button>
+                    <button onClick={() => addToCalendar(booking.id)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.15)', color: 'white',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>📅 Calendar</button>
+                    <button onClick={() => downloadInvoice(booking.id)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.15)', color: 'white',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>🧾 Invoice</button>
+                    <button onClick={() => setChangingBooking(booking)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.15)', color: 'white',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>🔁 Change Show</button>
+                    <button onClick={() => cancelBooking(booking.id)} style={{
+                      padding: '6px 16px', borderRadius: '6px', fontSize: '0.8rem', fontWeight: 600,
+                      background: 'rgba(229,9,20,0.1)', border: '1px solid rgba(229,9,20,0.3)', color: '#e50914',
+                      cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.2s'
+                    }}>Cancel Booking</button>
+                  </div>
                 )}
               </div>
             </div>
@@ -109,6 +301,21 @@ const MyBookings = ({ onBackClick, onMovieClick }) => {
         </div>
       )}
 
+      <BookingModal
+        isOpen={!!changingBooking}
+        onClose={() => setChangingBooking(null)}
+        movie={changingBooking && { id: changingBooking.movie_id, title: changingBooking.movie_title, poster_path: changingBooking.movie_poster }}
+        exchangeBooking={changingBooking}
+        onExchanged={() => setReloadKey(k => k + 1)}
+      />
+
+      <BookingModal
+        isOpen={!!bookingOffer}
+        onClose={() => { setBookingOffer(null); setReloadKey(k => k + 1); }}
+        movie={bookingOffer && { id: bookingOffer.movie_id, title: bookingOffer.movie_title, poster_path: bookingOffer.movie_poster }}
+        waitlistOffer={bookingOffer}
+      />
+
       <footer className="netflix-footer">
         <p>MovieVerse — Powered by TMDB API</p>
         <p style={{ marginTop: '6px', fontSize: '0.8rem', color: 'var(--netflix-text-muted)' }}>Developed by Kumar_Gopal</p>
@@ -0,0 +1,151 @@
+// src/pages/ProfileSettings.jsx
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const inputStyle = {
+  width: '100%', padding: '12px 14px', borderRadius: '6px', background: '#333', border: 'none',
+  color: 'white', fontSize: '0.95rem', fontFamily: 'inherit', outline: 'none', marginTop: '6px'
+};
+
+const labelStyle = { display: 'block', color: 'var(--netflix-text-muted)', fontSize: '0.85rem' };
+
+const sectionStyle = {
+  background: 'rgba(255,255,255,0.04)', borderRadius: '12px', padding: '20px',
+  border: '1px solid rgba(255,255,255,0.06)', display: 'flex', flexDirection: 'column', gap: '14px'
+};
+
+const Notice = ({ message }) => message && (
+  <p style={{ color: message.type === 'success' ? '#46d369' : '#e87c03', fontSize: '0.85rem', margin: 0 }}>{message.text}</p>
+);
+
+const ProfileSettings = ({ onBackClick }) => {
+  const { user, updateProfile, changePassword } = useAuth();
+  const [username, setUsername] = useState(user?.username || '');
+  const [email, setEmail] = useState(user?.email || '');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [profileMessage, setProfileMessage] = useState(null);
+  const [savingProfile, setSavingProfile] = useState(false);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordMessage, setPasswordMessage] = useState(null);
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  const emailChanged = email !== user?.email;
+  const profileChanged = username !== user?.username || emailChanged;
+
+  const saveProfile = async (e) => {
+    e.preventDefault();
+    setSavingProfile(true);
+    setProfileMessage(null);
+    try {
+      const fields = {};
+      if (username !== user.username) fields.username = username;
+      if (emailChanged) {
+        fields.email = email;
+        fields.currentPassword = emailPassword;
+      }
+      setProfileMessage({ type: 'success', text: await updateProfile(fields) });
+      setEmailPassword('');
+    } catch (err) {
+      setProfileMessage({ type: 'error', text: err.message });
+    } finally {
+      setSavingProfile(false);
+    }
+  };
+
+  const savePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setPasswordMessage({ type: 'error', text: 'The new passwords do not match.' });
+      return;
+    }
+
+    setSavingPassword(true);
+    setPasswordMessage(null);
+    try {
+      setPasswordMessage({ type: 'success', text: await changePassword(currentPassword, newPassword) });
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (err) {
+      setPasswordMessage({ type: 'error', text: err.message });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  return (
+    <div style={{ paddingTop: '80px', minHeight: '100vh' }}>
+      <div style={{ padding: '20px 4% 10px', display: 'flex', alignItems: 'center', gap: '16px' }}>
+        <button onClick={onBackClick} className="btn-ghost" style={{ padding: '8px 16px' }}>
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5"><path d="M15 18l-6-6 6-6" /></svg>
+          Back
+        </button>
+      </div>
+
+      <h1 className="section-title animate-fade-in-up" style={{ fontSize: '2rem', marginBottom: '24px' }}>⚙️ Profile settings</h1>
+
+      <div style={{ padding: '0 4%', marginBottom: '40px', maxWidth: '560px', display: 'grid', gap: '24px' }}>
+        <form onSubmit={saveProfile} style={sectionStyle}>
+          <h2 style={{ fontSize: '1.2rem', fontWeight: 700, color: 'white', margin: 0 }}>👤 Profile</h2>
+          <label style={labelStyle}>
+            Username
+            <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} required minLength={3} style={inputStyle} />
+          </label>
+          <label style={labelStyle}>
+            Email address
+            <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required style={inputStyle} />
+          </label>
+          {emailChanged && (
+            <>
+              <label style={labelStyle}>
+                Current password
+                <input type="password" value={emailPassword} onChange={(e) => setEmailPassword(e.target.value)} required
+                  autoComplete="current-password" style={inputStyle} />
+              </label>
+              <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.8rem', margin: 0 }}>
+                We'll let your current address know. You'll need to verify your new email address before you can book tickets again.
+              </p>
+            </>
+          )}
+          <Notice message={profileMessage} />
+          <button type="submit" className="btn-netflix" disabled={!profileChanged || savingProfile}
+            style={{ alignSelf: 'flex-start', opacity: !profileChanged || savingProfile ? 0.6 : 1 }}>
+            {savingProfile ? 'Saving...' : 'Save changes'}
+          </button>
+        </form>
+
+        <form onSubmit={savePassword} style={sectionStyle}>
+          <h2 style={{ fontSize: '1.2rem', fontWeight: 700, color: 'white', margin: 0 }}>🔑 Change password</h2>
+          <label style={labelStyle}>
+            Current password
+            <input type="password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required
+              autoComplete="current-password" style={inputStyle} />
+          </label>
+          <label style={labelStyle}>
+            New password
+            <input type="password" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} required minLength={6}
+              autoComplete="new-password" style={inputStyle} />
+          </label>
+          <label style={labelStyle}>
+            Confirm new password
+            <input type="password" value={confirmPassword} onChange={(e) => setConfirmPassword(e.target.value)} required minLength={6}
+              autoComplete="new-password" style={inputStyle} />
+          </label>
+          <p style={{ color: 'var(--netflix-text-muted)', fontSize: '0.8rem', margin: 0 }}>
+            Your other devices will be signed out.
+          </p>
+          <Notice message={passwordMessage} />
+          <button type="submit" className="btn-netflix" disabled={savingPassword}
+            style={{ alignSelf: 'flex-start', opacity: savingPassword ? 0.6 : 1 }}>
+            {savingPassword ? 'Changing...' : 'Change password'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileSettings;
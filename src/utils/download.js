@@ -0,0 +1,19 @@
+// src/utils/download.js
+// Fetch an authenticated file from the API with `authFetch` (from useAuth)
+// and hand it to the browser as a download
+export const downloadFile = async (authFetch, path, filename) => {
+  const res = await authFetch(path);
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Download failed.');
+  }
+
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};